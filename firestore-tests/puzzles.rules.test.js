@@ -0,0 +1,111 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { deleteDoc, doc, getDoc, setDoc, updateDoc, writeBatch } from 'firebase/firestore';
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+
+const PROJECT_ID = 'demo-crossword';
+
+function puzzleData(overrides = {}) {
+  return {
+    version: 1,
+    ownerId: 'alice',
+    title: 'Birds',
+    authorName: 'Alice',
+    hideAnswers: false,
+    style: 'freeform',
+    rows: 1,
+    cols: 3,
+    grid: ['OWL'],
+    words: [{ row: 0, col: 0, direction: 'across', length: 3, clue: 'Night hunter' }],
+    ...overrides,
+  };
+}
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+function seed(path, data) {
+  return testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+}
+
+describe('puzzles collection', () => {
+  it('lets anyone read a published puzzle', async () => {
+    await seed('puzzles/p1', puzzleData());
+    const guest = testEnv.unauthenticatedContext().firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    await assertSucceeds(getDoc(doc(guest, 'puzzles/p1')));
+    await assertSucceeds(getDoc(doc(bob, 'puzzles/p1')));
+  });
+
+  it('only lets signed-in users publish under their own ID', async () => {
+    const guest = testEnv.unauthenticatedContext().firestore();
+    const alice = testEnv.authenticatedContext('alice').firestore();
+
+    await assertFails(setDoc(doc(guest, 'puzzles/p1'), puzzleData()));
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ ownerId: 'bob' })));
+    await assertSucceeds(setDoc(doc(alice, 'puzzles/p1'), puzzleData()));
+  });
+
+  it('rejects puzzles without a title, grid or words', async () => {
+    const alice = testEnv.authenticatedContext('alice').firestore();
+
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ title: '' })));
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ title: 'x'.repeat(81) })));
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ grid: [] })));
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ words: 'OWL' })));
+    await assertFails(setDoc(doc(alice, 'puzzles/p1'), puzzleData({ hideAnswers: 'no' })));
+  });
+
+  it('only lets the owner update or unpublish', async () => {
+    await seed('puzzles/p1', puzzleData());
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    await assertFails(updateDoc(doc(bob, 'puzzles/p1'), { title: 'Mine now' }));
+    await assertFails(updateDoc(doc(alice, 'puzzles/p1'), { ownerId: 'bob' }));
+    await assertSucceeds(updateDoc(doc(alice, 'puzzles/p1'), { title: 'Night birds' }));
+
+    await assertFails(deleteDoc(doc(bob, 'puzzles/p1')));
+    await assertSucceeds(deleteDoc(doc(alice, 'puzzles/p1')));
+  });
+
+  it('keeps hidden answers private to the owner', async () => {
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const batch = writeBatch(alice);
+    batch.set(doc(alice, 'puzzles/p1'), puzzleData({ hideAnswers: true, grid: ['???'] }));
+    batch.set(doc(alice, 'puzzles/p1/private/answers'), { ownerId: 'alice', grid: ['OWL'] });
+    await assertSucceeds(batch.commit());
+
+    const guest = testEnv.unauthenticatedContext().firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+    await assertFails(getDoc(doc(guest, 'puzzles/p1/private/answers')));
+    await assertFails(getDoc(doc(bob, 'puzzles/p1/private/answers')));
+    await assertSucceeds(getDoc(doc(alice, 'puzzles/p1/private/answers')));
+
+    await assertFails(setDoc(doc(bob, 'puzzles/p1/private/answers'), { ownerId: 'bob', grid: ['CAT'] }));
+    await assertFails(deleteDoc(doc(bob, 'puzzles/p1/private/answers')));
+    await assertSucceeds(deleteDoc(doc(alice, 'puzzles/p1/private/answers')));
+  });
+
+  it('does not let others attach answers to a puzzle they do not own', async () => {
+    await seed('puzzles/p1', puzzleData());
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    await assertFails(setDoc(doc(bob, 'puzzles/p1/private/answers'), { ownerId: 'bob', grid: ['OWL'] }));
+  });
+});
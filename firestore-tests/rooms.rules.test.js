@@ -0,0 +1,127 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, collectionGroup, doc, getDoc, getDocs, setDoc } from 'firebase/firestore';
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createCellEntry } from '../src/lib/collaboration';
+import { createRoom, joinRoom, subscribeToCells, writeCell } from '../src/lib/roomStore';
+import { helloPuzzle } from '../src/test/fixtures';
+
+// roomStore talks to whichever Firestore the current test signs in to.
+const firebase = vi.hoisted(() => ({ db: null }));
+vi.mock('../src/lib/firebase', () => ({
+  get db() {
+    return firebase.db;
+  },
+}));
+
+const PROJECT_ID = 'demo-crossword';
+
+const puzzle = helloPuzzle();
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+function signIn(userId) {
+  firebase.db = userId ? testEnv.authenticatedContext(userId).firestore() : testEnv.unauthenticatedContext().firestore();
+  return firebase.db;
+}
+
+describe('rooms', () => {
+  it('lets a host open a room that others can join by code', async () => {
+    signIn('teacher');
+    const code = await createRoom({ uid: 'teacher' }, puzzle);
+    expect(code).toMatch(/^[A-Z2-9]{6}$/);
+
+    signIn('student');
+    const joined = await joinRoom(code.toLowerCase());
+    expect(joined.hostId).toBe('teacher');
+    expect(joined.puzzle.grid).toEqual(puzzle.grid);
+
+    const guest = signIn(null);
+    await assertFails(getDoc(doc(guest, 'rooms', code)));
+  });
+
+  it('never lists rooms, so the code stays secret', async () => {
+    signIn('teacher');
+    await createRoom({ uid: 'teacher' }, puzzle);
+    const student = signIn('student');
+
+    await assertFails(getDocs(collection(student, 'rooms')));
+    await assertFails(getDocs(collectionGroup(student, 'cells')));
+    await assertFails(getDocs(collectionGroup(student, 'presence')));
+  });
+
+  it('keeps the newest letter in each square', async () => {
+    signIn('teacher');
+    const code = await createRoom({ uid: 'teacher' }, puzzle);
+
+    signIn('student');
+    expect(await writeCell(code, '0-0', createCellEntry('H', 'student', 200))).toBe(true);
+    signIn('teacher');
+    expect(await writeCell(code, '0-0', createCellEntry('J', 'teacher', 100))).toBe(false);
+    expect(await writeCell(code, '0-1', createCellEntry('E', 'teacher', 100))).toBe(true);
+
+    const cells = await new Promise((resolve) => {
+      const unsubscribe = subscribeToCells(code, (entries) => {
+        unsubscribe();
+        resolve(entries);
+      });
+    });
+    expect(cells).toEqual({
+      '0-0': { value: 'H', by: 'student', at: 200 },
+      '0-1': { value: 'E', by: 'teacher', at: 100 },
+    });
+  });
+
+  it('rejects stale, oversized or impersonated square writes', async () => {
+    signIn('teacher');
+    const code = await createRoom({ uid: 'teacher' }, puzzle);
+    const student = signIn('student');
+    await assertSucceeds(setDoc(doc(student, 'rooms', code, 'cells', '0-0'), createCellEntry('H', 'student', 200)));
+
+    await assertFails(setDoc(doc(student, 'rooms', code, 'cells', '0-0'), createCellEntry('J', 'student', 100)));
+    await assertFails(setDoc(doc(student, 'rooms', code, 'cells', '0-1'), createCellEntry('EE', 'student', 300)));
+    await assertFails(setDoc(doc(student, 'rooms', code, 'cells', '0-1'), createCellEntry('E', 'teacher', 300)));
+    await assertFails(setDoc(doc(student, 'rooms', 'NOROOM', 'cells', '0-1'), createCellEntry('E', 'student', 300)));
+  });
+
+  it('rejects square writes stamped far in the future', async () => {
+    signIn('teacher');
+    const code = await createRoom({ uid: 'teacher' }, puzzle);
+    const student = signIn('student');
+    const day = 24 * 60 * 60 * 1000;
+
+    await assertFails(setDoc(doc(student, 'rooms', code, 'cells', '0-0'), createCellEntry('H', 'student', Date.now() + day)));
+    await assertSucceeds(setDoc(doc(student, 'rooms', code, 'cells', '0-0'), createCellEntry('H', 'student', Date.now())));
+  });
+
+  it('only lets people write their own presence', async () => {
+    signIn('teacher');
+    const code = await createRoom({ uid: 'teacher' }, puzzle);
+    const student = signIn('student');
+    const presence = { name: 'Sam', color: '#e4572e', row: 0, col: 0, direction: 'across', updatedAt: 1 };
+
+    await assertSucceeds(setDoc(doc(student, 'rooms', code, 'presence', 'student'), presence));
+    await assertFails(setDoc(doc(student, 'rooms', code, 'presence', 'teacher'), presence));
+  });
+
+  it('does not let anyone open a room in someone else\'s name', async () => {
+    const student = signIn('student');
+
+    await assertFails(setDoc(doc(student, 'rooms', 'ABC234'), { hostId: 'teacher', puzzle: 'x' }));
+  });
+});
@@ -0,0 +1,87 @@
+import { assertFails, assertSucceeds, initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { collection, deleteDoc, doc, getDoc, getDocs, query, setDoc, updateDoc, where } from 'firebase/firestore';
+import { readFileSync } from 'node:fs';
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+
+const PROJECT_ID = 'demo-crossword';
+
+function solveData(overrides = {}) {
+  return {
+    puzzleKey: 'abc123',
+    style: 'freeform',
+    rows: 5,
+    cols: 5,
+    words: 6,
+    seed: null,
+    elapsedMs: 90000,
+    checks: 1,
+    reveals: 0,
+    completedAt: '2026-01-01T00:00:00.000Z',
+    userId: 'alice',
+    ...overrides,
+  };
+}
+
+let testEnv;
+
+beforeAll(async () => {
+  testEnv = await initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  });
+});
+
+afterAll(async () => {
+  await testEnv?.cleanup();
+});
+
+beforeEach(async () => {
+  await testEnv.clearFirestore();
+});
+
+function seed(path, data) {
+  return testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+}
+
+describe('solves collection', () => {
+  it('only lets signed-in users record solves under their own ID', async () => {
+    const guest = testEnv.unauthenticatedContext().firestore();
+    const alice = testEnv.authenticatedContext('alice').firestore();
+
+    await assertFails(setDoc(doc(guest, 'solves/s1'), solveData()));
+    await assertFails(setDoc(doc(alice, 'solves/s1'), solveData({ userId: 'bob' })));
+    await assertSucceeds(setDoc(doc(alice, 'solves/s1'), solveData()));
+  });
+
+  it('rejects solves with a missing or malformed time or aid count', async () => {
+    const alice = testEnv.authenticatedContext('alice').firestore();
+
+    await assertFails(setDoc(doc(alice, 'solves/s1'), solveData({ elapsedMs: -1 })));
+    await assertFails(setDoc(doc(alice, 'solves/s2'), solveData({ elapsedMs: 1.5 })));
+    await assertFails(setDoc(doc(alice, 'solves/s3'), solveData({ checks: '1' })));
+    await assertFails(setDoc(doc(alice, 'solves/s4'), solveData({ reveals: null })));
+  });
+
+  it('keeps solves private to their owner', async () => {
+    await seed('solves/s1', solveData());
+    await seed('solves/s2', solveData({ userId: 'bob' }));
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const guest = testEnv.unauthenticatedContext().firestore();
+
+    await assertSucceeds(getDoc(doc(alice, 'solves/s1')));
+    await assertSucceeds(getDocs(query(collection(alice, 'solves'), where('userId', '==', 'alice'))));
+    await assertFails(getDoc(doc(alice, 'solves/s2')));
+    await assertFails(getDocs(collection(alice, 'solves')));
+    await assertFails(getDoc(doc(guest, 'solves/s1')));
+  });
+
+  it('never lets a solve be rewritten, only deleted by its owner', async () => {
+    await seed('solves/s1', solveData());
+    const alice = testEnv.authenticatedContext('alice').firestore();
+    const bob = testEnv.authenticatedContext('bob').firestore();
+
+    await assertFails(updateDoc(doc(alice, 'solves/s1'), { elapsedMs: 1000 }));
+    await assertFails(deleteDoc(doc(bob, 'solves/s1')));
+    await assertSucceeds(deleteDoc(doc(alice, 'solves/s1')));
+  });
+});
@@ -0,0 +1,11 @@
+import { defineConfig } from 'vitest/config';
+
+// Runs against the Firestore emulator, so it's kept out of the main test run. Use
+// `npm run test:rules`, which starts the emulator around it.
+export default defineConfig({
+  test: {
+    environment: 'node',
+    include: ['firestore-tests/**/*.test.js'],
+    testTimeout: 15000,
+  },
+});
@@ -1,13 +1,92 @@
 import { useEffect, useMemo, useRef, useState } from "react";
 import "./App.css";
 import AuthModal from "./components/AuthModal";
+import JoinRoomForm from "./components/JoinRoomForm";
+import ResumePrompt from "./components/ResumePrompt";
+import RoomPanel from "./components/RoomPanel";
 import SavedListsModal from "./components/SavedListsModal";
+import ClueAnswerList from "./components/ClueAnswerList";
+import ColumnMappingPreview from "./components/ColumnMappingPreview";
+import ImportReport from "./components/ImportReport";
+import LayoutEditorPanel, { WORD_DRAG_TYPE } from "./components/LayoutEditorPanel";
+import LayoutGallery from "./components/LayoutGallery";
+import PublishPuzzleModal from "./components/PublishPuzzleModal";
+import SolveSuccessModal from "./components/SolveSuccessModal";
+import SolveTimer from "./components/SolveTimer";
+import SolvingAidsBar from "./components/SolvingAidsBar";
+import SkippedWordsPanel from "./components/SkippedWordsPanel";
+import WordListPanel from "./components/WordListPanel";
 import { useAuth } from "./contexts/AuthContext";
-import { MAX_WORDS, MIN_WORDS, normalizeEntries } from "./lib/crossword";
+import { useHistory } from "./hooks/useHistory";
+import { useRoom } from "./hooks/useRoom";
+import { useSolveTimer } from "./hooks/useSolveTimer";
+import { BLOCK_GRID_SIZES } from "./lib/blockGrid";
+import { peerHighlights } from "./lib/collaboration";
+import {
+  isAbortError,
+  MAX_GRID_DIMENSION,
+  MAX_WORDS,
+  MIN_GRID_DIMENSION,
+  MIN_WORDS,
+  normalizeEntries,
+  normalizeEntriesWithReport,
+  sanitizeWord,
+  serializeEntries,
+} from "./lib/crossword";
+import { announceClue, describeCell } from "./lib/accessibility";
+import {
+  adjacentClue,
+  arrowDirection,
+  firstEmptyCell,
+  indexInWord,
+  isArrowKey,
+  moveByArrow,
+  nextCellAfterTyping,
+  wordCells,
+} from "./lib/gridNavigation";
+import { isRedoShortcut, isUndoShortcut } from "./lib/history";
+import { addWord, flipWord, moveWord, placementAt, removeWord } from "./lib/layoutEditor";
+import { DEFAULT_SCORING, SCORING_PRESETS } from "./lib/layoutScoring";
+import { parseIpuz, toIpuz } from "./lib/ipuzFormat";
+import { publishedPuzzleId } from "./lib/publishedPuzzles";
+import { parsePuz, writePuz } from "./lib/puzFormat";
+import { fetchPublishedPuzzle, unpublishPuzzle } from "./lib/puzzleStore";
+import { createRoom, joinRoom } from "./lib/roomStore";
+import { createShareUrl, readSharedPuzzle } from "./lib/shareLink";
+import {
+  createSolveRecord,
+  isPuzzleComplete,
+  puzzleKey,
+  saveLocalSolve,
+  summarizeSolves,
+} from "./lib/solveStats";
+import { createSession, listSessions, loadSession, removeSession, saveSession } from "./lib/solveSessions";
+import { fetchRemoteSolves, saveRemoteSolve } from "./lib/solveStore";
+import {
+  CELL_MARKS,
+  checkCells,
+  gridCellKeys,
+  isLockedMark,
+  markAfterInput,
+  revealCells,
+  wordCellKeys,
+} from "./lib/solvingAids";
 import { generateWordListFromTheme } from "./lib/wordListGenerator";
+import { readWordListTable, WORD_LIST_ACCEPT, wordListFormat } from "./lib/wordListImport";
+import { createGeneratorPool } from "./workers/generatorPool";
 
 const THEME_STORAGE_KEY = "crossword-theme";
 const OPENAI_KEY_CONFIGURED = Boolean(import.meta.env?.VITE_OPENAI_API_KEY);
+const GENERATION_TIME_BUDGET_MS = 12000;
+const GENERATION_MAX_NODES = 400000;
+const LAYOUT_CANDIDATES = 6;
+const LAYOUT_OPTIONS = [
+  { value: "freeform", label: "Freeform" },
+  ...BLOCK_GRID_SIZES.map((size) => ({
+    value: `blocks-${size}`,
+    label: size === 5 ? "Mini 5×5" : `Classic ${size}×${size}`,
+  })),
+];
 
 function getStoredTheme() {
   if (typeof window === "undefined") {
@@ -27,6 +106,18 @@ function getSystemTheme() {
   return "light";
 }
 
+// A puzzle opened from a share link, or the reason the link couldn't be read.
+function loadSharedPuzzle() {
+  if (typeof window === "undefined") {
+    return {};
+  }
+  try {
+    return { puzzle: readSharedPuzzle(window.location.hash) };
+  } catch (error) {
+    return { error: error.message };
+  }
+}
+
 function getInitialTheme() {
   const stored = getStoredTheme();
   if (stored) {
@@ -36,53 +127,127 @@ function getInitialTheme() {
 }
 
 export default function App() {
+  const [sharedLink] = useState(loadSharedPuzzle);
+  // Details of a puzzle opened at /p/:id. `loading` is set until it arrives from Firestore.
+  const [publishedView, setPublishedView] = useState(() => {
+    const id = typeof window === "undefined" ? null : publishedPuzzleId(window.location.pathname);
+    return id ? { id, loading: true } : null;
+  });
   const [entries, setEntries] = useState([]);
   const [wordCount, setWordCount] = useState(10);
-  const [puzzle, setPuzzle] = useState(null);
-  const [status, setStatus] = useState("");
-  const [statusError, setStatusError] = useState(false);
+  const [seedInput, setSeedInput] = useState("");
+  const [placeWhatFits, setPlaceWhatFits] = useState(false);
+  const [layoutStyle, setLayoutStyle] = useState("freeform");
+  const [scoringPreset, setScoringPreset] = useState(DEFAULT_SCORING);
+  const [gridWidth, setGridWidth] = useState("");
+  const [gridHeight, setGridHeight] = useState("");
+  const [skippedEntries, setSkippedEntries] = useState([]);
+  const [importPreview, setImportPreview] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [puzzle, setPuzzle] = useState(sharedLink.puzzle ?? null);
+  const [status, setStatus] = useState(sharedLink.error ?? "");
+  const [statusError, setStatusError] = useState(Boolean(sharedLink.error));
   const [wordSource, setWordSource] = useState("upload");
   const [themePrompt, setThemePrompt] = useState("");
   const [isWordListGenerating, setIsWordListGenerating] = useState(false);
   const [lastGeneratedTheme, setLastGeneratedTheme] = useState("");
   const [showAnswers, setShowAnswers] = useState(false);
   const [cellValues, setCellValues] = useState({});
+  const [cellMarks, setCellMarks] = useState({});
+  const [aidUsage, setAidUsage] = useState({ checks: 0, reveals: 0 });
+  const [solveResult, setSolveResult] = useState(null);
+  // A shared link only offers to pick up an earlier solve of the same puzzle, and a published
+  // one waits until the puzzle has loaded.
+  const [resumeSessions, setResumeSessions] = useState(() =>
+    publishedView
+      ? []
+      : listSessions().filter((session) => !sharedLink.puzzle || session.key === puzzleKey(sharedLink.puzzle)),
+  );
+  const [shareLink, setShareLink] = useState(null);
+  // The "solve together" room this tab is in: { code, isHost, name, puzzle }.
+  const [room, setRoom] = useState(null);
   const [activeCell, setActiveCell] = useState(null);
   const [activeDirection, setActiveDirection] = useState("across");
   const [theme, setTheme] = useState(getInitialTheme);
   const [respectSystem, setRespectSystem] = useState(() => !getStoredTheme());
   const [isGenerating, setIsGenerating] = useState(false);
+  const [editingLayout, setEditingLayout] = useState(false);
+  const [answerByClue, setAnswerByClue] = useState(false);
+  const [editIndex, setEditIndex] = useState(null);
   const [generationSteps, setGenerationSteps] = useState([]);
-  const workerRef = useRef(null);
+  const poolRef = useRef(null);
+  const requestCounterRef = useRef(0);
+  const activeRequestRef = useRef(null);
   const fileInputRef = useRef(null);
+  const restoringRef = useRef(null);
   
   // Auth & Saved Lists State
-  const { currentUser, logout } = useAuth();
+  const { currentUser, logout, guestLogin } = useAuth();
   const [showAuthModal, setShowAuthModal] = useState(false);
   const [showSavedListsModal, setShowSavedListsModal] = useState(false);
+  const [showPublishModal, setShowPublishModal] = useState(false);
+
+  const timer = useSolveTimer();
+  const { reset: resetTimer, pause: pauseTimer, read: readTimer, status: timerStatus } = timer;
+
+  // Undo covers the word list, the puzzle on screen and the solver's letters together.
+  const history = useHistory(
+    () => ({ entries, puzzle, skippedEntries, cellValues, cellMarks }),
+    (snapshot) => {
+      restoringRef.current = snapshot.puzzle !== puzzle ? { activeCell: null } : null;
+      setEntries(snapshot.entries);
+      setPuzzle(snapshot.puzzle);
+      setSkippedEntries(snapshot.skippedEntries);
+      setCellValues(snapshot.cellValues);
+      setCellMarks(snapshot.cellMarks);
+      setEditIndex(null);
+    },
+  );
 
-  const sliderEnabled = entries.length >= MIN_WORDS;
-  const sliderMax = sliderEnabled ? Math.min(MAX_WORDS, entries.length) : MAX_WORDS;
-  const canGenerate = sliderEnabled;
+  const selectableCount = entries.filter((entry) => !entry.excluded).length;
+  const requiredCount = entries.filter((entry) => entry.required && !entry.excluded).length;
+  const sliderEnabled = selectableCount >= MIN_WORDS;
+  const sliderMax = sliderEnabled ? Math.min(MAX_WORDS, selectableCount) : MAX_WORDS;
+  const sliderMin = Math.min(Math.max(MIN_WORDS, requiredCount), sliderMax);
+  const usingBlockLayout = layoutStyle.startsWith("blocks-");
+  const blockGridSize = usingBlockLayout ? Number(layoutStyle.slice("blocks-".length)) : null;
+  const canGenerate = usingBlockLayout ? selectableCount > 0 : sliderEnabled;
   const canDownloadPdf = Boolean(puzzle);
   const showBuilder = entries.length > 0;
-  const showResultsPanel = showBuilder;
+  // Shared puzzles arrive without a word list, so there is nothing to build from: only solve.
+  const solveOnly = Boolean(puzzle) && !showBuilder;
+  const showResultsPanel = showBuilder || solveOnly;
   const usingUploadSource = wordSource === "upload";
   const usingAiSource = wordSource === "ai";
   const aiDisabled = !OPENAI_KEY_CONFIGURED;
   const gridRows = puzzle?.grid.length || 0;
   const gridCols = puzzle?.grid[0]?.length || 0;
   const filledCells = puzzle ? puzzle.grid.flat().filter(Boolean).length : 0;
+  // Hand-edited layouts no longer match any candidate, so the gallery shows none as active.
+  const activeCandidateIndex = puzzle?.candidates?.findIndex((candidate) => candidate.grid === puzzle.grid) ?? 0;
+  const canEditLayout = Boolean(puzzle) && puzzle.style !== "blocks" && !isGenerating && !solveOnly;
+  const answersHidden = Boolean(puzzle?.answersHidden);
+  const activeRoom = room && room.puzzle === puzzle ? room : null;
+  const isPublishedOwner = Boolean(publishedView?.ownerId) && publishedView.ownerId === currentUser?.uid;
+  const editSelection = editingLayout && editIndex !== null ? puzzle?.placements[editIndex] || null : null;
   const gridSummary = puzzle
     ? [
         { label: "Grid", value: `${gridRows}×${gridCols}` },
-        { label: "Words", value: `${puzzle.requestedCount}` },
+        {
+          label: "Words",
+          value:
+            puzzle.placements.length < puzzle.requestedCount
+              ? `${puzzle.placements.length} of ${puzzle.requestedCount}`
+              : `${puzzle.requestedCount}`,
+        },
         { label: "Letters", value: `${filledCells}` },
+        { label: "Seed", value: `${puzzle.seed ?? "—"}` },
       ]
     : [
         { label: "Grid", value: "Awaiting" },
         { label: "Words", value: "—" },
         { label: "Letters", value: "—" },
+        { label: "Seed", value: "—" },
       ];
 
   const statusClass = useMemo(() => {
@@ -134,7 +299,10 @@ export default function App() {
     return set;
   }, [activePlacement]);
 
+  const circledCells = useMemo(() => new Set(puzzle?.circles), [puzzle]);
+
   const activeClueKey = activePlacement ? `${activePlacement.direction}:${activePlacement.number}` : null;
+  const clueAnnouncement = announceClue(activePlacement);
   const canToggleDirection =
     Boolean(activeCellKey) &&
     Boolean(placementLookup.cellMap[activeCellKey]?.across && placementLookup.cellMap[activeCellKey]?.down);
@@ -180,84 +348,211 @@ export default function App() {
 
   useEffect(() => {
     setWordCount((prev) => {
-      const next = Math.min(Math.max(prev, MIN_WORDS), sliderMax || MIN_WORDS);
+      const next = Math.min(Math.max(prev, sliderMin), sliderMax || MIN_WORDS);
       return Number.isNaN(next) ? MIN_WORDS : next;
     });
-  }, [sliderMax]);
+  }, [sliderMin, sliderMax]);
 
   useEffect(() => {
+    // Undo and resumed solves bring back the letters that went with the restored puzzle.
+    const restored = restoringRef.current;
+    restoringRef.current = null;
+    setActiveCell(restored?.activeCell ?? null);
+    if (restored) {
+      return;
+    }
     setCellValues({});
-    setActiveCell(null);
-  }, [puzzle]);
+    setCellMarks({});
+    setAidUsage({ checks: 0, reveals: 0 });
+    resetTimer();
+  }, [puzzle, resetTimer]);
+
+  // The cursor is saved with the solve but doesn't trigger a save by itself,
+  // so moving around the grid never rewrites the whole session.
+  const cursorRef = useRef({ activeCell, activeDirection });
+  useEffect(() => {
+    cursorRef.current = { activeCell, activeDirection };
+  }, [activeCell, activeDirection]);
 
+  // Autosave once the solver has typed something, and again when the page is hidden or closed
+  // so the saved time and cursor are current.
   useEffect(() => {
-    const worker = new Worker(new URL("./workers/crosswordWorker.js", import.meta.url), {
-      type: "module",
-    });
-    workerRef.current = worker;
+    if (!puzzle || timerStatus === "stopped" || Object.keys(cellValues).length === 0) {
+      return undefined;
+    }
+    const save = () =>
+      saveSession(
+        createSession({
+          puzzle,
+          entries,
+          skippedEntries,
+          cellValues,
+          cellMarks,
+          aidUsage,
+          ...cursorRef.current,
+          elapsedMs: readTimer(),
+        }),
+      );
+    const handleHide = () => {
+      if (document.hidden) save();
+    };
+    save();
+    window.addEventListener("pagehide", save);
+    document.addEventListener("visibilitychange", handleHide);
+    return () => {
+      window.removeEventListener("pagehide", save);
+      document.removeEventListener("visibilitychange", handleHide);
+    };
+  }, [puzzle, entries, skippedEntries, cellValues, cellMarks, aidUsage, timerStatus, readTimer]);
 
-    worker.onmessage = (event) => {
-      const { type, puzzle: puzzleData, message } = event.data || {};
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (document.hidden) pauseTimer();
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => document.removeEventListener("visibilitychange", handleVisibility);
+  }, [pauseTimer]);
 
-      if (type === "progress" && message) {
-        setGenerationSteps((prev) => {
-          const lastStep = prev[prev.length - 1];
-          if (lastStep === message) {
-            return prev;
-          }
-          return [message];
-        });
-        return;
+  const { undo, redo } = history;
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const undoing = isUndoShortcut(event);
+      if (!undoing && !isRedoShortcut(event)) return;
+      // Text fields outside the grid keep the browser's own undo.
+      const target = event.target;
+      const isTextField =
+        target instanceof HTMLElement &&
+        (target.isContentEditable || ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName));
+      if (isTextField && !target.classList.contains("cell-input")) return;
+      event.preventDefault();
+      if (undoing) {
+        undo();
+      } else {
+        redo();
       }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [undo, redo]);
 
-      setIsGenerating(false);
-      setGenerationSteps([]);
+  // A new or restored puzzle leaves the room; the others are still solving the old one.
+  useEffect(() => {
+    if (room && room.puzzle !== puzzle) {
+      setRoom(null);
+    }
+  }, [room, puzzle]);
 
-      if (type === "success" && puzzleData) {
-        setPuzzle(puzzleData);
-        setShowAnswers(false);
-        setActiveCell(null);
-        setActiveDirection("across");
-        setStatus(`${puzzleData.requestedCount} words placed on a ${puzzleData.rows}×${puzzleData.cols} grid.`);
-        setStatusError(false);
-      } else {
-        setStatus(message || "Unable to generate crossword.");
+  useEffect(() => {
+    if (!canEditLayout) {
+      setEditingLayout(false);
+      setEditIndex(null);
+    }
+  }, [canEditLayout]);
+
+  const publishedUserId = currentUser?.uid ?? null;
+  useEffect(() => {
+    if (!publishedView?.loading) return undefined;
+    let cancelled = false;
+    fetchPublishedPuzzle(publishedView.id, publishedUserId)
+      .then(({ puzzle: published, details }) => {
+        if (cancelled) return;
+        setPuzzle(published);
+        setPublishedView(details);
+        setResumeSessions(listSessions().filter((session) => session.key === puzzleKey(published)));
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setPublishedView(null);
+        setStatus(error?.message || "Unable to load this puzzle.");
         setStatusError(true);
-      }
+      });
+    return () => {
+      cancelled = true;
     };
+  }, [publishedView, publishedUserId]);
 
-    worker.onerror = () => {
-      setIsGenerating(false);
-      setGenerationSteps([]);
-      setStatus("Generation failed due to an unexpected error.");
-      setStatusError(true);
-    };
+  useEffect(() => {
+    const pool = createGeneratorPool({
+      createWorker: () =>
+        new Worker(new URL("./workers/crosswordWorker.js", import.meta.url), {
+          type: "module",
+        }),
+    });
+    poolRef.current = pool;
 
     return () => {
-      worker.terminate();
+      pool.terminate();
     };
   }, []);
 
+  const loadEntries = (normalized) => {
+    setEntries(normalized);
+    setPuzzle(null);
+    setSkippedEntries([]);
+    setShowAnswers(false);
+    setCellValues({});
+    setStatus(
+      normalized.length >= MIN_WORDS
+        ? `Loaded ${normalized.length} entries. Choose up to ${Math.min(MAX_WORDS, normalized.length)} words.`
+        : `Loaded ${normalized.length} entries. Need ${MIN_WORDS - normalized.length} more to generate.`,
+    );
+    setStatusError(false);
+  };
+
+  // Loads uploaded rows and keeps a report of the ones that were dropped, changed or repeated.
+  const loadUploadedEntries = (raw, fileName) => {
+    const { entries: normalized, report } = normalizeEntriesWithReport(raw);
+    setImportReport({ fileName, report });
+    if (normalized.length === 0) {
+      throw new Error(`None of the rows in ${fileName} could be used. See the import report below.`);
+    }
+    loadEntries(normalized);
+  };
+
   const handleFileChange = async (event) => {
     const file = event.target.files?.[0];
     if (!file) return;
+    setImportPreview(null);
+    setImportReport(null);
+    // Spreadsheets and text lists stop at a preview so the word and clue columns can be picked.
+    const listFormat = wordListFormat(file.name);
+    if (listFormat) {
+      try {
+        const table = readWordListTable(await file.text(), listFormat);
+        if (table.rows.length === 0 && table.errors.length === 0) {
+          throw new Error(`${file.name} is empty.`);
+        }
+        setImportPreview({ fileName: file.name, table });
+        setStatus("");
+      } catch (error) {
+        setStatus(error.message || "Unable to read that file.");
+        setStatusError(true);
+      }
+      return;
+    }
+    history.record();
     try {
+      // Puzzle files come finished, with no word list behind them, so they open to solve.
+      const format = file.name.match(/\.(i?puz)$/i)?.[1].toLowerCase();
+      if (format) {
+        const imported = format === "puz" ? parsePuz(await file.arrayBuffer()) : parseIpuz(await file.text());
+        cancelActiveGeneration();
+        setEntries([]);
+        setPuzzle(imported);
+        setSkippedEntries([]);
+        setShowAnswers(false);
+        setCellValues({});
+        setStatus(`Imported ${imported.title ? `"${imported.title}"` : file.name}.`);
+        setStatusError(false);
+        return;
+      }
       const text = await file.text();
       const parsed = JSON.parse(text);
-      const normalized = normalizeEntries(parsed);
-      setEntries(normalized);
-      setPuzzle(null);
-      setShowAnswers(false);
-      setCellValues({});
-      setStatus(
-        normalized.length >= MIN_WORDS
-          ? `Loaded ${normalized.length} entries. Choose up to ${Math.min(MAX_WORDS, normalized.length)} words.`
-          : `Loaded ${normalized.length} entries. Need ${MIN_WORDS - normalized.length} more to generate.`,
-      );
-      setStatusError(false);
+      loadUploadedEntries(parsed, file.name);
     } catch (error) {
       setEntries([]);
       setPuzzle(null);
+      setSkippedEntries([]);
       setShowAnswers(false);
       setCellValues({});
       setStatus(error.message || "Invalid JSON file.");
@@ -265,6 +560,43 @@ export default function App() {
     }
   };
 
+  const handleImportWordList = (items) => {
+    const fileName = importPreview?.fileName ?? "";
+    setImportPreview(null);
+    resetFileInput();
+    history.record();
+    try {
+      loadUploadedEntries(items, fileName);
+    } catch (error) {
+      setStatus(error.message);
+      setStatusError(true);
+    }
+  };
+
+  const handleLoadSavedList = (savedEntries) => {
+    let loadedEntries;
+    try {
+      loadedEntries = normalizeEntries(savedEntries);
+    } catch (error) {
+      setStatus(`This saved list can't be loaded. ${error.message}`);
+      setStatusError(true);
+      return;
+    }
+    history.record();
+    setEntries(loadedEntries);
+    setPuzzle(null);
+    setSkippedEntries([]);
+    setShowAnswers(false);
+    setCellValues({});
+    setStatus(`Loaded ${loadedEntries.length} entries from saved list.`);
+    setStatusError(false);
+  };
+
+  const handleCancelWordList = () => {
+    setImportPreview(null);
+    resetFileInput();
+  };
+
   const handleThemeWordGeneration = async (event) => {
     event?.preventDefault();
     if (isWordListGenerating) return;
@@ -283,9 +615,12 @@ export default function App() {
     try {
       const desiredCount = Math.min(MAX_WORDS, Math.max(wordCount + 5, MIN_WORDS));
       const generated = await generateWordListFromTheme(sanitizedTheme, { count: desiredCount });
+      history.record();
       setEntries(generated);
       setPuzzle(null);
+      setSkippedEntries([]);
       setCellValues({});
+      setImportReport(null);
       resetFileInput();
       setLastGeneratedTheme(sanitizedTheme);
       setStatus(
@@ -300,18 +635,97 @@ export default function App() {
     }
   };
 
+  const cancelActiveGeneration = () => {
+    if (activeRequestRef.current === null || !poolRef.current) {
+      return false;
+    }
+    poolRef.current.cancel();
+    activeRequestRef.current = null;
+    return true;
+  };
+
+  const handleCancelGeneration = (reason = "Generation cancelled.") => {
+    if (!cancelActiveGeneration()) return;
+    setIsGenerating(false);
+    setGenerationSteps([]);
+    setStatus(reason);
+    setStatusError(false);
+  };
+
   const handleGenerate = () => {
-    if (!workerRef.current) {
+    if (!poolRef.current) {
       setStatus("Puzzle generator not ready. Please try again.");
       setStatusError(true);
       return;
     }
+    cancelActiveGeneration();
+    requestCounterRef.current += 1;
+    const requestId = requestCounterRef.current;
+    activeRequestRef.current = requestId;
     setIsGenerating(true);
     setStatus("Generating crossword...");
     setStatusError(false);
     setShowAnswers(false);
     setGenerationSteps(["Starting puzzle generation…"]);
-    workerRef.current.postMessage({ entries, wordCount });
+    const seed = seedInput.trim() || undefined;
+    const isCurrent = () => activeRequestRef.current === requestId;
+    const finish = () => {
+      activeRequestRef.current = null;
+      setIsGenerating(false);
+      setGenerationSteps([]);
+    };
+    const handleProgress = (message) => {
+      if (!isCurrent()) return;
+      setGenerationSteps((prev) => (prev[prev.length - 1] === message ? prev : [message]));
+    };
+    poolRef.current
+      .generate(
+        {
+          entries,
+          wordCount,
+          seed,
+          timeBudgetMs: GENERATION_TIME_BUDGET_MS,
+          maxNodes: GENERATION_MAX_NODES,
+          candidates: LAYOUT_CANDIDATES,
+          width: parseDimension(gridWidth),
+          height: parseDimension(gridHeight),
+          placeWhatFits,
+          scoring: scoringPreset,
+          style: usingBlockLayout ? "blocks" : "freeform",
+          size: blockGridSize,
+        },
+        { onProgress: handleProgress },
+      )
+      .then((puzzleData) => {
+        if (!isCurrent()) return;
+        finish();
+        history.record();
+        setPuzzle(puzzleData);
+        setSkippedEntries(puzzleData.unplaced || []);
+        setShowAnswers(false);
+        setActiveCell(null);
+        setActiveDirection("across");
+        setStatus(describeGeneratedPuzzle(puzzleData));
+        setStatusError(false);
+      })
+      .catch((error) => {
+        if (!isCurrent()) return;
+        finish();
+        if (isAbortError(error)) {
+          setStatus("Generation cancelled.");
+          setStatusError(false);
+          return;
+        }
+        setStatus(error?.message || "Unable to generate crossword.");
+        setStatusError(true);
+      });
+  };
+
+  const handleWordCountChange = (value) => {
+    setWordCount(value);
+    if (isGenerating) {
+      handleCancelGeneration("Word count changed. Generate again to use the new count.");
+    }
   };
 
   const handleDownloadPdf = async () => {
@@ -384,6 +798,22 @@ export default function App() {
     }
   };
 
+  const handleExportPuzzle = (format) => {
+    if (!puzzle) return;
+    try {
+      const blob =
+        format === "puz"
+          ? new Blob([writePuz(puzzle)], { type: "application/octet-stream" })
+          : new Blob([JSON.stringify(toIpuz(puzzle), null, 2)], { type: "application/json" });
+      downloadFile(blob, `crossword.${format}`);
+      setStatus(`.${format} file downloaded.`);
+      setStatusError(false);
+    } catch (error) {
+      setStatus(error?.message || "Unable to export this puzzle.");
+      setStatusError(true);
+    }
+  };
+
   const applyThemeChoice = (value) => {
     if (value === "system") {
       setRespectSystem(true);
@@ -394,20 +824,36 @@ export default function App() {
     }
   };
 
+  // Writes one square (an empty `nextChar` clears it) and returns the new values.
+  // Checked and revealed letters stay put.
+  const setCellLetter = (row, col, nextChar) => {
+    const key = `${row}-${col}`;
+    if (isLockedMark(cellMarks[key]) || nextChar === (cellValues[key] || "")) return cellValues;
+    history.record(`cells:${activeClueKey ?? key}`);
+    if (cellMarks[key]) {
+      setCellMarks((prev) => withMark(prev, key, markAfterInput(prev[key], nextChar, puzzle.grid[row][col])));
+    }
+    const updated = { ...cellValues };
+    if (nextChar) {
+      updated[key] = nextChar;
+    } else {
+      delete updated[key];
+    }
+    setCellValues(updated);
+    if (nextChar) {
+      timer.start();
+    }
+    finishIfSolved(updated, aidUsage);
+    return updated;
+  };
+
   const handleCellInput = (row, col, value) => {
     const key = `${row}-${col}`;
     const previousChar = cellValues[key] || "";
     const sanitized = value.toUpperCase().replace(/[^A-Z]/g, "");
     const nextChar = sanitized.slice(-1);
-    setCellValues((prev) => {
-      const updated = { ...prev };
-      if (nextChar) {
-        updated[key] = nextChar;
-      } else {
-        delete updated[key];
-      }
-      return updated;
-    });
+    // Locked letters aren't rewritten, but typing still moves along the word.
+    const updated = setCellLetter(row, col, nextChar);
 
     if (showAnswers) {
       return;
@@ -423,14 +869,9 @@ export default function App() {
     const placement = direction ? placementOptions[direction] : null;
     if (!placement) return;
 
-    const index = direction === "across" ? col - placement.col : row - placement.row;
+    const index = indexInWord(placement, { row, col });
     if (nextChar) {
-      if (index >= placement.word.length - 1) {
-        return;
-      }
-      const nextRow = direction === "across" ? row : row + 1;
-      const nextCol = direction === "across" ? col + 1 : col;
-      setActiveCell({ row: nextRow, col: nextCol });
+      setActiveCell(nextCellAfterTyping(placement, index, updated));
       setActiveDirection(direction);
       return;
     }
@@ -473,6 +914,111 @@ export default function App() {
     setActiveDirection(nextDirection);
   };
 
+  // Moves the cursor, keeping the current direction when the new cell has a word that way.
+  const moveCursor = (cell, preferredDirection = activeDirection) => {
+    const placementOptions = placementLookup.cellMap[`${cell.row}-${cell.col}`];
+    if (!placementOptions) return;
+    const direction = [preferredDirection, activeDirection, "across", "down"].find(
+      (option) => placementOptions[option],
+    );
+    setActiveCell(cell);
+    setActiveDirection(direction);
+  };
+
+  const handleCellKeyDown = (row, col, event) => {
+    if (!puzzle || showAnswers || event.altKey || event.ctrlKey || event.metaKey) return;
+    const key = `${row}-${col}`;
+    const placementOptions = placementLookup.cellMap[key] || {};
+    const placement = placementOptions[activeDirection] || placementOptions.across || placementOptions.down;
+    if (!placement) return;
+
+    if (isArrowKey(event.key)) {
+      event.preventDefault();
+      const axis = arrowDirection(event.key);
+      // Pressing across the current direction turns the cursor first, then moves it.
+      if (axis !== placement.direction && placementOptions[axis]) {
+        setActiveDirection(axis);
+        return;
+      }
+      const next = moveByArrow(puzzle.grid, { row, col }, event.key);
+      if (next) moveCursor(next, axis);
+      return;
+    }
+
+    switch (event.key) {
+      case "Tab": {
+        event.preventDefault();
+        const target = adjacentClue(puzzle.placements, placement, event.shiftKey ? -1 : 1);
+        if (target) moveCursor(firstEmptyCell(target, cellValues), target.direction);
+        break;
+      }
+      case " ":
+        event.preventDefault();
+        handleCellSelect(row, col, { toggleDirection: true });
+        break;
+      case "Home":
+      case "End": {
+        event.preventDefault();
+        const cells = wordCells(placement);
+        moveCursor(event.key === "Home" ? cells[0] : cells[cells.length - 1], placement.direction);
+        break;
+      }
+      case "Backspace": {
+        // On an empty square, backspace steps back and clears the previous letter.
+        if (cellValues[key]) return;
+        event.preventDefault();
+        const index = indexInWord(placement, { row, col });
+        if (index === 0) return;
+        const previous = wordCells(placement)[index - 1];
+        setCellLetter(previous.row, previous.col, "");
+        moveCursor(previous, placement.direction);
+        break;
+      }
+      default:
+        break;
+    }
+  };
+
+  const getCellLabel = (row, col) => {
+    const key = `${row}-${col}`;
+    return describeCell(placementLookup.cellMap[key], { row, col }, activeDirection, cellMarks[key]);
+  };
+
+  const handleAnswerChange = (placement, text) => {
+    // A space keeps its square blank, so letters always line up with the squares they fill.
+    const letters = text.toUpperCase().replace(/[^A-Z ]/g, "");
+    const updated = { ...cellValues };
+    const changed = [];
+    wordCells(placement).forEach(({ row, col }, index) => {
+      const key = `${row}-${col}`;
+      const letter = letters[index]?.trim() || "";
+      if (isLockedMark(cellMarks[key]) || letter === (cellValues[key] || "")) return;
+      changed.push(key);
+      if (letter) {
+        updated[key] = letter;
+      } else {
+        delete updated[key];
+      }
+    });
+    if (!changed.length) return;
+    history.record(`answer:${placement.direction}:${placement.number}`);
+    if (changed.some((key) => cellMarks[key])) {
+      setCellMarks((prev) => {
+        let next = prev;
+        changed.forEach((key) => {
+          const [row, col] = key.split("-").map(Number);
+          if (next[key]) next = withMark(next, key, markAfterInput(next[key], updated[key], puzzle.grid[row][col]));
+        });
+        return next;
+      });
+    }
+    setCellValues(updated);
+    if (letters.trim()) {
+      timer.start();
+    }
+    finishIfSolved(updated, aidUsage);
+  };
+
   const handleClueSelect = (direction, number) => {
     if (!puzzle) return;
     const placement = placementLookup.clueMap.get(`${direction}:${number}`);
@@ -486,27 +1032,385 @@ export default function App() {
     handleCellSelect(activeCell.row, activeCell.col, { toggleDirection: true });
   };
 
+  const aidTargets = (scope) => {
+    if (!puzzle) return [];
+    if (scope === "puzzle") return gridCellKeys(puzzle.grid);
+    if (scope === "word") return activePlacement ? wordCellKeys(activePlacement) : [];
+    return activeCellKey ? [activeCellKey] : [];
+  };
+
+  const handleCheck = (scope) => {
+    const keys = aidTargets(scope);
+    if (!keys.length) return;
+    history.record();
+    const marks = checkCells(puzzle.grid, cellValues, cellMarks, keys);
+    setCellMarks(marks);
+    setAidUsage((prev) => ({ ...prev, checks: prev.checks + 1 }));
+    const wrong = keys.filter((key) => marks[key] === CELL_MARKS.WRONG).length;
+    const filled = keys.filter((key) => cellValues[key]).length;
+    setStatus(
+      filled === 0
+        ? "Nothing to check yet. Fill in some letters first."
+        : wrong
+          ? `${wrong} of ${filled} letters ${wrong === 1 ? "is" : "are"} wrong.`
+          : `All ${filled} letters checked are right.`,
+    );
+    setStatusError(false);
+  };
+
+  const handleReveal = (scope) => {
+    const keys = aidTargets(scope);
+    if (!keys.length) return;
+    history.record();
+    const revealed = revealCells(puzzle.grid, cellValues, cellMarks, keys);
+    const usage = { ...aidUsage, reveals: aidUsage.reveals + 1 };
+    setCellValues(revealed.cellValues);
+    setCellMarks(revealed.cellMarks);
+    setAidUsage(usage);
+    timer.start();
+    finishIfSolved(revealed.cellValues, usage);
+  };
+
+  // The Reveal toggle only shows the answers over the grid; it never fills in the solver's letters,
+  // so it can't finish a solve. Turning it on counts as one reveal per puzzle, however often it's
+  // toggled.
+  const handleShowAnswers = (show) => {
+    setShowAnswers(show);
+    if (show) {
+      setAidUsage((prev) => (prev.answersShown ? prev : { ...prev, reveals: prev.reveals + 1, answersShown: true }));
+    }
+  };
+
+  const finishIfSolved = (values, usage) => {
+    if (!puzzle || !isPuzzleComplete(puzzle.grid, values)) {
+      return;
+    }
+    // `stop` returns null once the timer has stopped, so a solve is only recorded once.
+    const elapsedMs = timer.stop();
+    if (elapsedMs === null) {
+      return;
+    }
+    const record = createSolveRecord(puzzle, { elapsedMs, ...usage });
+    removeSession(record.puzzleKey);
+    const userId = currentUser?.uid;
+    const records = saveLocalSolve(userId, record);
+    setSolveResult({ record, summary: summarizeSolves(records), syncing: Boolean(userId) });
+    setStatus("Puzzle solved!");
+    setStatusError(false);
+    if (!userId) return;
+
+    // Signed-in stats come from Firestore so they cover every device; the local copy is the
+    // fallback when the sync fails.
+    saveRemoteSolve(userId, record)
+      .then(() => fetchRemoteSolves(userId))
+      .then((remote) => {
+        setSolveResult((prev) =>
+          prev?.record === record ? { ...prev, summary: summarizeSolves(remote), syncing: false } : prev,
+        );
+      })
+      .catch(() => {
+        setSolveResult((prev) => (prev?.record === record ? { ...prev, syncing: false } : prev));
+        setStatus("Puzzle solved! Your time is saved on this device but couldn't be synced.");
+      });
+  };
+
+  const handleRemoteCells = (changes) => {
+    const updated = { ...cellValues };
+    Object.entries(changes).forEach(([key, letter]) => {
+      if (letter) {
+        updated[key] = letter;
+      } else {
+        delete updated[key];
+      }
+    });
+    setCellValues(updated);
+    if (Object.values(changes).some(Boolean)) {
+      timer.start();
+    }
+    finishIfSolved(updated, aidUsage);
+  };
+
+  const roomSync = useRoom(activeRoom, {
+    userId: currentUser?.uid,
+    name: activeRoom?.name,
+    cellValues,
+    activeCell,
+    activeDirection,
+    onRemoteCells: handleRemoteCells,
+    onError: (error) => {
+      setStatus(`Lost touch with room ${activeRoom?.code}: ${error?.message || "unknown error"}`);
+      setStatusError(true);
+    },
+  });
+  const peerCells = useMemo(
+    () => (puzzle ? peerHighlights(roomSync.peers, puzzle.placements) : {}),
+    [roomSync.peers, puzzle],
+  );
+
+  const signInForRoom = async () => currentUser ?? (await guestLogin()).user;
+
+  const handleStartRoom = async () => {
+    if (!puzzle) return;
+    const roomPuzzle = puzzle;
+    try {
+      const user = await signInForRoom();
+      const code = await createRoom(user, roomPuzzle);
+      setRoom({ code, isHost: true, name: displayNameOf(user), puzzle: roomPuzzle });
+      setStatus(`Room ${code} is open. Share the code so others can join.`);
+      setStatusError(false);
+    } catch (error) {
+      setStatus(error?.message || "Unable to open a room.");
+      setStatusError(true);
+    }
+  };
+
+  const handleJoinRoom = async (code, name) => {
+    try {
+      const user = await signInForRoom();
+      const joined = await joinRoom(code);
+      cancelActiveGeneration();
+      history.record();
+      setEntries([]);
+      setSkippedEntries([]);
+      setShowAnswers(false);
+      setPuzzle(joined.puzzle);
+      setRoom({ code: joined.code, isHost: joined.hostId === user.uid, name, puzzle: joined.puzzle });
+      setStatus(`Joined room ${joined.code}.`);
+      setStatusError(false);
+    } catch (error) {
+      setStatus(error?.message || "Unable to join that room.");
+      setStatusError(true);
+    }
+  };
+
+  const handleResumeSession = (key) => {
+    const session = loadSession(key);
+    setResumeSessions([]);
+    if (!session) {
+      removeSession(key);
+      setStatus("That saved puzzle couldn't be loaded.");
+      setStatusError(true);
+      return;
+    }
+    cancelActiveGeneration();
+    history.record();
+    restoringRef.current = { activeCell: session.activeCell || null };
+    setEntries(session.entries || []);
+    setPuzzle(session.puzzle);
+    setSkippedEntries(session.skippedEntries || []);
+    setCellValues(session.cellValues || {});
+    setCellMarks(session.cellMarks || {});
+    setAidUsage(session.aidUsage || { checks: 0, reveals: 0 });
+    setActiveDirection(session.activeDirection || "across");
+    setShowAnswers(false);
+    timer.restore(session.elapsedMs || 0);
+    setStatus(`Resumed your puzzle: ${session.filled} of ${session.total} letters filled.`);
+    setStatusError(false);
+  };
+
+  // Opening another share link in a tab that's already on the site only changes the hash, so the
+  // page doesn't reload. Open the new puzzle the way a fresh load would.
+  const handleSharedLinkChange = () => {
+    const link = loadSharedPuzzle();
+    if (link.error) {
+      setStatus(link.error);
+      setStatusError(true);
+      return;
+    }
+    if (!link.puzzle) return;
+    cancelActiveGeneration();
+    history.record();
+    setEntries([]);
+    setSkippedEntries([]);
+    setPublishedView(null);
+    setShowAnswers(false);
+    setPuzzle(link.puzzle);
+    setResumeSessions(listSessions().filter((session) => session.key === puzzleKey(link.puzzle)));
+    setStatus("");
+    setStatusError(false);
+  };
+
+  useEffect(() => {
+    window.addEventListener("hashchange", handleSharedLinkChange);
+    return () => window.removeEventListener("hashchange", handleSharedLinkChange);
+  });
+
+  const handleDiscardSession = (key) => {
+    removeSession(key);
+    setResumeSessions(listSessions());
+  };
+
+  const handleSelectCandidate = (index) => {
+    const candidate = puzzle?.candidates?.[index];
+    if (!candidate || index === activeCandidateIndex) return;
+    history.record();
+    setPuzzle({ ...candidate, candidates: puzzle.candidates });
+    setSkippedEntries(candidate.unplaced || []);
+    setShowAnswers(false);
+    setActiveDirection("across");
+    setStatus(`Showing layout ${index + 1} of ${puzzle.candidates.length}. ${describeGeneratedPuzzle(candidate)}`);
+    setStatusError(false);
+  };
+
+  const applyLayoutEdit = (edit, describe) => {
+    try {
+      const next = edit(puzzle);
+      history.record();
+      setPuzzle(next);
+      setSkippedEntries(next.unplaced || []);
+      setStatus(`${describe} ${next.placements.length} words on a ${next.rows}×${next.cols} grid.`);
+      setStatusError(false);
+      return next;
+    } catch (error) {
+      setStatus(error?.message || "That edit isn't allowed.");
+      setStatusError(true);
+      return null;
+    }
+  };
+
+  // Clicking a crossing again switches between the two words that run through it.
+  const handleEditSelect = (row, col) => {
+    const reselect = editSelection && placementAt(puzzle, row, col, editSelection.direction) === editIndex;
+    const preferred = reselect ? (editSelection.direction === "across" ? "down" : "across") : "across";
+    const index = placementAt(puzzle, row, col, preferred);
+    setEditIndex(index === -1 ? null : index);
+  };
+
+  const handleEditDrop = (payload, row, col) => {
+    const { direction, offset = 0 } = payload;
+    const start = {
+      row: direction === "down" ? row - offset : row,
+      col: direction === "across" ? col - offset : col,
+      direction,
+    };
+    if (payload.source === "placement") {
+      const word = puzzle.placements[payload.index]?.word;
+      if (applyLayoutEdit((current) => moveWord(current, payload.index, start), `Moved ${word}.`)) {
+        setEditIndex(payload.index);
+      }
+      return;
+    }
+    const next = applyLayoutEdit(
+      (current) => addWord(current, payload.entry, start),
+      `Added ${sanitizeWord(payload.entry.word)}.`,
+    );
+    if (next) setEditIndex(next.placements.length - 1);
+  };
+
+  const handleFlipSelection = () => {
+    if (editIndex === null) return;
+    applyLayoutEdit((current) => flipWord(current, editIndex), `Flipped ${editSelection.word}.`);
+  };
+
+  const handleDeleteSelection = () => {
+    if (editIndex === null) return;
+    if (applyLayoutEdit((current) => removeWord(current, editIndex), `Removed ${editSelection.word}.`)) {
+      setEditIndex(null);
+    }
+  };
+
+  const handleAddEntry = (entry, direction) => {
+    const next = applyLayoutEdit(
+      (current) => addWord(current, entry, { direction }),
+      `Added ${sanitizeWord(entry.word)}.`,
+    );
+    if (next) setEditIndex(next.placements.length - 1);
+  };
+
+  const handleUpdateSkippedEntry = (original, updated) => {
+    history.record();
+    setEntries((prev) => prev.map((entry) => (isSameEntry(entry, original) ? updated : entry)));
+    setSkippedEntries((prev) => prev.filter((entry) => !isSameEntry(entry, original)));
+    setStatus(`Updated ${updated.word}. Generate again to try it in the grid.`);
+    setStatusError(false);
+  };
+
+  const handleRemoveSkippedEntry = (removed) => {
+    history.record();
+    setEntries((prev) => prev.filter((entry) => !isSameEntry(entry, removed)));
+    setSkippedEntries((prev) => prev.filter((entry) => !isSameEntry(entry, removed)));
+    setStatus(`Removed ${removed.word} from the word list.`);
+    setStatusError(false);
+  };
+
+  const handleToggleEntryFlag = (target, flag) => {
+    history.record();
+    setEntries((prev) =>
+      prev.map((entry) => {
+        if (!isSameEntry(entry, target)) return entry;
+        const { required: _required, excluded: _excluded, ...rest } = entry;
+        const enabled = !entry[flag];
+        return enabled ? { ...rest, [flag]: true } : rest;
+      }),
+    );
+  };
+
+  const handleDownloadWordList = () => {
+    const blob = new Blob([JSON.stringify(serializeEntries(entries), null, 2)], {
+      type: "application/json",
+    });
+    downloadFile(blob, "word-list.json");
+  };
+
   const resetFileInput = () => {
     if (fileInputRef.current) {
       fileInputRef.current.value = "";
     }
   };
 
+  const handleShareLink = async () => {
+    if (!puzzle) return;
+    const url = createShareUrl(puzzle);
+    setShareLink({ puzzle, url });
+    try {
+      await navigator.clipboard.writeText(url);
+      setStatus("Share link copied. Anyone who opens it can solve this puzzle.");
+    } catch {
+      setStatus("Copy the share link below to send this puzzle.");
+    }
+    setStatusError(false);
+  };
+
+  const handleLeaveSharedPuzzle = () => {
+    const path = publishedView ? "/" : `${window.location.pathname}${window.location.search}`;
+    window.history.replaceState(null, "", path);
+    setPublishedView(null);
+    handleResetAll();
+  };
+
+  const handleUnpublishPuzzle = async () => {
+    if (!confirm("Unpublish this puzzle? Its link will stop working.")) return;
+    try {
+      await unpublishPuzzle(publishedView.id, publishedView);
+      handleLeaveSharedPuzzle();
+      setStatus("Puzzle unpublished.");
+      setStatusError(false);
+    } catch (error) {
+      setStatus(error?.message || "Unable to unpublish this puzzle.");
+      setStatusError(true);
+    }
+  };
+
   const handleResetAll = () => {
+    cancelActiveGeneration();
+    history.record();
+    setIsGenerating(false);
     setEntries([]);
     setPuzzle(null);
+    setSkippedEntries([]);
     setShowAnswers(false);
     setCellValues({});
     setGenerationSteps([]);
     setIsWordListGenerating(false);
     setThemePrompt("");
     setLastGeneratedTheme("");
+    setImportReport(null);
     setStatus("");
     setStatusError(false);
     resetFileInput();
   };
   return (
-    <main className={`app-shell ${showBuilder ? "mode-builder" : "mode-upload"}`}>
+    <main className={`app-shell ${showResultsPanel ? "mode-builder" : "mode-upload"}`}>
       <header className="app-header">
         <div className="brand">
           <span className="logo-grid" aria-hidden="true">
@@ -516,6 +1420,26 @@ export default function App() {
           </span>
           <p>Crossword Studio</p>
         </div>
+        <div className="history-controls">
+          <button
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={undo}
+            disabled={!history.canUndo}
+            title="Undo (Ctrl+Z)"
+          >
+            Undo
+          </button>
+          <button
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={redo}
+            disabled={!history.canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+          >
+            Redo
+          </button>
+        </div>
         <label className="theme-select">
           <span className="sr-only">Theme</span>
           <select
@@ -555,7 +1479,11 @@ export default function App() {
         </div>
       </header>
 
-      {!showBuilder ? (
+      {solveOnly ? null : publishedView?.loading ? (
+        <section className="panel upload-only" aria-busy="true">
+          <p className="upload-tip">Loading puzzle…</p>
+        </section>
+      ) : !showBuilder ? (
         <section className="panel upload-only" aria-label="Select word source">
           <div className="word-source-toggle" role="tablist" aria-label="Word source options">
             <button
@@ -566,7 +1494,7 @@ export default function App() {
               onClick={() => setWordSource("upload")}
             >
               <span className="option-eyebrow">Option 1</span>
-              <strong>Upload a JSON list</strong>
+              <strong>Upload a word list</strong>
               <p>Use your own curated entries.</p>
             </button>
             <button
@@ -588,7 +1516,7 @@ export default function App() {
                 ref={fileInputRef}
                 type="file"
                 id="wordFile"
-                accept="application/json"
+                accept={`application/json,.json,${WORD_LIST_ACCEPT},.puz,.ipuz`}
                 onChange={handleFileChange}
                 className="input-hidden"
               />
@@ -600,9 +1528,25 @@ export default function App() {
                 </div>
                 <div>
                   <strong>Drag & drop or click to upload</strong>
-                  <p>Accepts .json files.</p>
+                  <p>Accepts .json, .csv, .tsv or .txt word lists and .puz or .ipuz puzzles.</p>
                 </div>
               </label>
+              {importPreview ? (
+                <ColumnMappingPreview
+                  key={importPreview.fileName}
+                  fileName={importPreview.fileName}
+                  table={importPreview.table}
+                  onImport={handleImportWordList}
+                  onCancel={handleCancelWordList}
+                />
+              ) : null}
+              {importReport ? (
+                <ImportReport
+                  fileName={importReport.fileName}
+                  report={importReport.report}
+                  onDismiss={() => setImportReport(null)}
+                />
+              ) : null}
             </>
           ) : (
             <form className="ai-generator" onSubmit={handleThemeWordGeneration}>
@@ -657,9 +1601,15 @@ export default function App() {
             </div>
           ) : (
             <p className="upload-tip">
-              {usingUploadSource ? "Upload a JSON file to get started." : "Describe a theme to create a fresh list."}
+              {usingUploadSource ? "Upload a word list or puzzle file to get started." : "Describe a theme to create a fresh list."}
             </p>
           )}
+
+          <div className="join-room-section">
+            <p className="section-label">Solve together</p>
+            <p className="muted">Got a room code from your host? Join their puzzle.</p>
+            <JoinRoomForm defaultName={currentUser?.displayName || ""} onJoin={handleJoinRoom} />
+          </div>
         </section>
       ) : (
         <>
@@ -667,7 +1617,10 @@ export default function App() {
             <div className="builder-header">
               <div>
                 <p className="section-label">Word list</p>
-                <p className="entry-count">{entries.length} entries</p>
+                <p className="entry-count">
+                  {entries.length} entries
+                  {entries.length > selectableCount ? ` (${selectableCount} available)` : ""}
+                </p>
               </div>
               <button type="button" className="text-button" onClick={handleResetAll}>
                 Choose another list
@@ -676,30 +1629,143 @@ export default function App() {
 
             <div className="slider-field condensed">
               <div className="slider-inline">
-                <span>Words in grid</span>
+                <label htmlFor="wordCount">Words in grid</label>
                 <strong>{wordCount}</strong>
               </div>
               <input
                 type="range"
-                min={MIN_WORDS}
+                min={sliderMin}
                 max={sliderMax}
                 value={wordCount}
-                onChange={(event) => setWordCount(Number(event.target.value))}
-                disabled={!sliderEnabled}
+                onChange={(event) => handleWordCountChange(Number(event.target.value))}
+                disabled={!sliderEnabled || usingBlockLayout}
                 id="wordCount"
               />
             </div>
 
+            <WordListPanel
+              entries={entries}
+              onToggleFlag={handleToggleEntryFlag}
+              onDownload={handleDownloadWordList}
+            />
+
+            {importReport ? (
+              <ImportReport
+                fileName={importReport.fileName}
+                report={importReport.report}
+                onDismiss={() => setImportReport(null)}
+              />
+            ) : null}
+
+            <div className="builder-options">
+              <div className="option-field">
+                <label htmlFor="layoutStyle">Layout</label>
+                <select
+                  id="layoutStyle"
+                  value={layoutStyle}
+                  onChange={(event) => setLayoutStyle(event.target.value)}
+                >
+                  {LAYOUT_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="option-field">
+                <label htmlFor="scoringPreset">Layout goal</label>
+                <select
+                  id="scoringPreset"
+                  value={scoringPreset}
+                  onChange={(event) => setScoringPreset(event.target.value)}
+                  disabled={usingBlockLayout}
+                  title={SCORING_PRESETS[scoringPreset]?.description}
+                >
+                  {Object.entries(SCORING_PRESETS).map(([id, preset]) => (
+                    <option key={id} value={id}>
+                      {preset.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="option-field option-field--narrow">
+                <label htmlFor="gridWidth">Width</label>
+                <input
+                  id="gridWidth"
+                  type="number"
+                  min={MIN_GRID_DIMENSION}
+                  max={MAX_GRID_DIMENSION}
+                  value={gridWidth}
+                  onChange={(event) => setGridWidth(event.target.value)}
+                  disabled={usingBlockLayout}
+                  placeholder="Auto"
+                />
+              </div>
+              <div className="option-field option-field--narrow">
+                <label htmlFor="gridHeight">Height</label>
+                <input
+                  id="gridHeight"
+                  type="number"
+                  min={MIN_GRID_DIMENSION}
+                  max={MAX_GRID_DIMENSION}
+                  value={gridHeight}
+                  onChange={(event) => setGridHeight(event.target.value)}
+                  disabled={usingBlockLayout}
+                  placeholder="Auto"
+                />
+              </div>
+              <div className="option-field">
+                <label htmlFor="seedInput">Seed</label>
+                <input
+                  id="seedInput"
+                  type="text"
+                  value={seedInput}
+                  onChange={(event) => setSeedInput(event.target.value)}
+                  placeholder="Random"
+                  autoComplete="off"
+                />
+              </div>
+              <label className={`switch ${usingBlockLayout ? "is-disabled" : ""}`}>
+                <input
+                  type="checkbox"
+                  disabled={usingBlockLayout}
+                  checked={placeWhatFits}
+                  onChange={(event) => setPlaceWhatFits(event.target.checked)}
+                />
+                <span className="switch-handle" aria-hidden="true" />
+                <span className="switch-label">Place what fits</span>
+              </label>
+              {puzzle?.seed !== undefined ? (
+                <button
+                  type="button"
+                  className="text-button"
+                  onClick={() => setSeedInput(String(puzzle.seed))}
+                  disabled={seedInput === String(puzzle.seed)}
+                >
+                  Reuse seed {puzzle.seed}
+                </button>
+              ) : null}
+            </div>
+
             <div className="actions compact builder-actions">
               <button
                 type="button"
                 className="btn btn-primary"
-                disabled={!canGenerate || isGenerating}
+                disabled={!canGenerate}
                 onClick={handleGenerate}
                 aria-busy={isGenerating}
               >
-                {isGenerating ? "Generating…" : "Generate"}
+                {isGenerating ? "Restart" : "Generate"}
               </button>
+              {isGenerating ? (
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  onClick={() => handleCancelGeneration()}
+                >
+                  Cancel
+                </button>
+              ) : null}
               <button
                 type="button"
                 className="btn btn-secondary"
@@ -708,6 +1774,47 @@ export default function App() {
               >
                 Print PDF
               </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={!puzzle || isGenerating}
+                onClick={() => handleExportPuzzle("puz")}
+              >
+                Save .puz
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={!puzzle || isGenerating}
+                onClick={() => handleExportPuzzle("ipuz")}
+              >
+                Save .ipuz
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={!puzzle || isGenerating}
+                onClick={handleShareLink}
+              >
+                Share
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={!puzzle || isGenerating}
+                onClick={() => (currentUser ? setShowPublishModal(true) : setShowAuthModal(true))}
+                title={currentUser ? undefined : "Sign in to publish"}
+              >
+                Publish
+              </button>
+              <button
+                type="button"
+                className="btn btn-secondary"
+                disabled={!puzzle || isGenerating || Boolean(activeRoom)}
+                onClick={handleStartRoom}
+              >
+                Solve together
+              </button>
               <button type="button" className="btn btn-tertiary" onClick={handleResetAll}>
                 Reset
               </button>
@@ -717,132 +1824,314 @@ export default function App() {
                 {status}
               </p>
             ) : null}
+            {puzzle && shareLink?.puzzle === puzzle ? (
+              <div className="field-group share-link">
+                <label htmlFor="shareLink">Share link</label>
+                <input
+                  id="shareLink"
+                  type="url"
+                  value={shareLink.url}
+                  readOnly
+                  onFocus={(event) => event.target.select()}
+                />
+                <p className="field-hint">
+                  The answers travel inside the link, so don&apos;t post it where solvers can read it.
+                </p>
+              </div>
+            ) : null}
+            <SkippedWordsPanel
+              entries={skippedEntries}
+              stoppedBy={puzzle?.stoppedBy}
+              onUpdateEntry={handleUpdateSkippedEntry}
+              onRemoveEntry={handleRemoveSkippedEntry}
+            />
           </section>
+        </>
+      )}
 
-          {showResultsPanel ? (
-            <section className="panel results" aria-live="polite">
-              <div className="flow-header results-header">
-                <div>
-                  <p className="section-label">Preview</p>
-                  <h2>Puzzle &amp; clues</h2>
-                  <p className="muted">
-                    {puzzle ? "Adjust above and regenerate anytime." : "Generate to preview the crossword."}
-                  </p>
-                </div>
-                <div className="results-tools">
-                  {puzzle ? (
-                    <dl>
-                      {gridSummary.map((item) => (
-                        <div key={item.label}>
-                          <dt>{item.label}</dt>
-                          <dd>{item.value}</dd>
-                        </div>
-                      ))}
-                    </dl>
+      {showResultsPanel ? (
+        <section className="panel results">
+          <div className="flow-header results-header">
+            <div>
+              <p className="section-label">
+                {publishedView
+                  ? "Published puzzle"
+                  : puzzle?.format
+                    ? "Imported puzzle"
+                    : solveOnly
+                      ? "Shared puzzle"
+                      : "Preview"}
+              </p>
+              <h2>{publishedView?.title || puzzle?.title || <>Puzzle &amp; clues</>}</h2>
+              {solveOnly ? (
+                <p className="muted">
+                  {publishedView
+                    ? `By ${publishedView.authorName}.`
+                    : puzzle?.format
+                      ? importedByline(puzzle)
+                      : "Someone sent you this crossword."}{" "}
+                  {answersHidden
+                    ? "Answers are hidden, so checking and revealing are off and a finished grid can't be recorded in your stats. "
+                    : null}
+                  <button type="button" className="text-button" onClick={handleLeaveSharedPuzzle}>
+                    Make your own
+                  </button>
+                  {isPublishedOwner ? (
+                    <>
+                      {" · "}
+                      <button type="button" className="text-button" onClick={handleUnpublishPuzzle}>
+                        Unpublish
+                      </button>
+                    </>
                   ) : null}
-                  <label className={`switch ${!puzzle ? "is-disabled" : ""}`}>
-                    <input
-                      type="checkbox"
-                      checked={showAnswers}
-                      onChange={(event) => setShowAnswers(event.target.checked)}
-                      disabled={!puzzle}
-                    />
-                    <span className="switch-handle" aria-hidden="true" />
-                    <span className="switch-label">Reveal</span>
-                  </label>
-                </div>
-              </div>
+                </p>
+              ) : (
+                <p className="muted">
+                  {puzzle ? "Adjust above and regenerate anytime." : "Generate to preview the crossword."}
+                </p>
+              )}
+              {solveOnly && status ? (
+                <p role="status" className={`builder-status ${statusClass}`}>
+                  {status}
+                </p>
+              ) : null}
+            </div>
+            <div className="results-tools">
+              {puzzle ? (
+                <dl>
+                  {gridSummary.map((item) => (
+                    <div key={item.label}>
+                      <dt>{item.label}</dt>
+                      <dd>{item.value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              ) : null}
+              {puzzle?.scoreBreakdown ? <ScoreBreakdown breakdown={puzzle.scoreBreakdown} /> : null}
+              <label className={`switch ${!puzzle || answersHidden ? "is-disabled" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={showAnswers}
+                  onChange={(event) => handleShowAnswers(event.target.checked)}
+                  disabled={!puzzle || answersHidden}
+                />
+                <span className="switch-handle" aria-hidden="true" />
+                <span className="switch-label">Reveal</span>
+              </label>
+              {solveOnly ? null : (
+                <label className={`switch ${!canEditLayout ? "is-disabled" : ""}`}>
+                  <input
+                    type="checkbox"
+                    checked={editingLayout}
+                    onChange={(event) => {
+                      setEditingLayout(event.target.checked);
+                      setEditIndex(null);
+                    }}
+                    disabled={!canEditLayout}
+                  />
+                  <span className="switch-handle" aria-hidden="true" />
+                  <span className="switch-label">Edit layout</span>
+                </label>
+              )}
+              <label className={`switch ${!puzzle || editingLayout ? "is-disabled" : ""}`}>
+                <input
+                  type="checkbox"
+                  checked={answerByClue && !editingLayout}
+                  onChange={(event) => setAnswerByClue(event.target.checked)}
+                  disabled={!puzzle || editingLayout}
+                />
+                <span className="switch-handle" aria-hidden="true" />
+                <span className="switch-label">Answer by clue</span>
+              </label>
+            </div>
+          </div>
 
-              <div className="results-body">
-                <div className="grid-column">
-                  <div className="grid-toolbar">
-                    {activePlacement ? (
-                      <div className="active-clue-card">
-                        <div className="active-clue-meta">
-                          <span className={`direction-pill direction-${activePlacement.direction}`}>
-                            {activePlacement.direction === "across" ? "Across" : "Down"}
-                          </span>
-                          <span className="active-clue-number">{activePlacement.number}</span>
-                        </div>
-                        <p className="active-clue-text">{activePlacement.clue}</p>
-                        <div className="active-clue-actions">
-                          <span className="clue-length">{activePlacement.word.length} letters</span>
-                          <button
-                            type="button"
-                            className="text-button"
-                            onClick={handleToggleDirection}
-                            disabled={!canToggleDirection}
-                          >
-                            Switch direction
-                          </button>
-                        </div>
-                      </div>
-                    ) : (
-                      <p className="active-clue-placeholder">Tap a cell or clue to start solving.</p>
-                    )}
+          <div className="results-body">
+            <div className="grid-column">
+              <div className="grid-toolbar">
+                {editingLayout ? (
+                  <LayoutEditorPanel
+                    key={puzzle?.placements.length}
+                    selected={editSelection}
+                    unplaced={puzzle?.unplaced}
+                    onFlip={handleFlipSelection}
+                    onDelete={handleDeleteSelection}
+                    onAdd={handleAddEntry}
+                  />
+                ) : activePlacement ? (
+                  <div className="active-clue-card">
+                    <div className="active-clue-meta">
+                      <span className={`direction-pill direction-${activePlacement.direction}`}>
+                        {activePlacement.direction === "across" ? "Across" : "Down"}
+                      </span>
+                      <span className="active-clue-number">{activePlacement.number}</span>
+                    </div>
+                    <p className="active-clue-text">{activePlacement.clue}</p>
+                    <div className="active-clue-actions">
+                      <span className="clue-length">{activePlacement.word.length} letters</span>
+                      <button
+                        type="button"
+                        className="text-button"
+                        onClick={handleToggleDirection}
+                        disabled={!canToggleDirection}
+                      >
+                        Switch direction
+                      </button>
+                    </div>
                   </div>
+                ) : (
+                  <p className="active-clue-placeholder">Tap a cell or clue to start solving.</p>
+                )}
+              </div>
 
-                  <div id="gridWrapper" aria-busy={isGenerating}>
-                    {isGenerating ? <LoadingState steps={generationSteps} /> : null}
-                    {puzzle ? (
-                      <CrosswordGrid
-                        grid={puzzle.grid}
-                        numbersMap={puzzle.numbersMap}
-                        showAnswers={showAnswers}
-                        cellValues={cellValues}
-                        onCellChange={handleCellInput}
-                        onCellSelect={handleCellSelect}
-                        activeCell={activeCell}
-                        activeDirection={activeDirection}
-                        highlightedCells={highlightedCells}
-                      />
-                    ) : (
-                      <EmptyState />
-                    )}
+              {activeRoom && !editingLayout ? (
+                <RoomPanel
+                  code={activeRoom.code}
+                  isHost={activeRoom.isHost}
+                  color={roomSync.color}
+                  name={activeRoom.name}
+                  peers={roomSync.peers}
+                  onLeave={() => setRoom(null)}
+                />
+              ) : null}
+              {puzzle && !editingLayout ? (
+                <SolveTimer
+                  status={timer.status}
+                  elapsedMs={timer.elapsedMs}
+                  onPause={timer.pause}
+                  onResume={timer.resume}
+                />
+              ) : null}
+              {puzzle && !editingLayout ? (
+                <SolvingAidsBar
+                  hasActiveCell={Boolean(activeCell)}
+                  onCheck={handleCheck}
+                  onReveal={handleReveal}
+                  disabled={showAnswers || isGenerating || answersHidden}
+                />
+              ) : null}
+              {puzzle ? (
+                <LayoutGallery
+                  candidates={puzzle.candidates}
+                  activeIndex={activeCandidateIndex}
+                  onSelect={handleSelectCandidate}
+                  disabled={isGenerating}
+                />
+              ) : null}
+              <div
+                id="gridWrapper"
+                className={timer.status === "paused" && !editingLayout ? "is-paused" : undefined}
+                aria-busy={isGenerating}
+              >
+                {isGenerating ? <LoadingState steps={generationSteps} /> : null}
+                {puzzle && timer.status === "paused" && !editingLayout ? (
+                  <div className="paused-overlay">
+                    <p>Paused</p>
+                    <button type="button" className="btn btn-primary btn-sm" onClick={timer.resume}>
+                      Resume
+                    </button>
                   </div>
+                ) : null}
+                <p id="clueAnnouncer" className="sr-only" aria-live="polite">
+                  {clueAnnouncement}
+                </p>
+                {puzzle && answerByClue && !editingLayout ? (
+                  <ClueAnswerList
+                    placements={puzzle.placements}
+                    cellValues={showAnswers ? answerValues(puzzle.grid) : cellValues}
+                    onAnswerChange={handleAnswerChange}
+                    disabled={showAnswers}
+                  />
+                ) : puzzle ? (
+                  <CrosswordGrid
+                    grid={puzzle.grid}
+                    layoutStyle={puzzle.style}
+                    numbersMap={puzzle.numbersMap}
+                    showAnswers={showAnswers}
+                    cellValues={cellValues}
+                    cellMarks={cellMarks}
+                    onCellChange={handleCellInput}
+                    onCellKeyDown={handleCellKeyDown}
+                    onCellSelect={handleCellSelect}
+                    getCellLabel={getCellLabel}
+                    peerCells={peerCells}
+                    rebus={puzzle.rebus}
+                    circledCells={circledCells}
+                    activeCell={activeCell}
+                    activeDirection={activeDirection}
+                    highlightedCells={highlightedCells}
+                    editor={
+                      editingLayout
+                        ? {
+                            placements: puzzle.placements,
+                            selected: editSelection,
+                            onSelect: handleEditSelect,
+                            onDrop: handleEditDrop,
+                          }
+                        : null
+                    }
+                  />
+                ) : (
+                  <EmptyState />
+                )}
+              </div>
+            </div>
+            <div className="clues-stack">
+              {puzzle ? (
+                <div className="clue-columns">
+                  <ClueList
+                    title="Across"
+                    direction="across"
+                    clues={puzzle?.acrossClues || []}
+                    activeClueKey={activeClueKey}
+                    onSelectClue={handleClueSelect}
+                  />
+                  <ClueList
+                    title="Down"
+                    direction="down"
+                    clues={puzzle?.downClues || []}
+                    activeClueKey={activeClueKey}
+                    onSelectClue={handleClueSelect}
+                  />
                 </div>
-                <div className="clues-stack">
-                  {puzzle ? (
-                    <div className="clue-columns">
-                      <ClueList
-                        title="Across"
-                        direction="across"
-                        clues={puzzle?.acrossClues || []}
-                        activeClueKey={activeClueKey}
-                        onSelectClue={handleClueSelect}
-                      />
-                      <ClueList
-                        title="Down"
-                        direction="down"
-                        clues={puzzle?.downClues || []}
-                        activeClueKey={activeClueKey}
-                        onSelectClue={handleClueSelect}
-                      />
-                    </div>
-                  ) : (
-                    <div className="empty-clues">
-                      <p>Clues unlock right after generation.</p>
-                    </div>
-                  )}
+              ) : (
+                <div className="empty-clues">
+                  <p>Clues unlock right after generation.</p>
                 </div>
-              </div>
-            </section>
-          ) : null}
-        </>
-      )}
+              )}
+            </div>
+          </div>
+        </section>
+      ) : null}
       
       {showAuthModal && <AuthModal onClose={() => setShowAuthModal(false)} />}
+      {showPublishModal && puzzle && (
+        <PublishPuzzleModal
+          puzzle={puzzle}
+          defaultTitle={lastGeneratedTheme}
+          onClose={() => setShowPublishModal(false)}
+        />
+      )}
+      {resumeSessions.length > 0 && (
+        <ResumePrompt
+          sessions={resumeSessions}
+          onResume={handleResumeSession}
+          onDiscard={handleDiscardSession}
+          onClose={() => setResumeSessions([])}
+        />
+      )}
+      {solveResult && (
+        <SolveSuccessModal
+          record={solveResult.record}
+          summary={solveResult.summary}
+          syncing={solveResult.syncing}
+          onClose={() => setSolveResult(null)}
+        />
+      )}
       {showSavedListsModal && (
         <SavedListsModal 
           onClose={() => setShowSavedListsModal(false)} 
-          onLoadList={(loadedEntries) => {
-            setEntries(loadedEntries);
-            setPuzzle(null);
-            setShowAnswers(false);
-            setCellValues({});
-            setStatus(`Loaded ${loadedEntries.length} entries from saved list.`);
-            setStatusError(false);
-          }}
+          onLoadList={handleLoadSavedList}
           currentEntries={entries}
           currentTheme={lastGeneratedTheme}
         />
@@ -853,14 +2142,22 @@ export default function App() {
 
 function CrosswordGrid({
   grid,
+  layoutStyle = "freeform",
   numbersMap,
   showAnswers,
   cellValues,
+  cellMarks = {},
   onCellChange,
+  onCellKeyDown,
   onCellSelect,
+  getCellLabel,
+  peerCells = {},
+  rebus = {},
+  circledCells = new Set(),
   activeCell,
   activeDirection,
   highlightedCells = new Set(),
+  editor = null,
 }) {
   const cols = grid[0]?.length || 0;
   const gridRef = useRef(null);
@@ -901,71 +2198,189 @@ function CrosswordGrid({
     }
   }, [activeCell, showAnswers]);
 
+  const firstLetterKey = useMemo(() => {
+    const row = grid.findIndex((line) => line.some(Boolean));
+    return row === -1 ? null : `${row}-${grid[row].findIndex(Boolean)}`;
+  }, [grid]);
+
   const handleSelection = (row, col, options = {}) => {
     if (typeof onCellSelect === "function") {
       onCellSelect(row, col, options);
     }
   };
 
+  if (editor) {
+    return (
+      <LayoutEditorGrid
+        gridRef={gridRef}
+        grid={grid}
+        layoutStyle={layoutStyle}
+        numbersMap={numbersMap}
+        cellSize={cellSize}
+        editor={editor}
+      />
+    );
+  }
+
   return (
     <div
       ref={gridRef}
       id="crosswordGrid"
-      className={`crossword-grid ${showAnswers ? "reveal" : ""} ${
+      role="grid"
+      aria-label="Crossword"
+      aria-rowcount={grid.length}
+      aria-colcount={cols}
+      className={`crossword-grid style-${layoutStyle} ${showAnswers ? "reveal" : ""} ${
         activeDirection ? `direction-${activeDirection}` : ""
       }`}
       style={{ "--cols": cols, "--cell-size": `${cellSize}px` }}
+    >
+      {grid.map((row, rowIndex) => (
+        <div key={rowIndex} role="row" className="grid-row">
+          {row.map((value, colIndex) => {
+            const key = `${rowIndex}-${colIndex}`;
+            const number = numbersMap[rowIndex]?.[colIndex];
+            if (value) {
+              const isActive = activeCell?.row === rowIndex && activeCell?.col === colIndex;
+              // Only one square is in the tab order; the arrow keys and Tab move between the rest.
+              const isTabStop = activeCell ? isActive : key === firstLetterKey;
+              const isHighlighted = highlightedCells.has(key);
+              const peer = peerCells[key];
+              const answer = rebus[key] || value;
+              const cellClassNames = [
+                "cell",
+                circledCells.has(key) ? "is-circled" : "",
+                answer.length > 1 ? "is-rebus" : "",
+                isHighlighted ? "is-highlighted" : "",
+                isActive ? "is-active" : "",
+                peer ? (peer.cursor ? "peer-cursor" : "peer-word") : "",
+                cellMarks[key] && !showAnswers ? `mark-${cellMarks[key]}` : "",
+              ]
+                .filter(Boolean)
+                .join(" ");
+              return (
+                <div
+                  key={key}
+                  role="gridcell"
+                  className={cellClassNames}
+                  style={peer ? { "--peer-color": peer.color } : undefined}
+                  title={peer?.cursor ? peer.name : undefined}
+                >
+                  {number ? (
+                    <span className="number" aria-hidden="true">
+                      {number}
+                    </span>
+                  ) : null}
+                  <input
+                    className="cell-input"
+                    aria-label={getCellLabel?.(rowIndex, colIndex)}
+                    tabIndex={isTabStop ? 0 : -1}
+                    type="text"
+                    maxLength={1}
+                    autoComplete="off"
+                    autoCorrect="off"
+                    autoCapitalize="off"
+                    spellCheck={false}
+                    inputMode="latin"
+                    data-cell={key}
+                    value={showAnswers ? answer : cellValues[key] || ""}
+                    onChange={(event) => onCellChange(rowIndex, colIndex, event.target.value)}
+                    onKeyDown={(event) => onCellKeyDown?.(rowIndex, colIndex, event)}
+                    onFocus={(event) => {
+                      event.target.select();
+                      handleSelection(rowIndex, colIndex);
+                    }}
+                    onClick={(event) =>
+                      handleSelection(rowIndex, colIndex, {
+                        toggleDirection: event.detail > 1,
+                        allowSameCellToggle: true,
+                      })
+                    }
+                    disabled={showAnswers}
+                  />
+                  <span className="letter" aria-hidden="true">
+                    {answer}
+                  </span>
+                </div>
+              );
+            }
+            return (
+              <div key={key} role="gridcell" className="cell filled" aria-label="Blank">
+                {number ? <span className="number">{number}</span> : null}
+              </div>
+            );
+          })}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// Editor mode swaps the inputs for draggable letters. A drag carries the word and which of its
+// letters was grabbed, so dropping on a cell lines that letter up with it.
+function LayoutEditorGrid({ gridRef, grid, layoutStyle, numbersMap, cellSize, editor }) {
+  const cols = grid[0]?.length || 0;
+  const { placements, selected, onSelect, onDrop } = editor;
+  const selectedCells = new Set(selected ? wordCells(selected).map(({ row, col }) => `${row}-${col}`) : []);
+
+  const handleDragStart = (event, row, col) => {
+    const index = selectedCells.has(`${row}-${col}`)
+      ? placements.indexOf(selected)
+      : placementAt({ placements }, row, col);
+    if (index === -1) return;
+    const placement = placements[index];
+    const offset = placement.direction === "across" ? col - placement.col : row - placement.row;
+    event.dataTransfer.setData(
+      WORD_DRAG_TYPE,
+      JSON.stringify({ source: "placement", index, direction: placement.direction, offset }),
+    );
+    event.dataTransfer.effectAllowed = "move";
+    onSelect(row, col);
+  };
+
+  const dropHandlers = (row, col) => ({
+    onDragOver: (event) => {
+      if (event.dataTransfer.types.includes(WORD_DRAG_TYPE)) {
+        event.preventDefault();
+      }
+    },
+    onDrop: (event) => {
+      const data = event.dataTransfer.getData(WORD_DRAG_TYPE);
+      if (!data) return;
+      event.preventDefault();
+      onDrop(JSON.parse(data), row, col);
+    },
+  });
+
+  return (
+    <div
+      ref={gridRef}
+      id="crosswordGrid"
+      className={`crossword-grid style-${layoutStyle} is-editing`}
+      style={{ "--cols": cols, "--cell-size": `${cellSize}px` }}
     >
       {grid.map((row, rowIndex) =>
         row.map((value, colIndex) => {
           const key = `${rowIndex}-${colIndex}`;
           const number = numbersMap[rowIndex]?.[colIndex];
-          if (value) {
-            const isActive = activeCell?.row === rowIndex && activeCell?.col === colIndex;
-            const isHighlighted = highlightedCells.has(key);
-            const cellClassNames = [
-              "cell",
-              isHighlighted ? "is-highlighted" : "",
-              isActive ? "is-active" : "",
-            ]
-              .filter(Boolean)
-              .join(" ");
+          if (!value) {
             return (
-              <div key={key} className={cellClassNames}>
+              <div key={key} className="cell filled" {...dropHandlers(rowIndex, colIndex)}>
                 {number ? <span className="number">{number}</span> : null}
-                <input
-                  className="cell-input"
-                  type="text"
-                  maxLength={1}
-                  autoComplete="off"
-                  autoCorrect="off"
-                  autoCapitalize="off"
-                  spellCheck={false}
-                  inputMode="latin"
-                  data-cell={key}
-                  value={showAnswers ? value : cellValues[key] || ""}
-                  onChange={(event) => onCellChange(rowIndex, colIndex, event.target.value)}
-                  onFocus={(event) => {
-                    event.target.select();
-                    handleSelection(rowIndex, colIndex);
-                  }}
-                  onClick={(event) =>
-                    handleSelection(rowIndex, colIndex, {
-                      toggleDirection: event.detail > 1,
-                      allowSameCellToggle: true,
-                    })
-                  }
-                  disabled={showAnswers}
-                />
-                <span className="letter" aria-hidden="true">
-                  {value}
-                </span>
               </div>
             );
           }
           return (
-            <div key={key} className="cell filled">
+            <div
+              key={key}
+              className={`cell editor-cell ${selectedCells.has(key) ? "is-highlighted" : ""}`}
+              draggable
+              onDragStart={(event) => handleDragStart(event, rowIndex, colIndex)}
+              onClick={() => onSelect(rowIndex, colIndex)}
+              {...dropHandlers(rowIndex, colIndex)}
+            >
               {number ? <span className="number">{number}</span> : null}
+              <span className="letter">{value}</span>
             </div>
           );
         }),
@@ -1017,6 +2432,31 @@ function ClueList({ title, clues, direction, activeClueKey, onSelectClue }) {
   );
 }
 
+function ScoreBreakdown({ breakdown }) {
+  const { metrics } = breakdown;
+  const rows = [
+    { label: "Coverage", value: `${Math.round(metrics.coverage * 100)}%` },
+    { label: "Crossings", value: `${metrics.intersections}` },
+    { label: "Shape", value: `${Math.round(metrics.squareness * 100)}% square` },
+    { label: "2-letter crossings", value: `${metrics.twoLetterCrossings}` },
+  ];
+  return (
+    <details className="score-breakdown">
+      <summary>
+        {breakdown.label} score <strong>{breakdown.total.toFixed(2)}</strong>
+      </summary>
+      <dl>
+        {rows.map((row) => (
+          <div key={row.label}>
+            <dt>{row.label}</dt>
+            <dd>{row.value}</dd>
+          </div>
+        ))}
+      </dl>
+    </details>
+  );
+}
+
 function EmptyState() {
   return (
     <div className="empty-state">
@@ -1057,6 +2497,63 @@ function LoadingState({ steps }) {
   );
 }
 
+function describeGeneratedPuzzle(puzzle) {
+  const placed = puzzle.placements.length;
+  const summary = `${placed} words placed on a ${puzzle.rows}×${puzzle.cols} grid.`;
+  if (!puzzle.partial || !puzzle.unplaced?.length) {
+    return summary;
+  }
+  const leftOut = puzzle.unplaced.map((entry) => entry.word).join(", ");
+  if (puzzle.stoppedBy === "time") {
+    return `${summary} Time ran out before ${puzzle.unplaced.length} could fit: ${leftOut}.`;
+  }
+  if (puzzle.stoppedBy === "nodes") {
+    return `${summary} The search step limit was reached before ${puzzle.unplaced.length} could fit: ${leftOut}.`;
+  }
+  return `${summary} Skipped ${puzzle.unplaced.length} that did not fit: ${leftOut}.`;
+}
+
+function withMark(cellMarks, key, mark) {
+  const { [key]: _previous, ...rest } = cellMarks;
+  return mark ? { ...rest, [key]: mark } : rest;
+}
+
+function answerValues(grid) {
+  return Object.fromEntries(
+    gridCellKeys(grid).map((key) => {
+      const [row, col] = key.split("-").map(Number);
+      return [key, grid[row][col]];
+    }),
+  );
+}
+
+function downloadFile(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function importedByline(puzzle) {
+  const parts = [puzzle.author ? `By ${puzzle.author}.` : `Imported from a .${puzzle.format} file.`, puzzle.copyright];
+  return parts.filter(Boolean).join(" ");
+}
+
+function displayNameOf(user) {
+  return user.displayName || user.email?.split("@")[0] || "Host";
+}
+
+function parseDimension(value) {
+  const trimmed = value.trim();
+  return trimmed ? Number(trimmed) : undefined;
+}
+
+function isSameEntry(a, b) {
+  return a.originalIndex === b.originalIndex && a.word === b.word;
+}
+
 function parseProgress(step) {
   if (!step) return null;
   const match = step.match(/(\d+)\s*of\s*(\d+)/i);
@@ -1,11 +1,24 @@
-import { render, screen } from '@testing-library/react';
-import { describe, expect, it, vi } from 'vitest';
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import axe from 'axe-core';
+import { getDocs } from 'firebase/firestore';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
 import App from './App';
+import { createPuzzle, rebuildLayout } from './lib/crossword';
+import { fromPublishedDocument, toPublishedDocument } from './lib/publishedPuzzles';
+import { fetchPublishedPuzzle } from './lib/puzzleStore';
+import { joinRoom, subscribeToCells, subscribeToPresence, writeCell } from './lib/roomStore';
+import { createShareUrl } from './lib/shareLink';
+import { createSession, listSessions, saveSession } from './lib/solveSessions';
+import { loadLocalSolves } from './lib/solveStats';
+import { helloEntries, helloPuzzle } from './test/fixtures';
+import { createGeneratorMessage, GENERATOR_MESSAGES } from './workers/generatorProtocol';
+
+const authState = vi.hoisted(() => ({ currentUser: null }));
 
 // Mock the AuthContext
 vi.mock('./contexts/AuthContext', () => ({
   useAuth: () => ({
-    currentUser: null,
+    currentUser: authState.currentUser,
     logout: vi.fn(),
     login: vi.fn(),
     signup: vi.fn(),
@@ -19,7 +32,35 @@ vi.mock('./lib/firebase', () => ({
   db: {},
 }));
 
+vi.mock('firebase/firestore', async (importOriginal) => ({
+  ...(await importOriginal()),
+  collection: vi.fn(),
+  getDocs: vi.fn(() => Promise.resolve({ docs: [] })),
+  query: vi.fn(),
+  where: vi.fn(),
+}));
+
+vi.mock('./lib/puzzleStore', () => ({
+  fetchPublishedPuzzle: vi.fn(),
+  publishPuzzle: vi.fn(),
+  unpublishPuzzle: vi.fn(),
+}));
+
+vi.mock('./lib/roomStore', () => ({
+  createRoom: vi.fn(),
+  joinRoom: vi.fn(),
+  writeCell: vi.fn(() => Promise.resolve(true)),
+  subscribeToCells: vi.fn(() => () => {}),
+  updatePresence: vi.fn(() => Promise.resolve()),
+  subscribeToPresence: vi.fn(() => () => {}),
+  leaveRoom: vi.fn(() => Promise.resolve()),
+}));
+
 describe('App', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
   it('renders the title', () => {
     render(<App />);
     // Adjust the text matcher based on actual content if needed
@@ -28,3 +69,810 @@ describe('App', () => {
     expect(titleElements.length).toBeGreaterThan(0);
   });
 });
+
+// Opens the HELLO/EAGLE/LEMON fixture from a saved session.
+function renderSolvingGrid({ cellValues = {}, activeCell = { row: 0, col: 0 }, activeDirection = 'across' } = {}) {
+  saveSession(
+    createSession({
+      puzzle: helloPuzzle(),
+      entries: helloEntries(),
+      skippedEntries: [],
+      cellValues,
+      cellMarks: {},
+      aidUsage: { checks: 0, reveals: 0 },
+      activeCell,
+      activeDirection,
+      elapsedMs: 0,
+    }),
+  );
+
+  const view = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+  const cell = (row, col) => view.container.querySelector(`input[data-cell="${row}-${col}"]`);
+  const grid = view.container.querySelector('#crosswordGrid');
+  return { container: view.container, cell, grid, press: (key, options = {}) => fireEvent.keyDown(document.activeElement, { key, ...options }) };
+}
+
+describe('solving grid keyboard', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('moves with the arrow keys, turning before moving across the current direction', () => {
+    const { cell, grid, press } = renderSolvingGrid();
+    expect(cell(0, 0)).toHaveFocus();
+
+    press('ArrowRight');
+    expect(cell(0, 1)).toHaveFocus();
+
+    press('ArrowDown');
+    expect(cell(0, 1)).toHaveFocus();
+    expect(grid).toHaveClass('direction-down');
+
+    press('ArrowDown');
+    expect(cell(1, 1)).toHaveFocus();
+  });
+
+  it('skips black squares when moving with the arrows', () => {
+    const { cell, press } = renderSolvingGrid({ activeCell: { row: 1, col: 1 }, activeDirection: 'down' });
+
+    press('ArrowRight');
+    expect(cell(1, 3)).toHaveFocus();
+    press('ArrowLeft');
+    expect(cell(1, 1)).toHaveFocus();
+  });
+
+  it('jumps between clues with Tab and Shift+Tab', () => {
+    const { cell, grid, press } = renderSolvingGrid({ cellValues: { '0-3': 'L', '1-3': 'E' } });
+
+    press('Tab');
+    expect(cell(0, 1)).toHaveFocus();
+    expect(grid).toHaveClass('direction-down');
+
+    press('Tab');
+    expect(cell(2, 3)).toHaveFocus();
+
+    press('Tab');
+    expect(cell(0, 0)).toHaveFocus();
+    expect(grid).toHaveClass('direction-across');
+
+    press('Tab', { shiftKey: true });
+    expect(cell(2, 3)).toHaveFocus();
+  });
+
+  it('toggles direction with space', () => {
+    const { cell, grid, press } = renderSolvingGrid({ activeCell: { row: 0, col: 3 } });
+
+    press(' ');
+    expect(grid).toHaveClass('direction-down');
+    press(' ');
+    expect(grid).toHaveClass('direction-across');
+    expect(cell(0, 3)).toHaveFocus();
+  });
+
+  it('goes to the ends of the word with Home and End', () => {
+    const { cell, press } = renderSolvingGrid({ activeCell: { row: 0, col: 2 } });
+
+    press('End');
+    expect(cell(0, 4)).toHaveFocus();
+    press('Home');
+    expect(cell(0, 0)).toHaveFocus();
+  });
+
+  it('skips filled squares while typing', () => {
+    const { cell } = renderSolvingGrid({ cellValues: { '0-1': 'E', '0-3': 'L' } });
+
+    fireEvent.change(cell(0, 0), { target: { value: 'h' } });
+    expect(cell(0, 0)).toHaveValue('H');
+    expect(cell(0, 2)).toHaveFocus();
+
+    fireEvent.change(cell(0, 2), { target: { value: 'l' } });
+    expect(cell(0, 4)).toHaveFocus();
+  });
+
+  it('steps back and clears the previous letter on backspace in an empty square', () => {
+    const { cell, press } = renderSolvingGrid({ cellValues: { '0-0': 'H' }, activeCell: { row: 0, col: 1 } });
+
+    press('Backspace');
+    expect(cell(0, 0)).toHaveFocus();
+    expect(cell(0, 0)).toHaveValue('');
+  });
+});
+
+describe('solving aids', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('marks a flagged letter corrected only when it is retyped right', () => {
+    const { cell } = renderSolvingGrid();
+    const square = (row, col) => cell(row, col).closest('.cell');
+    const checkPuzzle = () =>
+      fireEvent.click(within(screen.getByRole('group', { name: 'Check' })).getByRole('button', { name: 'Puzzle' }));
+
+    fireEvent.change(cell(0, 0), { target: { value: 'x' } });
+    checkPuzzle();
+    expect(square(0, 0)).toHaveClass('mark-wrong');
+
+    fireEvent.change(cell(0, 0), { target: { value: 'q' } });
+    expect(square(0, 0)).not.toHaveClass('mark-wrong');
+    expect(square(0, 0)).not.toHaveClass('mark-corrected');
+
+    checkPuzzle();
+    fireEvent.change(cell(0, 0), { target: { value: 'h' } });
+    expect(square(0, 0)).toHaveClass('mark-corrected');
+  });
+
+  it('drops the mark of a flagged letter cleared by backspace from the next square', () => {
+    const { cell } = renderSolvingGrid();
+    const square = (row, col) => cell(row, col).closest('.cell');
+
+    fireEvent.change(cell(0, 0), { target: { value: 'x' } });
+    fireEvent.click(within(screen.getByRole('group', { name: 'Check' })).getByRole('button', { name: 'Puzzle' }));
+    expect(square(0, 0)).toHaveClass('mark-wrong');
+
+    fireEvent.keyDown(cell(0, 1), { key: 'Backspace' });
+    expect(cell(0, 0)).toHaveValue('');
+    expect(square(0, 0)).not.toHaveClass('mark-wrong');
+  });
+
+  it('counts the Reveal toggle once and records a finished grid only once', () => {
+    const { cell } = renderSolvingGrid();
+    const reveal = screen.getByRole('checkbox', { name: 'Reveal' });
+    for (let i = 0; i < 2; i += 1) {
+      fireEvent.click(reveal);
+      fireEvent.click(reveal);
+    }
+
+    const type = (row, col, value) => fireEvent.change(cell(row, col), { target: { value } });
+    [...'hello'].forEach((letter, col) => type(0, col, letter));
+    [...'agle'].forEach((letter, i) => type(i + 1, 1, letter));
+    [...'emon'].forEach((letter, i) => type(i + 1, 3, letter));
+    type(4, 3, 'n');
+
+    const solves = loadLocalSolves(null);
+    expect(solves).toHaveLength(1);
+    expect(solves[0]).toMatchObject({ checks: 0, reveals: 1 });
+  });
+});
+
+describe('saved solves', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('saves the cursor with the next change, not on every move', () => {
+    const { cell, press } = renderSolvingGrid();
+    fireEvent.change(cell(0, 0), { target: { value: 'h' } });
+    const setItem = vi.spyOn(Storage.prototype, 'setItem');
+
+    press('ArrowRight');
+    press('ArrowRight');
+    expect(cell(0, 3)).toHaveFocus();
+    expect(setItem).not.toHaveBeenCalled();
+
+    window.dispatchEvent(new Event('pagehide'));
+    const saved = JSON.parse(localStorage.getItem(`crossword-session:${listSessions()[0].key}`));
+    expect(saved.activeCell).toEqual({ row: 0, col: 3 });
+  });
+});
+
+describe('undo shortcuts', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('undoes and redoes typing in the grid with Ctrl/Cmd+Z and Shift+Z', () => {
+    const { cell, press } = renderSolvingGrid();
+    fireEvent.change(cell(0, 0), { target: { value: 'h' } });
+    fireEvent.change(cell(0, 1), { target: { value: 'e' } });
+
+    // Letters typed across one word come back as a single step.
+    press('z', { ctrlKey: true });
+    expect(cell(0, 0)).toHaveValue('');
+    expect(cell(0, 1)).toHaveValue('');
+
+    press('Z', { metaKey: true, shiftKey: true });
+    expect(cell(0, 0)).toHaveValue('H');
+    expect(cell(0, 1)).toHaveValue('E');
+
+    press('z', { metaKey: true });
+    press('y', { ctrlKey: true });
+    expect(cell(0, 1)).toHaveValue('E');
+  });
+
+  it('leaves undo in other text fields to the browser', () => {
+    const { cell } = renderSolvingGrid();
+    fireEvent.change(cell(0, 0), { target: { value: 'h' } });
+
+    fireEvent.keyDown(screen.getByLabelText('Seed'), { key: 'z', ctrlKey: true });
+    expect(cell(0, 0)).toHaveValue('H');
+  });
+});
+
+// color-contrast needs real layout, which jsdom doesn't do.
+async function expectNoAxeViolations(container) {
+  const results = await axe.run(container, { rules: { 'color-contrast': { enabled: false } } });
+  expect(results.violations.map(({ id, nodes }) => `${id}: ${nodes.map((node) => node.target).join(', ')}`)).toEqual([]);
+}
+
+describe('accessibility', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('has no axe violations on the start screen', async () => {
+    const { container } = render(<App />);
+    await expectNoAxeViolations(container);
+  });
+
+  it('labels the grid and each square for screen readers', async () => {
+    const { container, cell, grid } = renderSolvingGrid();
+
+    expect(screen.getByRole('grid', { name: 'Crossword' })).toBeInTheDocument();
+    expect(cell(0, 1)).toHaveAccessibleName('1 across, letter 2 of 5, clue: Greeting, crosses 2 down');
+    expect(container.querySelector('#clueAnnouncer')).toHaveTextContent('1 across: Greeting. 5 letters.');
+
+    fireEvent.keyDown(document.activeElement, { key: 'Tab' });
+    expect(container.querySelector('#clueAnnouncer')).toHaveTextContent('2 down: Bird of prey. 5 letters.');
+    await expectNoAxeViolations(grid.closest('section'));
+  });
+
+  it('answers by clue with one text field per clue', async () => {
+    const { container, cell } = renderSolvingGrid();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Answer by clue' }));
+
+    const lemon = screen.getByRole('textbox', { name: /Sour fruit/ });
+    fireEvent.change(lemon, { target: { value: 'le on' } });
+    expect(lemon).toHaveValue('LE ON');
+    expect(screen.getByRole('textbox', { name: /Greeting/ })).toHaveValue('   L');
+    expect(lemon).toHaveAccessibleDescription('4 of 5 letters: L, E, blank, O, N.');
+    await expectNoAxeViolations(container);
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Answer by clue' }));
+    expect(cell(0, 3)).toHaveValue('L');
+  });
+});
+
+describe('share links', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/');
+  });
+
+  it('opens a shared puzzle straight into the solving view', () => {
+    const puzzle = helloPuzzle();
+    window.history.replaceState(null, '', new URL(createShareUrl(puzzle)).hash);
+    const { container } = render(<App />);
+
+    expect(screen.getByText('Shared puzzle')).toBeInTheDocument();
+    expect(screen.getByRole('grid', { name: 'Crossword' })).toBeInTheDocument();
+    expect(screen.getByText('Bird of prey')).toBeInTheDocument();
+    expect(screen.queryByText('Word list')).not.toBeInTheDocument();
+    expect(screen.queryByRole('checkbox', { name: 'Edit layout' })).not.toBeInTheDocument();
+
+    fireEvent.change(container.querySelector('input[data-cell="0-0"]'), { target: { value: 'h' } });
+    expect(container.querySelector('input[data-cell="0-0"]')).toHaveValue('H');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Make your own' }));
+    expect(window.location.hash).toBe('');
+    expect(screen.getByText('Upload a word list')).toBeInTheDocument();
+  });
+
+  it('explains links that cannot be read', () => {
+    window.history.replaceState(null, '', '#puzzle=1.broken');
+    render(<App />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('This share link is damaged or incomplete.');
+  });
+
+  it('opens a share link pasted into a tab that is already open', () => {
+    const openLink = (placements) => {
+      const url = new URL(createShareUrl({ style: 'freeform', ...rebuildLayout(placements) }));
+      window.history.replaceState(null, '', url.hash);
+      act(() => window.dispatchEvent(new HashChangeEvent('hashchange')));
+    };
+    render(<App />);
+
+    openLink([{ word: 'OWL', clue: 'Night hunter', row: 0, col: 0, direction: 'across', entryIndex: 0 }]);
+    expect(screen.getByText('Shared puzzle')).toBeInTheDocument();
+    expect(screen.getByText('Night hunter')).toBeInTheDocument();
+
+    openLink([{ word: 'WREN', clue: 'Small songbird', row: 0, col: 0, direction: 'across', entryIndex: 0 }]);
+    expect(screen.getByText('Small songbird')).toBeInTheDocument();
+    expect(screen.queryByText('Night hunter')).not.toBeInTheDocument();
+
+    window.history.replaceState(null, '', '#puzzle=1.broken');
+    act(() => window.dispatchEvent(new HashChangeEvent('hashchange')));
+    expect(screen.getByRole('status')).toHaveTextContent('This share link is damaged or incomplete.');
+  });
+});
+
+describe('published puzzles', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/p/abc123');
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  function publish(hideAnswers) {
+    const puzzle = helloPuzzle();
+    const { document } = toPublishedDocument(puzzle, { ownerId: 'alice', title: 'Hello birds', authorName: 'Alice', hideAnswers });
+    fetchPublishedPuzzle.mockResolvedValue({
+      puzzle: { ...fromPublishedDocument(document), publishedId: 'abc123' },
+      details: { id: 'abc123', title: 'Hello birds', authorName: 'Alice', ownerId: 'alice', hideAnswers },
+    });
+  }
+
+  it('loads the puzzle at /p/:id for anyone', async () => {
+    publish(false);
+    render(<App />);
+
+    expect(screen.getByText('Loading puzzle…')).toBeInTheDocument();
+    expect(await screen.findByRole('heading', { name: 'Hello birds' })).toBeInTheDocument();
+    expect(fetchPublishedPuzzle).toHaveBeenCalledWith('abc123', null);
+    expect(screen.getByText(/By Alice\./)).toBeInTheDocument();
+    expect(screen.getByRole('grid', { name: 'Crossword' })).toBeInTheDocument();
+    expect(screen.getByRole('checkbox', { name: 'Reveal' })).toBeEnabled();
+    expect(screen.queryByRole('button', { name: 'Unpublish' })).not.toBeInTheDocument();
+  });
+
+  it('turns off checking and revealing when answers are hidden', async () => {
+    publish(true);
+    const { container } = render(<App />);
+
+    await screen.findByRole('heading', { name: 'Hello birds' });
+    expect(screen.getByText(/Answers are hidden/)).toHaveTextContent("a finished grid can't be recorded in your stats");
+    expect(screen.getByRole('checkbox', { name: 'Reveal' })).toBeDisabled();
+
+    fireEvent.change(container.querySelector('input[data-cell="0-0"]'), { target: { value: 'h' } });
+    expect(listSessions().map((session) => session.key)).toEqual(['p:abc123']);
+  });
+
+  it('explains puzzles that are no longer published', async () => {
+    fetchPublishedPuzzle.mockRejectedValue(new Error('This puzzle has been unpublished or the link is wrong.'));
+    render(<App />);
+
+    expect(await screen.findByText('This puzzle has been unpublished or the link is wrong.')).toBeInTheDocument();
+    expect(screen.getByText('Upload a word list')).toBeInTheDocument();
+  });
+});
+
+describe('solve together', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    authState.currentUser = { uid: 'me', displayName: 'Sam' };
+  });
+
+  afterEach(() => {
+    authState.currentUser = null;
+  });
+
+  it('joins a room by code and syncs letters and cursors per square', async () => {
+    const puzzle = helloPuzzle();
+    joinRoom.mockResolvedValue({ code: 'ABC234', hostId: 'teacher', puzzle });
+    let sendCells;
+    let sendPresence;
+    subscribeToCells.mockImplementation((code, onChange) => {
+      sendCells = onChange;
+      return () => {};
+    });
+    subscribeToPresence.mockImplementation((code, onChange) => {
+      sendPresence = onChange;
+      return () => {};
+    });
+
+    const { container } = render(<App />);
+    const cell = (row, col) => container.querySelector(`input[data-cell="${row}-${col}"]`);
+    fireEvent.change(screen.getByLabelText('Room code'), { target: { value: 'abc234' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Join' }));
+
+    expect(await screen.findByText('ABC234')).toBeInTheDocument();
+    expect(joinRoom).toHaveBeenCalledWith('ABC234');
+    expect(screen.getByText('Sam (you)')).toBeInTheDocument();
+
+    act(() => {
+      sendCells({ '0-0': { value: 'H', by: 'teacher', at: Date.now() + 1000 } });
+      sendPresence([{ id: 'teacher', name: 'Teacher', color: '#e4572e', row: 2, col: 1, direction: 'down', updatedAt: Date.now() }]);
+    });
+    expect(cell(0, 0)).toHaveValue('H');
+    expect(screen.getByText('Teacher')).toBeInTheDocument();
+    expect(cell(2, 1).parentElement).toHaveClass('peer-cursor');
+    expect(cell(0, 1).parentElement).toHaveClass('peer-word');
+
+    fireEvent.change(cell(0, 1), { target: { value: 'e' } });
+    expect(writeCell).toHaveBeenCalledWith('ABC234', '0-1', { value: 'E', by: 'me', at: expect.any(Number) });
+    expect(writeCell).not.toHaveBeenCalledWith('ABC234', '0-0', expect.anything());
+  });
+});
+
+describe('Across Lite import', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  // The 4x4 fixture from puzFormat.test.js: STAR / H..E / E..D / DOTS, with a SUN rebus at 3-3.
+  const PUZ_FILE =
+    'vmJBQ1JPU1MmRE9XTgAAWEl9iFsZ+EmeMS4zAAAAAAAAAAAAAAAAAAAAAAAEBAQAAQAAAFNUQVJILi5FRS4uRERPVFMtLS0tLS4uLS0uLi0tLS0tVGlueSBUZXN0AEFkYSBMb3ZlbGFjZQCpIDIwMjYAU2hpbmluZyBsaWdodABHYXJkZW4gYnVpbGRpbmcAU29tZSB3aW5lcwBTbWFsbCBzcG90cwBIYW5kLW1hZGUgZml4dHVyZQBHUkJTEAACAAAAAAAAAAAAAAAAAAAAAAIAUlRCTAcAh0ggMTpTVU47AEdFWFQQAEACAIAAAAAAAAAAAAAAAACAAAA=';
+
+  it('opens an uploaded .puz file in the solving view', async () => {
+    const bytes = Uint8Array.from(atob(PUZ_FILE), (char) => char.charCodeAt(0));
+    // jsdom's File has no arrayBuffer(), which every browser we support does.
+    const file = Object.assign(new File([bytes], 'tiny.puz'), { arrayBuffer: async () => bytes.buffer });
+    const { container } = render(<App />);
+    fireEvent.change(container.querySelector('#wordFile'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Imported puzzle')).toBeInTheDocument();
+    expect(screen.getByRole('heading', { name: 'Tiny Test' })).toBeInTheDocument();
+    expect(screen.getByText(/By Ada Lovelace\. © 2026/)).toBeInTheDocument();
+    expect(screen.getByText('Garden building')).toBeInTheDocument();
+    expect(container.querySelector('input[data-cell="0-1"]').parentElement).toHaveClass('is-circled');
+
+    fireEvent.change(container.querySelector('input[data-cell="0-0"]'), { target: { value: 's' } });
+    expect(container.querySelector('input[data-cell="0-0"]')).toHaveValue('S');
+  });
+});
+
+describe('puzzle file export', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('downloads the puzzle as .ipuz and opens it again as an upload', async () => {
+    let saved = null;
+    URL.createObjectURL = vi.fn((blob) => {
+      saved = blob;
+      return 'blob:crossword';
+    });
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    const { container } = renderSolvingGrid();
+    fireEvent.click(screen.getByRole('button', { name: 'Save .ipuz' }));
+    expect(screen.getByText('.ipuz file downloaded.')).toBeInTheDocument();
+
+    const text = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.readAsText(saved);
+    });
+    expect(JSON.parse(text).clues.Down).toEqual([
+      [2, 'Bird of prey'],
+      [3, 'Sour fruit'],
+    ]);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+    // jsdom's File has no text() either.
+    const file = Object.assign(new File([text], 'hello.ipuz'), { text: async () => text });
+    fireEvent.change(container.querySelector('#wordFile'), { target: { files: [file] } });
+    expect(await screen.findByText('Imported puzzle')).toBeInTheDocument();
+    expect(screen.getByText('Sour fruit')).toBeInTheDocument();
+  });
+});
+
+describe('spreadsheet word lists', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('previews a CSV file, lets the columns be remapped and reports bad rows by line', async () => {
+    const csv = [
+      'Term,Definition,Unit',
+      'planet,"Mars, for one",1',
+      'orbit,Path around a star,1',
+      'comet,,2',
+      'nebula,Cloud of gas and dust,2',
+      'rocket,Launch vehicle,3',
+      'lunar,Of the Moon,3',
+    ].join('\n');
+    // jsdom's File has no text(), which every browser we support does.
+    const file = Object.assign(new File([csv], 'space.csv'), { text: async () => csv });
+    const { container } = render(<App />);
+    fireEvent.change(container.querySelector('#wordFile'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Map columns for space.csv')).toBeInTheDocument();
+    expect(screen.getByText('Line 4: The clue is missing.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Import 6 entries' })).toBeInTheDocument();
+    await expectNoAxeViolations(container);
+
+    fireEvent.change(screen.getByLabelText('Clue column'), { target: { value: '2' } });
+    expect(screen.queryByText(/can't be imported/)).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Clue column'), { target: { value: '1' } });
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'First row is a header' }));
+    expect(screen.getByLabelText('Word column')).toHaveDisplayValue('Term (column 1)');
+    fireEvent.click(screen.getByRole('button', { name: 'Import 5 entries' }));
+
+    expect(screen.getByText('Loaded 5 entries. Choose up to 5 words.')).toBeInTheDocument();
+  });
+});
+
+function jsonFile(items, name) {
+  const json = JSON.stringify(items);
+  // jsdom's File has no text(), which every browser we support does.
+  return Object.assign(new File([json], name), { text: async () => json });
+}
+
+describe('upload reports', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('lists dropped, changed and repeated rows from a JSON list', async () => {
+    const file = jsonFile(
+      [
+        { word: 'planet', clue: 'Mars, for one' },
+        { word: 'orbit', clue: 'Path around a star' },
+        { word: 'X', clue: 'Too short' },
+        { word: 'new york', clue: 'Big Apple' },
+        { word: 'comet', clue: '' },
+        { word: 'Orbit', clue: 'Go around' },
+        { word: 'nebula', clue: 'Cloud of gas and dust' },
+        { word: 'rocket', clue: 'Launch vehicle' },
+      ],
+      'space.json',
+    );
+    const { container } = render(<App />);
+    fireEvent.change(container.querySelector('#wordFile'), { target: { files: [file] } });
+
+    expect(await screen.findByText('Loaded 5 entries. Choose up to 5 words.')).toBeInTheDocument();
+    const report = screen.getByRole('region', { name: 'Import report' });
+    expect(within(report).getByText('Entry 3: X — The word is shorter than 2 letters.')).toBeInTheDocument();
+    expect(within(report).getByText('Entry 5: comet — The clue is missing.')).toBeInTheDocument();
+    expect(within(report).getByText('Entry 4: "new york" became NEWYORK.')).toBeInTheDocument();
+    expect(within(report).getByText('Entry 6: ORBIT already appears at entry 2.')).toBeInTheDocument();
+    await expectNoAxeViolations(container);
+
+    fireEvent.click(within(report).getByRole('button', { name: 'Dismiss' }));
+    expect(screen.queryByRole('region', { name: 'Import report' })).not.toBeInTheDocument();
+  });
+
+  it('explains why nothing was loaded when every row is dropped', async () => {
+    const file = jsonFile([{ word: '123', clue: 'Digits' }, { clue: 'No word' }], 'broken.json');
+    const { container } = render(<App />);
+    fireEvent.change(container.querySelector('#wordFile'), { target: { files: [file] } });
+
+    expect(await screen.findByText(/None of the rows in broken.json could be used/)).toBeInTheDocument();
+    const report = screen.getByRole('region', { name: 'Import report' });
+    expect(within(report).getByText('Entry 1: 123 — The word has no letters A–Z.')).toBeInTheDocument();
+    expect(within(report).getByText('Entry 2: The word is missing.')).toBeInTheDocument();
+  });
+});
+
+// Stands in for the crossword worker, answering each generate request with `reply(request)`.
+function stubGeneratorWorker(reply) {
+  vi.stubGlobal(
+    'Worker',
+    class {
+      postMessage(message) {
+        if (message.type !== GENERATOR_MESSAGES.GENERATE) return;
+        queueMicrotask(() => {
+          this.onmessage({
+            data: createGeneratorMessage(GENERATOR_MESSAGES.SUCCESS, message.requestId, { puzzle: reply(message) }),
+          });
+        });
+      }
+
+      terminate() {}
+    },
+  );
+}
+
+const SPACE_WORDS = [
+  { word: 'planet', clue: 'Mars, for one' },
+  { word: 'comet', clue: 'Icy visitor' },
+  { word: 'orbit', clue: 'Path around a star' },
+  { word: 'meteor', clue: 'Shooting star' },
+  { word: 'galaxy', clue: 'Milky Way, e.g.' },
+  { word: 'flux', clue: 'Constant change' },
+];
+
+async function loadWordList(container, items = SPACE_WORDS) {
+  fireEvent.change(container.querySelector('#wordFile'), { target: { files: [jsonFile(items, 'words.json')] } });
+  await screen.findByText(/^Loaded \d+ entries/);
+}
+
+describe('generation status', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it.each([
+    ['time', 'Time ran out before 1 could fit: FLUX.'],
+    ['nodes', 'The search step limit was reached before 1 could fit: FLUX.'],
+  ])('says which budget ran out when it stopped by %s', async (stoppedBy, message) => {
+    stubGeneratorWorker(() =>
+      helloPuzzle({
+        requestedCount: 6,
+        partial: true,
+        stoppedBy,
+        unplaced: [{ word: 'FLUX', clue: 'Constant change', originalIndex: 5 }],
+      }),
+    );
+    const { container } = render(<App />);
+    await loadWordList(container);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Generate' }));
+
+    expect(await screen.findByText(`3 words placed on a 5×5 grid. ${message}`)).toBeInTheDocument();
+  });
+});
+
+describe('place what fits', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    // Runs the real generator, like the worker would.
+    stubGeneratorWorker(({ entries, wordCount, ...options }) => createPuzzle(entries, wordCount, options));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  const words = [
+    { word: 'banana', clue: 'Yellow fruit' },
+    { word: 'cabana', clue: 'Beach hut' },
+    { word: 'bandana', clue: 'Neck scarf' },
+    { word: 'anagram', clue: 'Word puzzle' },
+    { word: 'flux', clue: 'Constant change' },
+  ];
+
+  it('lists the words that did not fit so they can be edited or removed', async () => {
+    const { container } = render(<App />);
+    await loadWordList(container, words);
+    fireEvent.change(screen.getByLabelText('Seed'), { target: { value: '11' } });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Place what fits' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Generate' }));
+
+    expect(await screen.findByText(/Skipped 1 that did not fit: FLUX\./)).toBeInTheDocument();
+    const skipped = screen.getByLabelText('Skipped words');
+    expect(within(skipped).getByText(/didn't connect to the rest of the grid/)).toBeInTheDocument();
+    await expectNoAxeViolations(container);
+
+    fireEvent.change(within(skipped).getByLabelText('Word for FLUX'), { target: { value: 'bran' } });
+    fireEvent.click(within(skipped).getByRole('button', { name: 'Update' }));
+    expect(screen.getByText('Updated BRAN. Generate again to try it in the grid.')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Skipped words')).not.toBeInTheDocument();
+  });
+
+  it('removes a skipped word from the list', async () => {
+    const { container } = render(<App />);
+    await loadWordList(container, words);
+    fireEvent.change(screen.getByLabelText('Seed'), { target: { value: '11' } });
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Place what fits' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Generate' }));
+
+    const skipped = await screen.findByLabelText('Skipped words');
+    fireEvent.click(within(skipped).getByRole('button', { name: 'Remove' }));
+    expect(screen.getByText('Removed FLUX from the word list.')).toBeInTheDocument();
+    expect(screen.queryByLabelText('Skipped words')).not.toBeInTheDocument();
+  });
+});
+
+describe('saved word lists', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    authState.currentUser = { uid: 'me', displayName: 'Sam' };
+  });
+
+  afterEach(() => {
+    authState.currentUser = null;
+  });
+
+  const savedList = (id, name, entries) => ({
+    id,
+    data: () => ({ name, entries, wordCount: entries.length, createdAt: { seconds: 0 } }),
+  });
+
+  it('explains a saved list with no usable rows without adding an undo step', async () => {
+    getDocs.mockResolvedValueOnce({ docs: [savedList('broken', 'Broken list', [{ word: '1', clue: '' }])] });
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'My Lists' }));
+    await screen.findByText('Broken list');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load' }));
+
+    expect(
+      screen.getByText("This saved list can't be loaded. No valid {word, clue} pairs were found in the file."),
+    ).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeDisabled();
+  });
+
+  it('loads a saved list as one undo step', async () => {
+    const entries = SPACE_WORDS.map(({ word, clue }) => ({ word, clue }));
+    getDocs.mockResolvedValueOnce({ docs: [savedList('space', 'Space', entries)] });
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: 'My Lists' }));
+    await screen.findByText('Space');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Load' }));
+
+    expect(screen.getByText('Loaded 6 entries from saved list.')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+    expect(screen.getByText('Upload a word list')).toBeInTheDocument();
+  });
+});
+
+describe('layout editor', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  // jsdom has no DataTransfer, so drags carry this stand-in from dragstart to drop.
+  function createDataTransfer() {
+    const data = {};
+    return {
+      types: [],
+      setData(type, value) {
+        data[type] = value;
+        this.types.push(type);
+      },
+      getData: (type) => data[type] ?? '',
+    };
+  }
+
+  function startEditing() {
+    const view = renderSolvingGrid();
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Edit layout' }));
+    const editorCell = (row, col) => view.container.querySelectorAll('#crosswordGrid .cell')[row * 5 + col];
+    return { ...view, editorCell };
+  }
+
+  it('moves a word by dragging it onto another crossing', () => {
+    const { editorCell } = startEditing();
+    const dataTransfer = createDataTransfer();
+
+    // Grab LEMON by its O and drop it on the O of HELLO.
+    fireEvent.dragStart(editorCell(3, 3), { dataTransfer });
+    fireEvent.dragOver(editorCell(0, 4), { dataTransfer });
+    fireEvent.drop(editorCell(0, 4), { dataTransfer });
+
+    expect(screen.getByText('Moved LEMON. 3 words on a 8×5 grid.')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Undo' })).toBeEnabled();
+  });
+
+  it('deletes the selected word and adds a new one where it crosses the most', async () => {
+    const { container, editorCell } = startEditing();
+    const editor = screen.getByLabelText('Layout editor');
+
+    fireEvent.click(editorCell(1, 1));
+    expect(within(editor).getByText('EAGLE')).toBeInTheDocument();
+    fireEvent.click(within(editor).getByRole('button', { name: 'Delete' }));
+    expect(screen.getByText('Removed EAGLE. 2 words on a 5×5 grid.')).toBeInTheDocument();
+
+    const form = screen.getByLabelText('Layout editor');
+    expect(within(form).getByRole('option', { name: 'EAGLE' })).toBeInTheDocument();
+    fireEvent.change(within(form).getByLabelText('New word'), { target: { value: 'new' } });
+    fireEvent.change(within(form).getByLabelText('New clue'), { target: { value: 'Fresh' } });
+    fireEvent.click(within(form).getByRole('button', { name: 'Find a spot' }));
+    expect(screen.getByText(/^Added NEW\. 3 words/)).toBeInTheDocument();
+    await expectNoAxeViolations(container);
+  });
+
+  it('refuses to add a word that is already in the grid', () => {
+    startEditing();
+    const editor = screen.getByLabelText('Layout editor');
+
+    fireEvent.change(within(editor).getByLabelText('New word'), { target: { value: 'lemon' } });
+    fireEvent.change(within(editor).getByLabelText('New clue'), { target: { value: 'Yellow citrus' } });
+    fireEvent.click(within(editor).getByRole('button', { name: 'Find a spot' }));
+
+    expect(screen.getByText('LEMON is already in the grid.')).toBeInTheDocument();
+    expect(document.querySelectorAll('.editor-cell')).toHaveLength(13);
+  });
+});
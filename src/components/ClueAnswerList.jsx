@@ -0,0 +1,50 @@
+import { describeProgress } from "../lib/accessibility";
+import { orderedClues, wordCells } from "../lib/gridNavigation";
+
+// Linear alternative to the grid: one text field per clue. Letters are matched to squares by
+// position, and a space leaves a square blank. Crossing squares are shared, so filling one
+// answer fills in letters of the words it crosses.
+export default function ClueAnswerList({ placements, cellValues, onAnswerChange, disabled = false }) {
+  const clues = orderedClues(placements);
+
+  return (
+    <div className="clue-answers">
+      {["across", "down"].map((direction) => {
+        const group = clues.filter((placement) => placement.direction === direction);
+        if (!group.length) return null;
+        return (
+          <fieldset key={direction} className="clue-answers__group">
+            <legend className="clue-title">{direction === "across" ? "Across" : "Down"}</legend>
+            {group.map((placement) => {
+              const id = `answer-${direction}-${placement.number}`;
+              const letters = wordCells(placement).map(({ row, col }) => cellValues[`${row}-${col}`] || "");
+              return (
+                <div key={id} className="clue-answers__item">
+                  <label htmlFor={id}>
+                    <span className="clue-number">{placement.number}</span> {placement.clue}{" "}
+                    <span className="clue-length">({placement.word.length} letters)</span>
+                  </label>
+                  <input
+                    id={id}
+                    type="text"
+                    autoComplete="off"
+                    autoCapitalize="characters"
+                    spellCheck={false}
+                    maxLength={placement.word.length}
+                    value={letters.map((letter) => letter || " ").join("").trimEnd()}
+                    onChange={(event) => onAnswerChange(placement, event.target.value)}
+                    aria-describedby={`${id}-progress`}
+                    disabled={disabled}
+                  />
+                  <span id={`${id}-progress`} className="sr-only">
+                    {describeProgress(letters)}
+                  </span>
+                </div>
+              );
+            })}
+          </fieldset>
+        );
+      })}
+    </div>
+  );
+}
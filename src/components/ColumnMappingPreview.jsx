@@ -0,0 +1,115 @@
+import { useMemo, useState } from "react";
+import { guessColumnMapping, mapWordListRows } from "../lib/wordListImport";
+
+const PREVIEW_ROWS = 5;
+const LISTED_PROBLEMS = 8;
+
+export default function ColumnMappingPreview({ fileName, table, onImport, onCancel }) {
+  const [mapping, setMapping] = useState(() => guessColumnMapping(table.rows));
+  const { items, errors } = useMemo(() => mapWordListRows(table.rows, mapping), [table, mapping]);
+  const problems = useMemo(() => [...table.errors, ...errors].sort((a, b) => a.line - b.line), [table, errors]);
+
+  const header = mapping.hasHeader ? table.rows[0]?.cells : null;
+  const columnNames = Array.from({ length: table.columns }, (_, index) =>
+    header?.[index] ? `${header[index]} (column ${index + 1})` : `Column ${index + 1}`,
+  );
+  const previewRows = table.rows.slice(mapping.hasHeader ? 1 : 0).slice(0, PREVIEW_ROWS);
+
+  const updateMapping = (field, value) => setMapping((current) => ({ ...current, [field]: value }));
+
+  return (
+    <section className="column-mapping" aria-label="Map columns">
+      <div className="clue-group__header">
+        <span className="clue-title">Map columns for {fileName}</span>
+      </div>
+      <p className="hint">Choose which columns hold the words and clues. The preview shows the first rows.</p>
+
+      <div className="column-mapping__fields">
+        <div className="option-field">
+          <label htmlFor="wordColumn">Word column</label>
+          <select
+            id="wordColumn"
+            value={mapping.word}
+            onChange={(event) => updateMapping("word", Number(event.target.value))}
+          >
+            {columnNames.map((name, index) => (
+              <option key={index} value={index}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="option-field">
+          <label htmlFor="clueColumn">Clue column</label>
+          <select
+            id="clueColumn"
+            value={mapping.clue}
+            onChange={(event) => updateMapping("clue", Number(event.target.value))}
+          >
+            {columnNames.map((name, index) => (
+              <option key={index} value={index}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <label className="switch">
+          <input
+            type="checkbox"
+            checked={mapping.hasHeader}
+            onChange={(event) => updateMapping("hasHeader", event.target.checked)}
+          />
+          <span className="switch-handle" aria-hidden="true" />
+          <span className="switch-label">First row is a header</span>
+        </label>
+      </div>
+
+      <div className="column-mapping__table">
+        <table>
+          <caption className="sr-only">First rows of {fileName}</caption>
+          <thead>
+            <tr>
+              <th scope="col">Line</th>
+              <th scope="col">Word</th>
+              <th scope="col">Clue</th>
+            </tr>
+          </thead>
+          <tbody>
+            {previewRows.map(({ line, cells }) => (
+              <tr key={line}>
+                <td>{line}</td>
+                <td>{cells[mapping.word]}</td>
+                <td>{cells[mapping.clue]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {problems.length > 0 ? (
+        <div className="column-mapping__problems">
+          <p className="warning">
+            {problems.length === 1 ? "1 row can't be imported:" : `${problems.length} rows can't be imported:`}
+          </p>
+          <ul>
+            {problems.slice(0, LISTED_PROBLEMS).map(({ line, message }) => (
+              <li key={`${line}-${message}`}>
+                Line {line}: {message}
+              </li>
+            ))}
+            {problems.length > LISTED_PROBLEMS ? <li>…and {problems.length - LISTED_PROBLEMS} more.</li> : null}
+          </ul>
+        </div>
+      ) : null}
+
+      <div className="actions compact">
+        <button type="button" className="btn btn-primary" disabled={items.length === 0} onClick={() => onImport(items)}>
+          Import {items.length} {items.length === 1 ? "entry" : "entries"}
+        </button>
+        <button type="button" className="btn btn-tertiary" onClick={onCancel}>
+          Cancel
+        </button>
+      </div>
+    </section>
+  );
+}
@@ -0,0 +1,56 @@
+const LISTED_ROWS = 8;
+
+function rowLabel({ index, line }) {
+  return line === null ? `Entry ${index + 1}` : `Line ${line}`;
+}
+
+function ReportGroup({ title, items, describe }) {
+  if (items.length === 0) return null;
+  return (
+    <div className="import-report__group">
+      <p className="import-report__title">
+        {title} ({items.length})
+      </p>
+      <ul>
+        {items.slice(0, LISTED_ROWS).map((item) => (
+          <li key={item.index}>
+            {rowLabel(item)}: {describe(item)}
+          </li>
+        ))}
+        {items.length > LISTED_ROWS ? <li>…and {items.length - LISTED_ROWS} more.</li> : null}
+      </ul>
+    </div>
+  );
+}
+
+// What `normalizeEntriesWithReport` did to an uploaded list, so authors can fix the source file.
+export default function ImportReport({ fileName, report, onDismiss }) {
+  const { dropped, altered, duplicates } = report;
+  if (dropped.length + altered.length + duplicates.length === 0) return null;
+
+  return (
+    <section className="import-report" aria-label="Import report">
+      <div className="clue-group__header">
+        <span className="clue-title">Import report{fileName ? ` for ${fileName}` : ""}</span>
+        <button type="button" className="text-button" onClick={onDismiss}>
+          Dismiss
+        </button>
+      </div>
+      <ReportGroup
+        title="Not imported"
+        items={dropped}
+        describe={({ word, reason }) => (word ? `${word} — ${reason}` : reason)}
+      />
+      <ReportGroup
+        title="Changed"
+        items={altered}
+        describe={({ original, word }) => `"${original}" became ${word}.`}
+      />
+      <ReportGroup
+        title="Duplicates skipped"
+        items={duplicates}
+        describe={({ word, first }) => `${word} already appears at ${rowLabel(first).toLowerCase()}.`}
+      />
+    </section>
+  );
+}
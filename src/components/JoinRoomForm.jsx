@@ -0,0 +1,44 @@
+import { useState } from "react";
+import { ROOM_CODE_LENGTH } from "../lib/collaboration";
+
+export default function JoinRoomForm({ defaultName = "", onJoin, disabled = false }) {
+  const [code, setCode] = useState("");
+  const [name, setName] = useState(defaultName);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    onJoin(code, name.trim() || "Guest");
+  };
+
+  return (
+    <form className="join-room" onSubmit={handleSubmit}>
+      <div className="field-group">
+        <label htmlFor="roomCode">Room code</label>
+        <input
+          id="roomCode"
+          type="text"
+          value={code}
+          onChange={(event) => setCode(event.target.value.toUpperCase())}
+          maxLength={ROOM_CODE_LENGTH + 1}
+          autoComplete="off"
+          autoCapitalize="characters"
+          spellCheck={false}
+        />
+      </div>
+      <div className="field-group">
+        <label htmlFor="roomName">Your name</label>
+        <input
+          id="roomName"
+          type="text"
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          maxLength={40}
+          autoComplete="nickname"
+        />
+      </div>
+      <button type="submit" className="btn btn-secondary" disabled={disabled || !code.trim()}>
+        Join
+      </button>
+    </form>
+  );
+}
@@ -0,0 +1,97 @@
+import { useState } from "react";
+
+export const WORD_DRAG_TYPE = "application/x-crossword-word";
+
+export default function LayoutEditorPanel({ selected, unplaced = [], onFlip, onDelete, onAdd }) {
+  const [choice, setChoice] = useState("");
+  const [word, setWord] = useState("");
+  const [clue, setClue] = useState("");
+  const [direction, setDirection] = useState("across");
+
+  const skipped = choice === "" ? null : unplaced[Number(choice)];
+  const draft = skipped ? { ...skipped } : { word: word.trim(), clue: clue.trim() };
+  const canAdd = Boolean(draft.word && draft.clue);
+
+  const handleDragStart = (event) => {
+    event.dataTransfer.setData(
+      WORD_DRAG_TYPE,
+      JSON.stringify({ source: "entry", entry: draft, direction, offset: 0 }),
+    );
+    event.dataTransfer.effectAllowed = "copy";
+  };
+
+  return (
+    <div className="layout-editor" aria-label="Layout editor">
+      <div className="layout-editor__selection">
+        {selected ? (
+          <>
+            <span className={`direction-pill direction-${selected.direction}`}>
+              {selected.direction === "across" ? "Across" : "Down"}
+            </span>
+            <strong>{selected.word}</strong>
+            <button type="button" className="btn btn-tertiary btn-sm" onClick={onFlip}>
+              Flip
+            </button>
+            <button type="button" className="btn btn-tertiary btn-sm" onClick={onDelete}>
+              Delete
+            </button>
+          </>
+        ) : (
+          <p className="hint">Click a word to select it, or drag it onto another crossing.</p>
+        )}
+      </div>
+
+      <form
+        className="layout-editor__add"
+        onSubmit={(event) => {
+          event.preventDefault();
+          if (canAdd) onAdd(draft, direction);
+        }}
+      >
+        {unplaced.length ? (
+          <select value={choice} onChange={(event) => setChoice(event.target.value)} aria-label="Word to add">
+            <option value="">Type a new word…</option>
+            {unplaced.map((entry, index) => (
+              <option key={`${entry.word}-${index}`} value={index}>
+                {entry.word}
+              </option>
+            ))}
+          </select>
+        ) : null}
+        {!skipped ? (
+          <>
+            <input
+              type="text"
+              value={word}
+              onChange={(event) => setWord(event.target.value)}
+              placeholder="Word"
+              aria-label="New word"
+            />
+            <input
+              type="text"
+              value={clue}
+              onChange={(event) => setClue(event.target.value)}
+              placeholder="Clue"
+              aria-label="New clue"
+            />
+          </>
+        ) : null}
+        <select value={direction} onChange={(event) => setDirection(event.target.value)} aria-label="Direction">
+          <option value="across">Across</option>
+          <option value="down">Down</option>
+        </select>
+        <span
+          className={`layout-editor__chip ${canAdd ? "" : "is-disabled"}`}
+          draggable={canAdd}
+          onDragStart={handleDragStart}
+          title="Drag onto the grid to place the first letter"
+        >
+          {draft.word ? draft.word.toUpperCase() : "—"}
+        </span>
+        <button type="submit" className="btn btn-secondary btn-sm" disabled={!canAdd}>
+          Find a spot
+        </button>
+      </form>
+    </div>
+  );
+}
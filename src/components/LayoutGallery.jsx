@@ -0,0 +1,75 @@
+export default function LayoutGallery({ candidates, activeIndex, onSelect, disabled = false }) {
+  if (!candidates || candidates.length < 2) {
+    return null;
+  }
+
+  const lastIndex = candidates.length - 1;
+
+  return (
+    <div className="layout-gallery" aria-label="Layout options">
+      <div className="layout-gallery__header">
+        <span className="clue-title">Layout options</span>
+        <div className="layout-gallery__nav">
+          <button
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={() => onSelect(activeIndex - 1)}
+            disabled={disabled || activeIndex <= 0}
+            aria-label="Previous layout"
+          >
+            ‹
+          </button>
+          <span className="pill">
+            {activeIndex === -1 ? "Edited" : `${activeIndex + 1} / ${candidates.length}`}
+          </span>
+          <button
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={() => onSelect(activeIndex + 1)}
+            disabled={disabled || activeIndex >= lastIndex}
+            aria-label="Next layout"
+          >
+            ›
+          </button>
+        </div>
+      </div>
+      <ul className="layout-gallery__list">
+        {candidates.map((candidate, index) => (
+          <li key={index}>
+            <button
+              type="button"
+              className={`layout-thumb ${index === activeIndex ? "is-active" : ""}`}
+              onClick={() => onSelect(index)}
+              disabled={disabled}
+              aria-pressed={index === activeIndex}
+              aria-label={`Layout ${index + 1}: ${candidate.cols}×${candidate.rows}, ${candidate.placements.length} words`}
+            >
+              <LayoutThumbnail grid={candidate.grid} />
+              <span className="layout-thumb__meta">
+                {candidate.cols}×{candidate.rows}
+                {candidate.scoreBreakdown ? ` · ${candidate.scoreBreakdown.total.toFixed(2)}` : ""}
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function LayoutThumbnail({ grid }) {
+  const cols = grid[0]?.length || 0;
+  return (
+    <span
+      className="layout-thumb__grid"
+      style={{ gridTemplateColumns: `repeat(${cols}, 1fr)`, aspectRatio: `${cols} / ${grid.length}` }}
+      aria-hidden="true"
+    >
+      {grid.flatMap((row, rowIndex) =>
+        row.map((cell, colIndex) => (
+          <span key={`${rowIndex}-${colIndex}`} className={cell ? "is-filled" : undefined} />
+        )),
+      )}
+    </span>
+  );
+}
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { useAuth } from "../contexts/AuthContext";
+import { MAX_TITLE_LENGTH, publishedPuzzleUrl } from "../lib/publishedPuzzles";
+import { publishPuzzle, unpublishPuzzle } from "../lib/puzzleStore";
+
+export default function PublishPuzzleModal({ puzzle, defaultTitle = "", onClose }) {
+  const { currentUser } = useAuth();
+  const [title, setTitle] = useState(defaultTitle);
+  const [hideAnswers, setHideAnswers] = useState(false);
+  const [published, setPublished] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  async function handlePublish(event) {
+    event.preventDefault();
+    setError("");
+    setLoading(true);
+    try {
+      const id = await publishPuzzle(currentUser, puzzle, { title, hideAnswers });
+      setPublished({ id, hideAnswers });
+    } catch (err) {
+      setError("Failed to publish: " + err.message);
+    }
+    setLoading(false);
+  }
+
+  async function handleUnpublish() {
+    setError("");
+    setLoading(true);
+    try {
+      await unpublishPuzzle(published.id, published);
+      setPublished(null);
+    } catch (err) {
+      setError("Failed to unpublish: " + err.message);
+    }
+    setLoading(false);
+  }
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" role="dialog" aria-labelledby="publishPuzzleTitle" style={{ maxWidth: "520px" }}>
+        <div className="modal-header">
+          <h2 id="publishPuzzleTitle">Publish puzzle</h2>
+          <button onClick={onClose} className="close-button" aria-label="Close">
+            ×
+          </button>
+        </div>
+        {error && <div className="error-alert">{error}</div>}
+
+        {published ? (
+          <>
+            <div className="form-group">
+              <label htmlFor="publishedLink">Anyone with this link can solve it</label>
+              <input
+                id="publishedLink"
+                type="url"
+                value={publishedPuzzleUrl(published.id)}
+                readOnly
+                onFocus={(event) => event.target.select()}
+              />
+            </div>
+            <div className="actions compact">
+              <button type="button" className="btn btn-primary" onClick={onClose}>
+                Done
+              </button>
+              <button type="button" className="btn btn-tertiary" onClick={handleUnpublish} disabled={loading}>
+                Unpublish
+              </button>
+            </div>
+          </>
+        ) : (
+          <form onSubmit={handlePublish}>
+            <div className="form-group">
+              <label htmlFor="publishTitle">Title</label>
+              <input
+                id="publishTitle"
+                type="text"
+                value={title}
+                maxLength={MAX_TITLE_LENGTH}
+                onChange={(event) => setTitle(event.target.value)}
+                required
+              />
+            </div>
+            <label className="switch">
+              <input type="checkbox" checked={hideAnswers} onChange={(event) => setHideAnswers(event.target.checked)} />
+              <span className="switch-handle" aria-hidden="true" />
+              <span className="switch-label">Hide answers</span>
+            </label>
+            <p className="field-hint">
+              Solvers of a puzzle with hidden answers can&apos;t check, reveal or see when they&apos;re done.
+            </p>
+            <button disabled={loading} type="submit" className="btn btn-primary full-width">
+              {loading ? "Publishing…" : "Publish"}
+            </button>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+}
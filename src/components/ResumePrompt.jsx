@@ -0,0 +1,49 @@
+import { formatDuration } from "../lib/solveStats";
+
+export default function ResumePrompt({ sessions, onResume, onDiscard, onClose }) {
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content" role="dialog" aria-labelledby="resumePromptTitle" style={{ maxWidth: "520px" }}>
+        <div className="modal-header">
+          <h2 id="resumePromptTitle">Resume a puzzle?</h2>
+          <button onClick={onClose} className="close-button" aria-label="Close">
+            ×
+          </button>
+        </div>
+        <p className="muted">
+          {sessions.length === 1
+            ? "You have a puzzle in progress."
+            : `You have ${sessions.length} puzzles in progress.`}
+        </p>
+
+        <ul className="saved-lists">
+          {sessions.map((session) => (
+            <li key={session.key} className="saved-list-item">
+              <div className="list-info">
+                <strong>
+                  {session.words} words · {session.cols}×{session.rows}
+                </strong>
+                <span className="list-meta">
+                  {session.filled} of {session.total} letters • {formatDuration(session.elapsedMs)} •{" "}
+                  {new Date(session.updatedAt).toLocaleString()}
+                </span>
+              </div>
+              <div className="list-actions">
+                <button className="btn btn-secondary btn-sm" onClick={() => onResume(session.key)}>
+                  Resume
+                </button>
+                <button className="btn btn-tertiary btn-sm" onClick={() => onDiscard(session.key)}>
+                  Discard
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+
+        <button type="button" className="btn btn-tertiary" onClick={onClose}>
+          Start something new
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+// Room code and who else is solving, each in the color their cursor is drawn in.
+export default function RoomPanel({ code, isHost, color, name, peers, onLeave }) {
+  return (
+    <div className="room-panel" aria-label="Solve together">
+      <div className="room-panel__code">
+        <span className="clue-title">{isHost ? "Share this code" : "Room"}</span>
+        <strong>{code}</strong>
+      </div>
+      <ul className="room-panel__people">
+        <li style={{ "--peer-color": color }}>{name} (you)</li>
+        {peers.map((peer) => (
+          <li key={peer.id} style={{ "--peer-color": peer.color }}>
+            {peer.name}
+          </li>
+        ))}
+      </ul>
+      <button type="button" className="btn btn-tertiary btn-sm" onClick={onLeave}>
+        Leave
+      </button>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { addDoc, collection, deleteDoc, doc, getDocs, query, serverTimestamp, where } from "firebase/firestore";
 import { useEffect, useState } from "react";
 import { useAuth } from "../contexts/AuthContext";
+import { serializeEntries } from "../lib/crossword";
 import { db } from "../lib/firebase";
 
 export default function SavedListsModal({ onClose, onLoadList, currentEntries, currentTheme }) {
@@ -42,7 +43,7 @@ export default function SavedListsModal({ onClose, onLoadList, currentEntries, c
       await addDoc(collection(db, "wordLists"), {
         userId: currentUser.uid,
         name: saveName || "Untitled List",
-        entries: currentEntries,
+        entries: serializeEntries(currentEntries),
         createdAt: serverTimestamp(),
         wordCount: currentEntries.length
       });
@@ -107,7 +108,7 @@ export default function SavedListsModal({ onClose, onLoadList, currentEntries, c
                 <li key={list.id} className="saved-list-item">
                   <div className="list-info">
                     <strong>{list.name}</strong>
-                    <span className="list-meta">{list.wordCount} words • {new Date(list.createdAt?.seconds * 1000).toLocaleDateString()}</span>
+                    <span className="list-meta">{list.wordCount} words{describeFlags(list.entries)} • {new Date(list.createdAt?.seconds * 1000).toLocaleDateString()}</span>
                   </div>
                   <div className="list-actions">
                     <button className="btn btn-secondary btn-sm" onClick={() => { onLoadList(list.entries); onClose(); }}>Load</button>
@@ -122,3 +123,9 @@ export default function SavedListsModal({ onClose, onLoadList, currentEntries, c
     </div>
   );
 }
+
+function describeFlags(entries = []) {
+  const pinned = entries.filter((entry) => entry.required).length;
+  const banned = entries.filter((entry) => entry.excluded).length;
+  return `${pinned ? ` • ${pinned} pinned` : ""}${banned ? ` • ${banned} banned` : ""}`;
+}
@@ -0,0 +1,89 @@
+import { useState } from "react";
+import { sanitizeWord } from "../lib/crossword";
+
+const HINTS = {
+  time: "Time ran out before these entries were placed. Generate again, or edit or remove them.",
+  nodes: "The search step limit was reached before these entries were placed. Generate again, or edit or remove them.",
+};
+
+export default function SkippedWordsPanel({ entries, stoppedBy, onUpdateEntry, onRemoveEntry }) {
+  if (!entries?.length) {
+    return null;
+  }
+
+  return (
+    <div className="skipped-words" aria-label="Skipped words">
+      <div className="clue-group__header">
+        <span className="clue-title">Skipped words</span>
+        <span className="pill">{entries.length}</span>
+      </div>
+      <p className="hint">
+        {HINTS[stoppedBy] ??
+          "These entries didn't connect to the rest of the grid. Edit or remove them, then generate again."}
+      </p>
+      <ul className="skipped-list">
+        {entries.map((entry) => (
+          <SkippedWordRow
+            key={`${entry.originalIndex}-${entry.word}`}
+            entry={entry}
+            onUpdate={onUpdateEntry}
+            onRemove={onRemoveEntry}
+          />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+function SkippedWordRow({ entry, onUpdate, onRemove }) {
+  const [word, setWord] = useState(entry.word);
+  const [clue, setClue] = useState(entry.clue);
+  const [error, setError] = useState("");
+  const isDirty = word !== entry.word || clue !== entry.clue;
+
+  function handleSubmit(event) {
+    event.preventDefault();
+    const cleanWord = sanitizeWord(word);
+    const cleanClue = clue.trim();
+    if (cleanWord.length < 2) {
+      setError("Words need at least two letters.");
+      return;
+    }
+    if (!cleanClue) {
+      setError("Add a clue for this word.");
+      return;
+    }
+    setError("");
+    onUpdate(entry, { ...entry, word: cleanWord, clue: cleanClue });
+  }
+
+  return (
+    <li className="skipped-item">
+      <form onSubmit={handleSubmit}>
+        <input
+          type="text"
+          value={word}
+          onChange={(event) => setWord(event.target.value)}
+          aria-label={`Word for ${entry.word}`}
+          autoComplete="off"
+        />
+        <input
+          type="text"
+          value={clue}
+          onChange={(event) => setClue(event.target.value)}
+          aria-label={`Clue for ${entry.word}`}
+          autoComplete="off"
+        />
+        <div className="list-actions">
+          <button type="submit" className="btn btn-secondary btn-sm" disabled={!isDirty}>
+            Update
+          </button>
+          <button type="button" className="btn btn-tertiary btn-sm" onClick={() => onRemove(entry)}>
+            Remove
+          </button>
+        </div>
+      </form>
+      {error ? <p className="warning">{error}</p> : null}
+    </li>
+  );
+}
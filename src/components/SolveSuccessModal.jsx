@@ -0,0 +1,56 @@
+import { formatDuration } from "../lib/solveStats";
+
+export default function SolveSuccessModal({ record, summary, syncing, onClose }) {
+  const assisted = record.checks || record.reveals;
+
+  return (
+    <div className="modal-overlay">
+      <div className="modal-content solve-success" role="dialog" aria-labelledby="solveSuccessTitle">
+        <div className="modal-header">
+          <h2 id="solveSuccessTitle">Puzzle solved!</h2>
+          <button onClick={onClose} className="close-button" aria-label="Close">
+            ×
+          </button>
+        </div>
+
+        <p className="solve-success__time">{formatDuration(record.elapsedMs)}</p>
+        <p className="muted">
+          {assisted
+            ? `${record.words} words with ${plural(record.checks, "check")} and ${plural(record.reveals, "reveal")}.`
+            : `${record.words} words, no help needed.`}
+        </p>
+
+        <div className="lists-section">
+          <h3>Your solves</h3>
+          <dl className="solve-stats">
+            <div>
+              <dt>Solved</dt>
+              <dd>{summary.count}</dd>
+            </div>
+            <div>
+              <dt>Best</dt>
+              <dd>{summary.bestMs === null ? "—" : formatDuration(summary.bestMs)}</dd>
+            </div>
+            <div>
+              <dt>Average</dt>
+              <dd>{summary.averageMs === null ? "—" : formatDuration(summary.averageMs)}</dd>
+            </div>
+            <div>
+              <dt>No help</dt>
+              <dd>{summary.unassisted}</dd>
+            </div>
+          </dl>
+          {syncing ? <p className="hint">Syncing with your account…</p> : null}
+        </div>
+
+        <button type="button" className="btn btn-primary" onClick={onClose}>
+          Done
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function plural(count, noun) {
+  return `${count} ${noun}${count === 1 ? "" : "s"}`;
+}
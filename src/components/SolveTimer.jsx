@@ -0,0 +1,20 @@
+import { formatDuration } from "../lib/solveStats";
+
+export default function SolveTimer({ status, elapsedMs, onPause, onResume }) {
+  const paused = status === "paused";
+  return (
+    <div className={`solve-timer is-${status}`}>
+      <span className="solve-timer__time" aria-label="Solve time">
+        {formatDuration(elapsedMs)}
+      </span>
+      <button
+        type="button"
+        className="btn btn-tertiary btn-sm"
+        onClick={paused ? onResume : onPause}
+        disabled={status === "idle" || status === "stopped"}
+      >
+        {paused ? "Resume" : "Pause"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+const SCOPES = [
+  { value: "letter", label: "Letter" },
+  { value: "word", label: "Word" },
+  { value: "puzzle", label: "Puzzle" },
+];
+
+export default function SolvingAidsBar({ hasActiveCell, onCheck, onReveal, disabled = false }) {
+  const scopeDisabled = (scope) => disabled || (scope !== "puzzle" && !hasActiveCell);
+
+  return (
+    <div className="solving-aids" aria-label="Solving aids">
+      <div className="solving-aids__group" role="group" aria-label="Check">
+        <span className="clue-title">Check</span>
+        {SCOPES.map((scope) => (
+          <button
+            key={scope.value}
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={() => onCheck(scope.value)}
+            disabled={scopeDisabled(scope.value)}
+          >
+            {scope.label}
+          </button>
+        ))}
+      </div>
+      <div className="solving-aids__group" role="group" aria-label="Reveal">
+        <span className="clue-title">Reveal</span>
+        {SCOPES.slice(0, 2).map((scope) => (
+          <button
+            key={scope.value}
+            type="button"
+            className="btn btn-tertiary btn-sm"
+            onClick={() => onReveal(scope.value)}
+            disabled={scopeDisabled(scope.value)}
+          >
+            {scope.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
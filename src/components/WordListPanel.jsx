@@ -0,0 +1,56 @@
+export default function WordListPanel({ entries, onToggleFlag, onDownload }) {
+  const pinnedCount = entries.filter((entry) => entry.required).length;
+  const bannedCount = entries.filter((entry) => entry.excluded).length;
+
+  return (
+    <details className="word-list-panel">
+      <summary>
+        <span>Review words</span>
+        <span className="list-meta">
+          {pinnedCount} pinned • {bannedCount} banned
+        </span>
+      </summary>
+      <p className="hint">
+        Pinned words are always in the puzzle. Banned words are never picked.
+      </p>
+      <ul className="word-list">
+        {entries.map((entry) => (
+          <li
+            key={`${entry.originalIndex}-${entry.word}`}
+            className={`word-list-item ${entry.required ? "is-pinned" : ""} ${
+              entry.excluded ? "is-banned" : ""
+            }`}
+          >
+            <div className="list-info">
+              <strong>{entry.word}</strong>
+              <span className="list-meta">{entry.clue}</span>
+            </div>
+            <div className="list-actions">
+              <button
+                type="button"
+                className="btn btn-secondary btn-sm"
+                aria-pressed={Boolean(entry.required)}
+                aria-label={`${entry.required ? "Unpin" : "Pin"} ${entry.word}`}
+                onClick={() => onToggleFlag(entry, "required")}
+              >
+                {entry.required ? "Pinned" : "Pin"}
+              </button>
+              <button
+                type="button"
+                className="btn btn-tertiary btn-sm"
+                aria-pressed={Boolean(entry.excluded)}
+                aria-label={`${entry.excluded ? "Allow" : "Ban"} ${entry.word}`}
+                onClick={() => onToggleFlag(entry, "excluded")}
+              >
+                {entry.excluded ? "Banned" : "Ban"}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+      <button type="button" className="text-button" onClick={onDownload}>
+        Download list as JSON
+      </button>
+    </details>
+  );
+}
@@ -2,6 +2,7 @@ import {
     createUserWithEmailAndPassword,
     GoogleAuthProvider,
     onAuthStateChanged,
+    signInAnonymously,
     signInWithEmailAndPassword,
     signInWithPopup,
     signOut
@@ -32,6 +33,11 @@ export function AuthProvider({ children }) {
     return signInWithPopup(auth, provider);
   }
 
+  // Lets someone without an account join a "solve together" room.
+  function guestLogin() {
+    return signInAnonymously(auth);
+  }
+
   function logout() {
     return signOut(auth);
   }
@@ -50,6 +56,7 @@ export function AuthProvider({ children }) {
     signup,
     login,
     googleLogin,
+    guestLogin,
     logout
   };
 
@@ -0,0 +1,48 @@
+import { useCallback, useLayoutEffect, useRef, useState } from "react";
+import { createHistory, recordHistory, redoHistory, undoHistory } from "../lib/history";
+
+// Wraps the snapshot history for a component. `getSnapshot` reads the component's current state
+// and `restore` puts a snapshot back; both may change every render.
+export function useHistory(getSnapshot, restore) {
+  const [history, setHistory] = useState(createHistory);
+  const historyRef = useRef(history);
+  const callbacksRef = useRef({ getSnapshot, restore });
+
+  useLayoutEffect(() => {
+    callbacksRef.current = { getSnapshot, restore };
+  });
+
+  const commit = useCallback((next) => {
+    historyRef.current = next;
+    setHistory(next);
+  }, []);
+
+  const record = useCallback(
+    (key = null) => {
+      commit(recordHistory(historyRef.current, callbacksRef.current.getSnapshot(), { key }));
+    },
+    [commit],
+  );
+
+  const travel = useCallback(
+    (move) => {
+      const result = move(historyRef.current, callbacksRef.current.getSnapshot());
+      if (!result) return false;
+      commit(result.history);
+      callbacksRef.current.restore(result.snapshot);
+      return true;
+    },
+    [commit],
+  );
+
+  const undo = useCallback(() => travel(undoHistory), [travel]);
+  const redo = useCallback(() => travel(redoHistory), [travel]);
+
+  return {
+    record,
+    undo,
+    redo,
+    canUndo: history.past.length > 0,
+    canRedo: history.future.length > 0,
+  };
+}
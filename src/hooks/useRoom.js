@@ -0,0 +1,89 @@
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
+import {
+  activePeers,
+  changedCells,
+  createCellEntry,
+  mergeCellEntries,
+  participantColor,
+  PRESENCE_HEARTBEAT_MS,
+} from "../lib/collaboration";
+import { leaveRoom, subscribeToCells, subscribeToPresence, updatePresence, writeCell } from "../lib/roomStore";
+
+// Keeps a solver's letters and cursor in sync with a "solve together" room. Letters typed
+// locally are sent whatever changed them (typing, reveals, undo), and letters from the room
+// arrive through `onRemoteCells` as { "row-col": letter } with "" for cleared squares.
+// `room` is null when not in a room.
+export function useRoom(room, { userId, name, cellValues, activeCell, activeDirection, onRemoteCells, onError }) {
+  const code = room?.code ?? null;
+  const [presence, setPresence] = useState({ code: null, peers: [] });
+  const [now, setNow] = useState(() => Date.now());
+  const entriesRef = useRef({});
+  const previousValuesRef = useRef({});
+  const callbacksRef = useRef({ onRemoteCells, onError });
+
+  useLayoutEffect(() => {
+    callbacksRef.current = { onRemoteCells, onError };
+  });
+
+  useEffect(() => {
+    if (!code) return undefined;
+    entriesRef.current = {};
+    previousValuesRef.current = {};
+    const reportError = (error) => callbacksRef.current.onError(error);
+    const unsubscribeCells = subscribeToCells(
+      code,
+      (incoming) => {
+        const { entries, changes } = mergeCellEntries(entriesRef.current, incoming);
+        entriesRef.current = entries;
+        if (Object.keys(changes).length === 0) return;
+        callbacksRef.current.onRemoteCells(changes);
+      },
+      reportError,
+    );
+    const unsubscribePresence = subscribeToPresence(code, (peers) => setPresence({ code, peers }), reportError);
+    const tick = setInterval(() => setNow(Date.now()), PRESENCE_HEARTBEAT_MS);
+    return () => {
+      unsubscribeCells();
+      unsubscribePresence();
+      clearInterval(tick);
+    };
+  }, [code]);
+
+  useEffect(() => {
+    if (!code || !userId) return;
+    const changed = changedCells(previousValuesRef.current, cellValues);
+    previousValuesRef.current = cellValues;
+    changed.forEach((key) => {
+      // Letters that arrived from the room already match its entry, so they aren't sent back.
+      if ((entriesRef.current[key]?.value || "") === (cellValues[key] || "")) return;
+      const entry = createCellEntry(cellValues[key], userId);
+      entriesRef.current = { ...entriesRef.current, [key]: entry };
+      writeCell(code, key, entry).catch((error) => callbacksRef.current.onError(error));
+    });
+  }, [code, userId, cellValues]);
+
+  const row = activeCell?.row ?? null;
+  const col = activeCell?.col ?? null;
+  useEffect(() => {
+    if (!code || !userId) return undefined;
+    const send = () =>
+      updatePresence(code, userId, { name, color: participantColor(userId), row, col, direction: activeDirection }).catch(
+        (error) => callbacksRef.current.onError(error),
+      );
+    send();
+    const heartbeat = setInterval(send, PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(heartbeat);
+  }, [code, userId, name, row, col, activeDirection]);
+
+  useEffect(() => {
+    if (!code || !userId) return undefined;
+    return () => {
+      leaveRoom(code, userId).catch(() => {});
+    };
+  }, [code, userId]);
+
+  return {
+    peers: presence.code === code ? activePeers(presence.peers, userId, now) : [],
+    color: participantColor(userId),
+  };
+}
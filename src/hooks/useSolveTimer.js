@@ -0,0 +1,85 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+
+const TICK_MS = 1000;
+
+// A stopwatch that only counts while running. `elapsedMs` is recomputed on every tick so the
+// display stays live without storing the running total in state. The latest state is also kept
+// in a ref, so `stop` sees a start made earlier in the same handler.
+export function useSolveTimer(now = Date.now) {
+  const [timer, setTimerState] = useState({ startedAt: null, accumulated: 0, status: "idle" });
+  const [, setTick] = useState(0);
+  const latest = useRef(timer);
+
+  const setTimer = useCallback((next) => {
+    const value = typeof next === "function" ? next(latest.current) : next;
+    latest.current = value;
+    setTimerState(value);
+  }, []);
+
+  useEffect(() => {
+    if (timer.status !== "running") return undefined;
+    const id = setInterval(() => setTick((tick) => tick + 1), TICK_MS);
+    return () => clearInterval(id);
+  }, [timer.status]);
+
+  const start = useCallback(() => {
+    setTimer((prev) => (prev.status === "idle" ? { startedAt: now(), accumulated: 0, status: "running" } : prev));
+  }, [now, setTimer]);
+
+  const pause = useCallback(() => {
+    setTimer((prev) =>
+      prev.status === "running"
+        ? { startedAt: null, accumulated: prev.accumulated + now() - prev.startedAt, status: "paused" }
+        : prev,
+    );
+  }, [now, setTimer]);
+
+  const resume = useCallback(() => {
+    setTimer((prev) => (prev.status === "paused" ? { ...prev, startedAt: now(), status: "running" } : prev));
+  }, [now, setTimer]);
+
+  // Only changes identity when the timer starts, pauses or stops, not on every tick.
+  const read = useCallback(() => elapsedOf(timer, now()), [timer, now]);
+
+  // Stops for good and returns the final time, or null if it had already stopped.
+  const stop = useCallback(() => {
+    if (latest.current.status === "stopped") {
+      return null;
+    }
+    const finalMs = elapsedOf(latest.current, now());
+    setTimer({ startedAt: null, accumulated: finalMs, status: "stopped" });
+    return finalMs;
+  }, [now, setTimer]);
+
+  const reset = useCallback(() => {
+    setTimer({ startedAt: null, accumulated: 0, status: "idle" });
+  }, [setTimer]);
+
+  // Picks a resumed solve back up where it was saved.
+  const restore = useCallback(
+    (elapsedMs) => {
+      setTimer(
+        elapsedMs > 0
+          ? { startedAt: now(), accumulated: elapsedMs, status: "running" }
+          : { startedAt: null, accumulated: 0, status: "idle" },
+      );
+    },
+    [now, setTimer],
+  );
+
+  return {
+    status: timer.status,
+    elapsedMs: elapsedOf(timer, now()),
+    read,
+    start,
+    pause,
+    resume,
+    stop,
+    reset,
+    restore,
+  };
+}
+
+function elapsedOf(timer, time) {
+  return timer.accumulated + (timer.status === "running" ? time - timer.startedAt : 0);
+}
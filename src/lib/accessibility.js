@@ -0,0 +1,44 @@
+import { CELL_MARKS } from "./solvingAids";
+
+const MARK_DESCRIPTIONS = {
+  [CELL_MARKS.WRONG]: "marked wrong",
+  [CELL_MARKS.CORRECTED]: "corrected",
+  [CELL_MARKS.CHECKED]: "checked correct",
+  [CELL_MARKS.REVEALED]: "revealed",
+};
+
+// Label for one grid square, read from the word running in `direction` when there is one,
+// e.g. "12 across, letter 3 of 7, clue: Sour fruit".
+export function describeCell(placementOptions, { row, col }, direction, mark) {
+  const placement = placementOptions?.[direction] || placementOptions?.across || placementOptions?.down;
+  if (!placement) {
+    return `Row ${row + 1}, column ${col + 1}`;
+  }
+  const index = placement.direction === "across" ? col - placement.col : row - placement.row;
+  const parts = [
+    `${placement.number} ${placement.direction}`,
+    `letter ${index + 1} of ${placement.word.length}`,
+    `clue: ${placement.clue}`,
+  ];
+  const crossing = placement.direction === "across" ? placementOptions.down : placementOptions.across;
+  if (crossing) {
+    parts.push(`crosses ${crossing.number} ${crossing.direction}`);
+  }
+  if (MARK_DESCRIPTIONS[mark]) {
+    parts.push(MARK_DESCRIPTIONS[mark]);
+  }
+  return parts.join(", ");
+}
+
+// What the live region says when the active clue changes.
+export function announceClue(placement) {
+  if (!placement) return "";
+  return `${placement.number} ${placement.direction}: ${placement.clue}. ${placement.word.length} letters.`;
+}
+
+// The letters entered so far for a word, with blanks spelled out for screen readers.
+export function describeProgress(letters) {
+  const filled = letters.filter(Boolean).length;
+  if (filled === 0) return "No letters yet.";
+  return `${filled} of ${letters.length} letters: ${letters.map((letter) => letter || "blank").join(", ")}.`;
+}
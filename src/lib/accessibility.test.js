@@ -0,0 +1,30 @@
+import { describe, expect, it } from 'vitest';
+import { announceClue, describeCell, describeProgress } from './accessibility';
+
+const across = { word: 'LEMONADE', clue: 'Summer drink', row: 2, col: 3, direction: 'across', number: 12 };
+const down = { word: 'MOP', clue: 'Floor cleaner', row: 1, col: 5, direction: 'down', number: 7 };
+
+describe('accessibility labels', () => {
+  it('should describe a square from the word running in the current direction', () => {
+    expect(describeCell({ across, down }, { row: 2, col: 5 }, 'across')).toBe(
+      '12 across, letter 3 of 8, clue: Summer drink, crosses 7 down',
+    );
+    expect(describeCell({ across, down }, { row: 2, col: 5 }, 'down', 'revealed')).toBe(
+      '7 down, letter 2 of 3, clue: Floor cleaner, crosses 12 across, revealed',
+    );
+  });
+
+  it('should fall back to the only word through a square, or its position', () => {
+    expect(describeCell({ across }, { row: 2, col: 4 }, 'down', 'wrong')).toBe(
+      '12 across, letter 2 of 8, clue: Summer drink, marked wrong',
+    );
+    expect(describeCell(undefined, { row: 0, col: 4 }, 'across')).toBe('Row 1, column 5');
+  });
+
+  it('should announce clues and spell out progress', () => {
+    expect(announceClue(down)).toBe('7 down: Floor cleaner. 3 letters.');
+    expect(announceClue(null)).toBe('');
+    expect(describeProgress(['', '', ''])).toBe('No letters yet.');
+    expect(describeProgress(['M', '', 'P'])).toBe('2 of 3 letters: M, blank, P.');
+  });
+});
@@ -0,0 +1,396 @@
+import {
+  assignNumbers,
+  consumeBudget,
+  createBudget,
+  createRandom,
+  normalizeSeed,
+  runSteps,
+  runStepsAsync,
+  throwIfAborted,
+  yieldIfDue,
+} from "./crossword";
+
+export const BLOCK_GRID_SIZES = [5, 15, 21];
+export const DEFAULT_MIN_ENTRY_LENGTH = 3;
+
+// Roughly the block density of published minis, dailies and Sunday grids.
+const BLOCK_RATIOS = { 5: 0.12, 15: 0.16, 21: 0.17 };
+const MAX_PATTERNS = 40;
+// Per pattern; `maxNodes` and `timeBudgetMs` cap the whole run, as for freeform grids.
+const FILL_NODE_BUDGET = 20000;
+
+export function createBlockPuzzle(entries, options = {}) {
+  return runSteps(generateBlockPuzzle(entries, options));
+}
+
+export function createBlockPuzzleAsync(entries, options = {}) {
+  return runStepsAsync(generateBlockPuzzle(entries, options));
+}
+
+function* generateBlockPuzzle(entries, options) {
+  const {
+    onProgress,
+    signal,
+    timeBudgetMs,
+    maxNodes,
+    size = 15,
+    minLength = DEFAULT_MIN_ENTRY_LENGTH,
+    maxPatterns = MAX_PATTERNS,
+    maxPatternNodes = FILL_NODE_BUDGET,
+  } = options;
+  const report = typeof onProgress === "function" ? onProgress : () => {};
+  const seed = normalizeSeed(options.seed);
+  const random = createRandom(seed);
+
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new Error("Load a JSON file before generating a crossword.");
+  }
+
+  if (!Number.isInteger(size) || size < minLength) {
+    throw new Error(`Classic grids must be at least ${minLength}×${minLength}.`);
+  }
+
+  const words = buildWordPool(entries, minLength, size);
+  if (words.length === 0) {
+    throw new Error(`No words of ${minLength}–${size} letters are available for a ${size}×${size} grid.`);
+  }
+
+  report(`Filling a ${size}×${size} grid from ${words.length} words (seed ${seed})…`);
+  const search = { signal, budget: createBudget({ timeBudgetMs, maxNodes }) };
+  for (let attempt = 0; attempt < maxPatterns; attempt += 1) {
+    if (attempt > 0) {
+      yield attempt;
+    }
+    throwIfAborted(signal);
+    report(`Block pattern ${attempt + 1} of ${maxPatterns}`);
+    const blocks = generateBlockPattern(size, { random, minLength });
+    const fill = yield* searchFill(blocks, words, { random, minLength, maxNodes: maxPatternNodes, search });
+    throwIfAborted(signal);
+    if (fill) {
+      report("Grid filled.");
+      return buildBlockLayout(fill, seed);
+    }
+    if (search.budget.exhausted) {
+      break;
+    }
+  }
+
+  // A classic grid is all or nothing, so a spent budget ends the run with no partial layout.
+  const { exhaustedBy } = search.budget;
+  if (exhaustedBy) {
+    throw new Error(
+      `${exhaustedBy === "time" ? "Time ran out" : "The search step limit was reached"} before a ${size}×${size} grid could be filled from ${words.length} words. Add more ${minLength}–${size} letter words or pick a smaller grid.`,
+    );
+  }
+  throw new Error(
+    `Couldn't fill a ${size}×${size} grid from ${words.length} words. Classic grids need many interlocking ${minLength}–${size} letter words; add more entries or pick a smaller grid.`,
+  );
+}
+
+function buildWordPool(entries, minLength, maxLength) {
+  const seen = new Set();
+  const words = [];
+  entries.forEach((entry) => {
+    if (!entry?.word || entry.excluded) return;
+    if (entry.word.length < minLength || entry.word.length > maxLength) return;
+    if (seen.has(entry.word)) return;
+    seen.add(entry.word);
+    words.push(entry);
+  });
+  return words;
+}
+
+export function generateBlockPattern(size, options = {}) {
+  const { random = Math.random, minLength = DEFAULT_MIN_ENTRY_LENGTH, blockRatio } = options;
+  const ratio = blockRatio ?? BLOCK_RATIOS[size] ?? 0.16;
+  const target = Math.round(size * size * ratio);
+  const blocks = Array.from({ length: size }, () => Array(size).fill(false));
+  let count = 0;
+  let tries = size * size * 4;
+
+  while (count < target && tries > 0) {
+    tries -= 1;
+    const row = Math.floor(random() * size);
+    const col = Math.floor(random() * size);
+    if (blocks[row][col]) continue;
+
+    const mirrorRow = size - 1 - row;
+    const mirrorCol = size - 1 - col;
+    blocks[row][col] = true;
+    blocks[mirrorRow][mirrorCol] = true;
+    if (isValidPattern(blocks, minLength)) {
+      count += row === mirrorRow && col === mirrorCol ? 1 : 2;
+    } else {
+      blocks[row][col] = false;
+      blocks[mirrorRow][mirrorCol] = false;
+    }
+  }
+
+  return blocks;
+}
+
+export function isValidPattern(blocks, minLength = DEFAULT_MIN_ENTRY_LENGTH) {
+  const rows = blocks.length;
+  const cols = blocks[0]?.length || 0;
+  let whiteCount = 0;
+  let start = null;
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      if (blocks[row][col]) continue;
+      whiteCount += 1;
+      start = start || [row, col];
+      const acrossStart = col === 0 || blocks[row][col - 1];
+      const downStart = row === 0 || blocks[row - 1][col];
+      if (acrossStart && runLength(blocks, row, col, "across") < minLength) return false;
+      if (downStart && runLength(blocks, row, col, "down") < minLength) return false;
+    }
+  }
+
+  if (!start) {
+    return false;
+  }
+
+  const seen = new Set([`${start[0]}:${start[1]}`]);
+  const queue = [start];
+  while (queue.length) {
+    const [row, col] = queue.pop();
+    [
+      [row - 1, col],
+      [row + 1, col],
+      [row, col - 1],
+      [row, col + 1],
+    ].forEach(([nextRow, nextCol]) => {
+      if (nextRow < 0 || nextCol < 0 || nextRow >= rows || nextCol >= cols) return;
+      if (blocks[nextRow][nextCol]) return;
+      const key = `${nextRow}:${nextCol}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      queue.push([nextRow, nextCol]);
+    });
+  }
+
+  return seen.size === whiteCount;
+}
+
+function runLength(blocks, row, col, direction) {
+  let length = 0;
+  while (row < blocks.length && col < blocks[0].length && !blocks[row][col]) {
+    length += 1;
+    if (direction === "across") {
+      col += 1;
+    } else {
+      row += 1;
+    }
+  }
+  return length;
+}
+
+export function findSlots(blocks, minLength = DEFAULT_MIN_ENTRY_LENGTH) {
+  const rows = blocks.length;
+  const cols = blocks[0]?.length || 0;
+  const slots = [];
+
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      if (blocks[row][col]) continue;
+      ["across", "down"].forEach((direction) => {
+        const isStart =
+          direction === "across" ? col === 0 || blocks[row][col - 1] : row === 0 || blocks[row - 1][col];
+        if (!isStart) return;
+        const length = runLength(blocks, row, col, direction);
+        if (length < minLength) return;
+        const cells = Array.from({ length }, (_, i) =>
+          direction === "across" ? row * cols + col + i : (row + i) * cols + col,
+        );
+        slots.push({ row, col, direction, length, cells });
+      });
+    }
+  }
+
+  return slots;
+}
+
+export function fillPattern(blocks, words, options = {}) {
+  return runSteps(searchFill(blocks, words, options));
+}
+
+// Depth-first fill over an explicit stack, so a long fill yields to the event loop (and sees a
+// cancel) between nodes. `search` carries the signal and the run's budget across patterns.
+function* searchFill(blocks, words, options) {
+  const {
+    random = Math.random,
+    minLength = DEFAULT_MIN_ENTRY_LENGTH,
+    maxNodes = FILL_NODE_BUDGET,
+    search = {},
+  } = options;
+  const cols = blocks[0]?.length || 0;
+  const slots = findSlots(blocks, minLength);
+  const byLength = new Map();
+  words.forEach((entry, index) => {
+    const list = byLength.get(entry.word.length) || [];
+    list.push(index);
+    byLength.set(entry.word.length, list);
+  });
+
+  const needed = new Map();
+  slots.forEach((slot) => needed.set(slot.length, (needed.get(slot.length) || 0) + 1));
+  for (const [length, count] of needed) {
+    if ((byLength.get(length)?.length || 0) < count) {
+      return null;
+    }
+  }
+
+  const letterIndex = buildLetterIndex(words);
+  const letters = Array(blocks.length * cols).fill("");
+  const assignments = Array(slots.length).fill(-1);
+  const used = new Set();
+  const budget = createBudget({ maxNodes }, search.budget ?? null);
+  const frames = [];
+  let descending = true;
+  let nodes = 0;
+
+  const candidatesFor = (slot) => {
+    let base = byLength.get(slot.length) || [];
+    slot.cells.forEach((cell, position) => {
+      const letter = letters[cell];
+      if (!letter) return;
+      const narrowed = letterIndex.get(`${slot.length}:${position}:${letter}`) || [];
+      if (narrowed.length < base.length) {
+        base = narrowed;
+      }
+    });
+    return base.filter((index) => {
+      if (used.has(index)) return false;
+      const { word } = words[index];
+      return slot.cells.every((cell, position) => !letters[cell] || letters[cell] === word[position]);
+    });
+  };
+
+  // Most-constrained slot first. Returns null when every slot is filled and an empty frame when
+  // some slot has no candidates left, which sends the search back a step.
+  const nextFrame = () => {
+    let slotIndex = -1;
+    let candidates = null;
+    for (let i = 0; i < slots.length; i += 1) {
+      if (assignments[i] !== -1) continue;
+      const domain = candidatesFor(slots[i]);
+      if (domain.length === 0) {
+        return { slotIndex: i, candidates: domain, next: 0, written: null };
+      }
+      if (!candidates || domain.length < candidates.length) {
+        slotIndex = i;
+        candidates = domain;
+        if (domain.length === 1) break;
+      }
+    }
+    return slotIndex === -1
+      ? null
+      : { slotIndex, candidates: shuffleInPlace(candidates, random), next: 0, written: null };
+  };
+
+  const unassign = (frame) => {
+    used.delete(assignments[frame.slotIndex]);
+    assignments[frame.slotIndex] = -1;
+    frame.written.forEach((cell) => {
+      letters[cell] = "";
+    });
+    frame.written = null;
+  };
+
+  for (;;) {
+    if (descending) {
+      if (search.signal?.aborted || !consumeBudget(budget)) {
+        return null;
+      }
+      nodes += 1;
+      yield* yieldIfDue(search, nodes);
+      const frame = nextFrame();
+      if (!frame) break;
+      frames.push(frame);
+    }
+
+    const frame = frames[frames.length - 1];
+    if (frame.written) {
+      unassign(frame);
+    }
+    if (frame.next < frame.candidates.length) {
+      const index = frame.candidates[frame.next];
+      const { word } = words[index];
+      frame.next += 1;
+      frame.written = [];
+      slots[frame.slotIndex].cells.forEach((cell, position) => {
+        if (!letters[cell]) {
+          letters[cell] = word[position];
+          frame.written.push(cell);
+        }
+      });
+      assignments[frame.slotIndex] = index;
+      used.add(index);
+      descending = true;
+      continue;
+    }
+
+    frames.pop();
+    if (frames.length === 0) {
+      return null;
+    }
+    descending = false;
+  }
+
+  return {
+    grid: blocks.map((row, rowIndex) =>
+      row.map((isBlock, colIndex) => (isBlock ? null : letters[rowIndex * cols + colIndex])),
+    ),
+    slots: slots.map((slot, index) => ({ ...slot, entry: words[assignments[index]] })),
+  };
+}
+
+function buildLetterIndex(words) {
+  const index = new Map();
+  words.forEach((entry, wordIndex) => {
+    for (let position = 0; position < entry.word.length; position += 1) {
+      const key = `${entry.word.length}:${position}:${entry.word[position]}`;
+      const list = index.get(key) || [];
+      list.push(wordIndex);
+      index.set(key, list);
+    }
+  });
+  return index;
+}
+
+function shuffleInPlace(array, random) {
+  for (let i = array.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+function buildBlockLayout(fill, seed) {
+  const placements = fill.slots.map((slot) => ({
+    word: slot.entry.word,
+    clue: slot.entry.clue,
+    row: slot.row,
+    col: slot.col,
+    direction: slot.direction,
+    entryIndex: slot.entry.originalIndex,
+  }));
+  const numbering = assignNumbers(fill.grid, placements);
+
+  return {
+    grid: fill.grid,
+    placements: numbering.placements,
+    numbersMap: numbering.numbersMap,
+    acrossClues: numbering.acrossClues,
+    downClues: numbering.downClues,
+    style: "blocks",
+    seed,
+    requestedCount: placements.length,
+    rows: fill.grid.length,
+    cols: fill.grid[0]?.length || 0,
+    partial: false,
+    unplaced: [],
+    swappedIn: [],
+  };
+}
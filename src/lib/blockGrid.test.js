@@ -0,0 +1,129 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  createBlockPuzzle,
+  createBlockPuzzleAsync,
+  fillPattern,
+  findSlots,
+  generateBlockPattern,
+  isValidPattern,
+} from './blockGrid';
+import { createRandom, isAbortError } from './crossword';
+
+const squarePool = [
+  { word: 'BAT', clue: 'Cave flyer', originalIndex: 0 },
+  { word: 'ONE', clue: 'Single', originalIndex: 1 },
+  { word: 'GET', clue: 'Obtain', originalIndex: 2 },
+  { word: 'BOG', clue: 'Marsh', originalIndex: 3 },
+  { word: 'ANE', clue: 'Scots "one"', originalIndex: 4 },
+  { word: 'TET', clue: 'Vietnamese new year', originalIndex: 5 },
+  { word: 'CAR', clue: 'Sedan', originalIndex: 6 },
+];
+
+// Plenty of 3–5 letter words that rarely interlock, so a 5×5 fill searches for a long time.
+const random = createRandom(7);
+const loosePool = Array.from({ length: 200 }, (_, i) => ({
+  word: Array.from({ length: 3 + (i % 3) }, () => 'AEIOURSTLN'[Math.floor(random() * 10)]).join(''),
+  clue: `Clue ${i}`,
+  originalIndex: i,
+}));
+
+describe('generateBlockPattern', () => {
+  it.each([5, 15, 21])('should build a symmetric, connected %i×%i pattern', (size) => {
+    const blocks = generateBlockPattern(size, { random: createRandom(size) });
+    expect(blocks).toHaveLength(size);
+    for (let row = 0; row < size; row += 1) {
+      for (let col = 0; col < size; col += 1) {
+        expect(blocks[row][col]).toBe(blocks[size - 1 - row][size - 1 - col]);
+      }
+    }
+    expect(isValidPattern(blocks, 3)).toBe(true);
+  });
+
+  it('should place blocks on standard-size grids', () => {
+    const blocks = generateBlockPattern(15, { random: createRandom(1) });
+    const count = blocks.flat().filter(Boolean).length;
+    expect(count).toBeGreaterThan(20);
+  });
+});
+
+describe('isValidPattern', () => {
+  it('should reject entries shorter than the minimum length', () => {
+    const blocks = Array.from({ length: 5 }, () => Array(5).fill(false));
+    blocks[0][2] = true;
+    blocks[4][2] = true;
+    expect(isValidPattern(blocks, 3)).toBe(false);
+  });
+
+  it('should reject disconnected white cells', () => {
+    const blocks = Array.from({ length: 7 }, () => Array(7).fill(false));
+    for (let i = 0; i < 7; i += 1) {
+      blocks[3][i] = true;
+    }
+    expect(isValidPattern(blocks, 3)).toBe(false);
+  });
+});
+
+describe('fillPattern', () => {
+  it('should fill every white cell with unique words from the pool', () => {
+    const blocks = Array.from({ length: 3 }, () => Array(3).fill(false));
+    const fill = fillPattern(blocks, squarePool, { random: createRandom(4) });
+    expect(fill).not.toBeNull();
+    expect(findSlots(blocks)).toHaveLength(6);
+
+    const words = fill.slots.map((slot) => slot.entry.word);
+    expect(new Set(words).size).toBe(6);
+    fill.slots.forEach((slot) => {
+      const spelled = Array.from({ length: slot.length }, (_, i) =>
+        slot.direction === 'across' ? fill.grid[slot.row][slot.col + i] : fill.grid[slot.row + i][slot.col],
+      ).join('');
+      expect(spelled).toBe(slot.entry.word);
+    });
+  });
+
+  it('should give up when the pool lacks words of the needed lengths', () => {
+    const blocks = Array.from({ length: 4 }, () => Array(4).fill(false));
+    expect(fillPattern(blocks, squarePool)).toBeNull();
+  });
+});
+
+describe('createBlockPuzzle', () => {
+  it('should number a filled grid like the freeform generator', () => {
+    const puzzle = createBlockPuzzle(squarePool, { size: 3, seed: 2 });
+    expect(puzzle.style).toBe('blocks');
+    expect(puzzle.rows).toBe(3);
+    expect(puzzle.acrossClues.map((clue) => clue.number)).toEqual([1, 4, 5]);
+    expect(puzzle.downClues.map((clue) => clue.number)).toEqual([1, 2, 3]);
+    expect(puzzle.numbersMap[0]).toEqual([1, 2, 3]);
+  });
+
+  it('should explain when a grid cannot be filled', () => {
+    expect(() => createBlockPuzzle(squarePool, { size: 5, seed: 1, maxPatterns: 3 })).toThrow(
+      /Couldn't fill a 5×5 grid/,
+    );
+  });
+
+  it('should say when the node budget ran out', () => {
+    expect(() => createBlockPuzzle(loosePool, { size: 5, seed: 1, maxNodes: 300 })).toThrow(
+      /The search step limit was reached before a 5×5 grid could be filled/,
+    );
+  });
+
+  it('should say when the time budget ran out', () => {
+    let clock = 0;
+    const spy = vi.spyOn(performance, 'now').mockImplementation(() => (clock += 1));
+    try {
+      expect(() => createBlockPuzzle(loosePool, { size: 5, seed: 1, timeBudgetMs: 100 })).toThrow(/Time ran out/);
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should see a cancel in the middle of a fill', async () => {
+    const controller = new AbortController();
+    const puzzle = createBlockPuzzleAsync(loosePool, { size: 5, seed: 1, maxPatterns: 1, signal: controller.signal });
+    controller.abort();
+
+    const error = await puzzle.catch((caught) => caught);
+    expect(isAbortError(error)).toBe(true);
+  });
+});
@@ -0,0 +1,95 @@
+// Shared state for "solve together" rooms. Every square is its own entry of
+// { value, by, at }: the letter ("" once cleared), who typed it and when (ms since the epoch).
+// Squares resolve independently, last writer wins, so two people typing in different words
+// never overwrite each other.
+
+// No 0/O or 1/I/L, so codes survive being read out loud.
+const CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+export const ROOM_CODE_LENGTH = 6;
+export const PRESENCE_TIMEOUT_MS = 60000;
+export const PRESENCE_HEARTBEAT_MS = 20000;
+export const PARTICIPANT_COLORS = ["#e4572e", "#17bebb", "#a05dc8", "#f4a300", "#2e86de", "#4caf50", "#e84393", "#8d6e63"];
+
+export function createRoomCode(random = Math.random) {
+  return Array.from({ length: ROOM_CODE_LENGTH }, () => CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)]).join(
+    "",
+  );
+}
+
+// The code as typed by a participant, or null when it can't be a room code.
+export function normalizeRoomCode(input) {
+  const code = (input ?? "").toUpperCase().replace(/[\s-]/g, "");
+  if (code.length !== ROOM_CODE_LENGTH || [...code].some((char) => !CODE_ALPHABET.includes(char))) {
+    return null;
+  }
+  return code;
+}
+
+// A stable color per participant, so someone keeps theirs across reloads.
+export function participantColor(userId) {
+  let hash = 0;
+  for (const char of userId ?? "") {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return PARTICIPANT_COLORS[hash % PARTICIPANT_COLORS.length];
+}
+
+export function createCellEntry(value, by, at = Date.now()) {
+  return { value: value || "", by, at };
+}
+
+// Whether `candidate` should replace `current`. Equal timestamps fall back to comparing writer
+// IDs so every client settles on the same letter.
+export function isNewerEntry(candidate, current) {
+  if (!current) return true;
+  if (candidate.at !== current.at) return candidate.at > current.at;
+  return candidate.by > current.by;
+}
+
+// Applies remote entries over the known ones. Returns the merged entries and the letters that
+// changed as a result ("" for squares that were cleared).
+export function mergeCellEntries(known, incoming) {
+  const entries = { ...known };
+  const changes = {};
+  Object.entries(incoming).forEach(([key, entry]) => {
+    if (!isNewerEntry(entry, known[key])) return;
+    entries[key] = entry;
+    if ((known[key]?.value || "") !== entry.value) {
+      changes[key] = entry.value;
+    }
+  });
+  return { entries, changes };
+}
+
+// Squares whose letter differs between two sets of cell values.
+export function changedCells(previous, next) {
+  const keys = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...keys].filter((key) => (previous[key] || "") !== (next[key] || ""));
+}
+
+// Other participants seen recently enough to still be in the room.
+export function activePeers(presence, selfId, now = Date.now()) {
+  return presence.filter((peer) => peer.id !== selfId && now - peer.updatedAt < PRESENCE_TIMEOUT_MS);
+}
+
+// Where to draw each peer: their active word tinted in their color and their cursor outlined.
+// Keys are "row-col"; the last peer listed wins a square they share.
+export function peerHighlights(peers, placements) {
+  const highlights = {};
+  peers.forEach((peer) => {
+    if (!Number.isInteger(peer.row) || !Number.isInteger(peer.col)) return;
+    const word = placements.find(
+      (placement) =>
+        placement.direction === peer.direction &&
+        (placement.direction === "across"
+          ? placement.row === peer.row && peer.col >= placement.col && peer.col < placement.col + placement.word.length
+          : placement.col === peer.col && peer.row >= placement.row && peer.row < placement.row + placement.word.length),
+    );
+    for (let i = 0; i < (word?.word.length ?? 0); i += 1) {
+      const key = word.direction === "across" ? `${word.row}-${word.col + i}` : `${word.row + i}-${word.col}`;
+      highlights[key] = { color: peer.color, name: peer.name, cursor: false };
+    }
+    highlights[`${peer.row}-${peer.col}`] = { color: peer.color, name: peer.name, cursor: true };
+  });
+  return highlights;
+}
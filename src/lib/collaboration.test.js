@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest';
+import {
+  activePeers,
+  changedCells,
+  createCellEntry,
+  createRoomCode,
+  isNewerEntry,
+  mergeCellEntries,
+  normalizeRoomCode,
+  participantColor,
+  peerHighlights,
+  PRESENCE_TIMEOUT_MS,
+} from './collaboration';
+
+describe('collaboration', () => {
+  it('should make room codes participants can type back in', () => {
+    const code = createRoomCode(() => 0.5);
+    expect(code).toMatch(/^[A-Z2-9]{6}$/);
+    expect(normalizeRoomCode(` ${code.slice(0, 3).toLowerCase()}-${code.slice(3)} `)).toBe(code);
+    expect(normalizeRoomCode('ABC12')).toBeNull();
+    expect(normalizeRoomCode('ABCDE0')).toBeNull();
+  });
+
+  it('should keep a stable color per participant', () => {
+    expect(participantColor('alice')).toBe(participantColor('alice'));
+    expect(participantColor('alice')).toMatch(/^#[0-9a-f]{6}$/);
+  });
+
+  it('should let the latest write win each square', () => {
+    const older = createCellEntry('A', 'alice', 100);
+    const newer = createCellEntry('B', 'bob', 200);
+    expect(isNewerEntry(newer, older)).toBe(true);
+    expect(isNewerEntry(older, newer)).toBe(false);
+    expect(isNewerEntry(older, undefined)).toBe(true);
+    // Ties go the same way on every client.
+    expect(isNewerEntry(createCellEntry('B', 'bob', 100), older)).toBe(true);
+    expect(isNewerEntry(older, createCellEntry('B', 'bob', 100))).toBe(false);
+  });
+
+  it('should merge remote squares independently and report changed letters', () => {
+    const known = {
+      '0-0': createCellEntry('H', 'alice', 300),
+      '0-1': createCellEntry('E', 'alice', 100),
+      '0-2': createCellEntry('L', 'alice', 100),
+    };
+    const incoming = {
+      '0-0': createCellEntry('J', 'bob', 200),
+      '0-1': createCellEntry('', 'bob', 200),
+      '0-2': createCellEntry('L', 'bob', 200),
+      '1-1': createCellEntry('A', 'bob', 200),
+    };
+
+    const { entries, changes } = mergeCellEntries(known, incoming);
+    expect(changes).toEqual({ '0-1': '', '1-1': 'A' });
+    expect(entries['0-0']).toBe(known['0-0']);
+    expect(entries['0-2']).toBe(incoming['0-2']);
+  });
+
+  it('should find squares whose letters changed', () => {
+    expect(changedCells({ '0-0': 'H', '0-1': 'E' }, { '0-0': 'H', '0-2': 'L' }).sort()).toEqual(['0-1', '0-2']);
+    expect(changedCells({ '0-0': '' }, {})).toEqual([]);
+  });
+
+  it('should show recent peers on their words, without yourself', () => {
+    const now = 1_000_000;
+    const presence = [
+      { id: 'me', name: 'Me', color: '#111111', row: 0, col: 0, direction: 'across', updatedAt: now },
+      { id: 'bob', name: 'Bob', color: '#222222', row: 1, col: 1, direction: 'down', updatedAt: now - 1000 },
+      { id: 'gone', name: 'Gone', color: '#333333', row: 0, col: 0, direction: 'across', updatedAt: now - PRESENCE_TIMEOUT_MS },
+    ];
+    const peers = activePeers(presence, 'me', now);
+    expect(peers.map((peer) => peer.id)).toEqual(['bob']);
+
+    const placements = [
+      { word: 'HELLO', row: 0, col: 0, direction: 'across' },
+      { word: 'EAGLE', row: 0, col: 1, direction: 'down' },
+    ];
+    const highlights = peerHighlights(peers, placements);
+    expect(Object.keys(highlights).sort()).toEqual(['0-1', '1-1', '2-1', '3-1', '4-1']);
+    expect(highlights['1-1']).toEqual({ color: '#222222', name: 'Bob', cursor: true });
+    expect(highlights['0-1'].cursor).toBe(false);
+  });
+});
@@ -0,0 +1,35 @@
+import { bench, describe } from 'vitest';
+import { createPuzzle } from './crossword';
+
+const WORDS = `ANCHOR BALLOON CANDLE DOLPHIN ENGINE FALCON GARDEN HARBOR ISLAND JUNGLE KETTLE LANTERN
+MEADOW NEEDLE ORCHARD PEPPER QUARTZ RIBBON SADDLE TIMBER UMBRELLA VIOLIN WALNUT YOGURT ZEPHYR ACORN
+BRIDGE CACTUS DESERT EMBER FOREST GLACIER HAMMER IGLOO JASMINE KOALA LEMON MARBLE NECTAR OLIVE PLANET
+QUIVER RAVEN SILVER TULIP URCHIN VELVET WILLOW XYLOPHONE YEARLING ZEBRA ATLAS BEACON CORAL DRAGON
+ECLIPSE FEATHER GRANITE HELMET IVORY JIGSAW KNAPSACK LOBSTER MAGNET NUTMEG OYSTER PUZZLE QUILT RADISH
+SPARROW TROPHY UNICORN VOYAGE WHISTLE`
+  .split(/\s+/)
+  .map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+// Node budgets keep every run deterministic; the seeds cover quick and slow selections.
+const SEEDS = [1, 2, 3];
+const MAX_NODES = 50000;
+// Single runs take hundreds of milliseconds, so a few samples are plenty.
+const OPTIONS = { iterations: 3, time: 0, warmupIterations: 1, warmupTime: 0 };
+
+describe.each([15, 25, 40, 60])('createPuzzle with %i words', (count) => {
+  bench('balanced', () => {
+    SEEDS.forEach((seed) => createPuzzle(WORDS, count, { seed, maxNodes: MAX_NODES }));
+  }, OPTIONS);
+
+  bench('place what fits', () => {
+    SEEDS.forEach((seed) => createPuzzle(WORDS, count, { seed, maxNodes: MAX_NODES, placeWhatFits: true }));
+  }, OPTIONS);
+});
+
+describe('fixed dimensions', () => {
+  bench('25 words in 20×12', () => {
+    SEEDS.forEach((seed) =>
+      createPuzzle(WORDS, 25, { seed, maxNodes: MAX_NODES, width: 20, height: 12, placeWhatFits: true }),
+    );
+  }, OPTIONS);
+});
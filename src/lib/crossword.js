@@ -1,60 +1,193 @@
+import { evaluateLayout, resolveScoring } from "./layoutScoring";
+
 const MIN_GRID_SIZE = 10;
-const MAX_GRID_SIZE = 25;
+const MAX_GRID_SIZE = 30;
+export const MIN_GRID_DIMENSION = 3;
+export const MAX_GRID_DIMENSION = 40;
+const ATTEMPT_NODES = 20000;
+const FIT_ATTEMPT_NODES = 5000;
+// Long searches hand control back to the event loop about this often so cancels land promptly.
+const YIELD_INTERVAL_MS = 50;
+const YIELD_CHECK_NODES = 256;
+const ACROSS = 1;
+const DOWN = 2;
+const NO_OVERLAPS = Object.freeze([]);
+const MAX_CANDIDATES = 12;
 
 export const MIN_WORDS = 5;
-export const MAX_WORDS = 25;
+export const MAX_WORDS = 60;
+export const MAX_ATTEMPTS = 80;
 
+// Repeated words are kept: saved lists and generated themes have no report to say one was skipped.
 export function normalizeEntries(raw) {
+  const { entries } = normalizeEntriesWithReport(raw, { keepDuplicates: true });
+  if (entries.length === 0) {
+    throw new Error("No valid {word, clue} pairs were found in the file.");
+  }
+  return entries;
+}
+
+// Like `normalizeEntries`, with a report of what happened to the rows that didn't come through
+// as written: { dropped, altered, duplicates }. Each item has the row's `index` in `raw` and its
+// `line` when the row came from a text file. A repeated word keeps its first row unless
+// `keepDuplicates` is set. Doesn't throw when nothing is usable, so the report can say why.
+export function normalizeEntriesWithReport(raw, { keepDuplicates = false } = {}) {
   if (!Array.isArray(raw)) {
     throw new Error("The JSON file must contain an array of entries.");
   }
 
-  const entries = raw
-    .map((item, index) => {
-      if (typeof item !== "object" || item === null) {
-        return null;
-      }
+  const report = { dropped: [], altered: [], duplicates: [] };
+  const firstRows = new Map();
+  const entries = [];
+
+  raw.forEach((item, index) => {
+    const row = { index, line: Number.isInteger(item?.line) ? item.line : null };
+    if (typeof item !== "object" || item === null || Array.isArray(item)) {
+      report.dropped.push({ ...row, word: "", reason: "This row isn't a {word, clue} object." });
+      return;
+    }
 
-      const word =
-        item.word ??
-        item.answer ??
-        item.solution ??
-        item.text ??
-        item.entry ??
-        "";
-      const clue =
-        item.clue ??
-        item.question ??
-        item.prompt ??
-        item.hint ??
-        item.definition ??
-        "";
-
-      const cleanWord = word.toString().toUpperCase().replace(/[^A-Z]/g, "");
-      const cleanClue = clue.toString().trim();
-
-      if (cleanWord.length < 2 || cleanClue.length === 0) {
-        return null;
+    const word =
+      item.word ??
+      item.answer ??
+      item.solution ??
+      item.text ??
+      item.entry ??
+      "";
+    const clue =
+      item.clue ??
+      item.question ??
+      item.prompt ??
+      item.hint ??
+      item.definition ??
+      "";
+
+    const original = word.toString().trim();
+    const cleanWord = sanitizeWord(word);
+    const cleanClue = clue.toString().trim();
+
+    const reason = dropReason(original, cleanWord, cleanClue);
+    if (reason) {
+      report.dropped.push({ ...row, word: original, reason });
+      return;
+    }
+
+    if (!keepDuplicates) {
+      if (firstRows.has(cleanWord)) {
+        report.duplicates.push({ ...row, word: cleanWord, first: firstRows.get(cleanWord) });
+        return;
       }
+      firstRows.set(cleanWord, row);
+    }
+
+    if (original.toUpperCase() !== cleanWord) {
+      report.altered.push({ ...row, original, word: cleanWord });
+    }
 
-      return {
-        word: cleanWord,
-        clue: cleanClue,
-        originalIndex: index,
-      };
-    })
-    .filter(Boolean);
+    const excluded = isTruthyFlag(item.excluded ?? item.banned);
+    const required = !excluded && isTruthyFlag(item.required ?? item.pinned);
 
-  if (entries.length === 0) {
-    throw new Error("No valid {word, clue} pairs were found in the file.");
+    entries.push({
+      word: cleanWord,
+      clue: cleanClue,
+      originalIndex: index,
+      ...(required ? { required: true } : {}),
+      ...(excluded ? { excluded: true } : {}),
+    });
+  });
+
+  return { entries, report };
+}
+
+function dropReason(original, word, clue) {
+  if (!original) return "The word is missing.";
+  if (word.length === 0) return "The word has no letters A–Z.";
+  if (word.length < 2) return "The word is shorter than 2 letters.";
+  if (!clue) return "The clue is missing.";
+  return null;
+}
+
+export function serializeEntries(entries) {
+  return entries.map((entry) => ({
+    word: entry.word,
+    clue: entry.clue,
+    ...(entry.required ? { required: true } : {}),
+    ...(entry.excluded ? { excluded: true } : {}),
+  }));
+}
+
+function isTruthyFlag(value) {
+  if (typeof value === "string") {
+    return ["true", "yes", "y", "1"].includes(value.trim().toLowerCase());
   }
+  return value === true || value === 1;
+}
 
-  return entries;
+export function sanitizeWord(value) {
+  return (value ?? "").toString().toUpperCase().replace(/[^A-Z]/g, "");
 }
 
 export function createPuzzle(entries, requestedCount, options = {}) {
-  const { onProgress } = options;
+  return runSteps(generatePuzzle(entries, requestedCount, options));
+}
+
+export function createPuzzleAsync(entries, requestedCount, options = {}) {
+  return runStepsAsync(generatePuzzle(entries, requestedCount, options));
+}
+
+export function runSteps(steps) {
+  let result = steps.next();
+  while (!result.done) {
+    result = steps.next();
+  }
+  return result.value;
+}
+
+export async function runStepsAsync(steps) {
+  let result = steps.next();
+  while (!result.done) {
+    await yieldToEventLoop();
+    result = steps.next();
+  }
+  return result.value;
+}
+
+export function createAbortError(message = "Puzzle generation was cancelled.") {
+  const error = new Error(message);
+  error.name = "AbortError";
+  return error;
+}
+
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
+
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError();
+  }
+}
+
+function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
+
+function* generatePuzzle(entries, requestedCount, options) {
+  const { onProgress, signal, timeBudgetMs, maxNodes, placeWhatFits = false } = options;
+  const candidates = normalizeCandidateCount(options.candidates);
+  const { attemptOffset = 0, attemptStride = 1 } = options;
+  if (!Number.isInteger(attemptOffset) || attemptOffset < 0) {
+    throw new Error("attemptOffset must be a non-negative integer.");
+  }
+  if (!Number.isInteger(attemptStride) || attemptStride < 1) {
+    throw new Error("attemptStride must be a positive integer.");
+  }
+  const scoring = resolveScoring(options.scoring);
   const report = typeof onProgress === "function" ? onProgress : () => {};
+  const seed = normalizeSeed(options.seed);
+  const random = createRandom(seed);
+  const width = normalizeDimension(options.width, "width");
+  const height = normalizeDimension(options.height, "height");
 
   if (!Array.isArray(entries) || entries.length === 0) {
     throw new Error("Load a JSON file before generating a crossword.");
@@ -64,72 +197,309 @@ export function createPuzzle(entries, requestedCount, options = {}) {
     throw new Error(`Please select at least ${MIN_WORDS} words.`);
   }
 
-  if (requestedCount > entries.length) {
+  // With both sides fixed, words longer than either side can never be placed.
+  const longestFit = width && height ? Math.max(width, height) : Infinity;
+  const tooLong = entries.filter((entry) => entry.required && entry.word.length > longestFit);
+  if (tooLong.length) {
+    throw new Error(
+      `${tooLong.map((entry) => entry.word).join(", ")} won't fit a ${width}×${height} grid. Unpin ${tooLong.length === 1 ? "it" : "them"} or enlarge the grid.`,
+    );
+  }
+
+  const available = entries.filter((entry) => !entry.excluded && entry.word.length <= longestFit);
+  if (requestedCount > available.length) {
     throw new Error("Not enough words available for that grid size.");
   }
 
-  report(`Selecting ${requestedCount} random entries from ${entries.length} options…`);
-  const words = pickRandomEntries(entries, requestedCount);
-  const gridSize = determineGridSize(words);
-  report(`Target grid size: ${gridSize}×${gridSize}. Building layout…`);
-  const layout = buildCrossword(words, gridSize, report);
-  report("Layout complete.");
+  const requiredCount = available.filter((entry) => entry.required).length;
+  if (requiredCount > requestedCount) {
+    throw new Error(
+      `${requiredCount} words are pinned but the grid only holds ${requestedCount}. Unpin some words or raise the word count.`,
+    );
+  }
 
-  return {
-    ...layout,
+  throwIfAborted(signal);
+  report(`Selecting ${requestedCount} random entries from ${available.length} options (seed ${seed})…`);
+  const words = pickRandomEntries(available, requestedCount, random);
+  const pool = placeWhatFits ? available.filter((entry) => !words.includes(entry)) : [];
+  const gridSize = determineGridSize(words, { width, height });
+  report(`Target grid size: ${gridSize.cols}×${gridSize.rows}. Building layout…`);
+  const layout = yield* buildCrossword(words, gridSize, {
+    report,
+    seed,
+    attemptOffset,
+    attemptStride,
+    signal,
+    budget: createBudget({ timeBudgetMs, maxNodes }),
+    pool,
+    placeWhatFits,
+    scoring,
+    candidates,
+  });
+  if (!layout.partial) {
+    report("Layout complete.");
+  } else if (layout.stoppedBy === "fit") {
+    report(`Placed ${layout.placements.length} words; ${layout.unplaced.length} did not fit.`);
+  } else {
+    report("Budget exhausted. Returning the best partial layout.");
+  }
+
+  const describe = (option) => ({
+    ...option,
+    style: "freeform",
+    seed,
     requestedCount: words.length,
-    rows: layout.grid.length,
-    cols: layout.grid[0]?.length || 0,
+    rows: option.grid.length,
+    cols: option.grid[0]?.length || 0,
+  });
+  const layouts = layout.candidates.map(describe);
+  const attempts = layout.attempts ? { attempts: layout.attempts.map(describe) } : {};
+  return { ...layouts[0], candidates: layouts, ...attempts };
+}
+
+function normalizeCandidateCount(value) {
+  if (value === undefined || value === null) {
+    return 1;
+  }
+  const count = Math.trunc(Number(value));
+  if (!Number.isFinite(count) || count < 1) {
+    throw new Error("Ask for at least one layout candidate.");
+  }
+  return Math.min(count, MAX_CANDIDATES);
+}
+
+export function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === "") {
+    return Math.floor(Math.random() * 0x100000000);
+  }
+  if (typeof seed === "number" && Number.isFinite(seed)) {
+    return Math.trunc(seed) >>> 0;
+  }
+  const text = String(seed);
+  if (/^-?\d+$/.test(text)) {
+    return Number(text) >>> 0;
+  }
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i += 1) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+// mulberry32: tiny, fast and good enough to make layouts reproducible.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
   };
 }
 
-function pickRandomEntries(entries, count) {
-  const shuffled = shuffle([...entries]);
-  return shuffled.slice(0, count);
+function pickRandomEntries(entries, count, random) {
+  const required = entries.filter((entry) => entry.required);
+  const optional = shuffle(entries.filter((entry) => !entry.required), random);
+  return [...required, ...optional].slice(0, count);
 }
 
-function shuffle(array) {
+function shuffle(array, random) {
   for (let i = array.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [array[i], array[j]] = [array[j], array[i]];
   }
   return array;
 }
 
-function determineGridSize(words) {
+function normalizeDimension(value, label) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < MIN_GRID_DIMENSION || size > MAX_GRID_DIMENSION) {
+    throw new Error(`Grid ${label} must be a whole number from ${MIN_GRID_DIMENSION} to ${MAX_GRID_DIMENSION}.`);
+  }
+  return size;
+}
+
+// Returns { rows, cols }. Fixed sides are kept as given; a missing side is sized so the
+// grid keeps roughly the area the square heuristic would have used.
+function determineGridSize(words, { width = null, height = null } = {}) {
   const totalLetters = words.reduce((sum, entry) => sum + entry.word.length, 0);
   const roughSize = Math.ceil(Math.sqrt(totalLetters * 2));
-  return Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, roughSize));
+  const square = Math.max(MIN_GRID_SIZE, Math.min(MAX_GRID_SIZE, roughSize));
+  const longestWord = Math.max(...words.map((entry) => entry.word.length));
+  const fillIn = (fixed) => {
+    // If the longest word can't run along the fixed side, the free side has to hold it.
+    const needed = Math.max(Math.ceil((square * square) / fixed), fixed < longestWord ? longestWord : 0);
+    return Math.max(MIN_GRID_DIMENSION, Math.min(MAX_GRID_DIMENSION, needed));
+  };
+
+  if (width && height) {
+    return { rows: height, cols: width };
+  }
+  if (width) {
+    return { rows: fillIn(width), cols: width };
+  }
+  if (height) {
+    return { rows: height, cols: fillIn(height) };
+  }
+  return { rows: square, cols: square };
 }
 
-function buildCrossword(entries, gridSize, report = () => {}) {
-  const maxAttempts = 80;
-  let bestLayout = null;
-  let bestScore = -Infinity;
+// A search budget. A child budget also runs out when its parent does, and then reports the
+// parent's reason.
+export function createBudget({ timeBudgetMs, maxNodes } = {}, parent = null) {
+  const hasTime = Number.isFinite(timeBudgetMs) && timeBudgetMs >= 0;
+  const hasNodes = Number.isFinite(maxNodes) && maxNodes >= 0;
+  return {
+    deadline: hasTime ? now() + timeBudgetMs : Infinity,
+    maxNodes: hasNodes ? maxNodes : Infinity,
+    nodes: 0,
+    exhausted: false,
+    // "time" or "nodes" once a limit has run out.
+    exhaustedBy: null,
+    parent,
+  };
+}
+
+function now() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
+
+// Counts one search node against the budget; false once it has run out.
+export function consumeBudget(budget) {
+  if (budget.exhausted) {
+    return false;
+  }
+  if (budget.parent && !consumeBudget(budget.parent)) {
+    budget.exhausted = true;
+    budget.exhaustedBy = budget.parent.exhaustedBy;
+    return false;
+  }
+  budget.nodes += 1;
+  if (budget.nodes > budget.maxNodes) {
+    budget.exhausted = true;
+    budget.exhaustedBy = "nodes";
+    return false;
+  }
+  // Reading the clock on every node is measurable, so only sample it periodically.
+  if (budget.nodes % 64 === 0 && now() > budget.deadline) {
+    budget.exhausted = true;
+    budget.exhaustedBy = "time";
+    return false;
+  }
+  return true;
+}
+
+function* buildCrossword(
+  entries,
+  gridSize,
+  {
+    report,
+    seed,
+    signal,
+    budget,
+    scoring,
+    candidates = 1,
+    pool = [],
+    placeWhatFits = false,
+    attemptOffset = 0,
+    attemptStride = 1,
+  },
+) {
+  const search = { signal, budget, partial: null, overlaps: createOverlapIndex(entries), lastYield: now() };
+  const ranked = [];
+  // A worker running a share of the attempts hands back every layout it found, so the pool can
+  // replay them in attempt order and stop where a single run would have stopped.
+  const found = attemptStride > 1 ? [] : null;
   let successCount = 0;
+  let attemptsRun = 0;
 
-  for (let attempt = 0; attempt < maxAttempts; attempt += 1) {
-    report(`Layout attempt ${attempt + 1} of ${maxAttempts}`);
-    const layout = attemptLayout(entries, gridSize);
+  // Workers in a pool split the attempts by offset and stride. Each attempt draws from its own
+  // seed, so the same attempt builds the same layout no matter which worker runs it.
+  for (let attempt = attemptOffset; attempt < MAX_ATTEMPTS; attempt += attemptStride) {
+    if (attemptsRun > 0) {
+      yield attempt;
+    }
+    throwIfAborted(signal);
+    if (budget.exhausted) {
+      break;
+    }
+    if (now() > budget.deadline) {
+      budget.exhausted = true;
+      budget.exhaustedBy = "time";
+      break;
+    }
+    attemptsRun += 1;
+    report(`Layout attempt ${attempt + 1} of ${MAX_ATTEMPTS}`, { attempt: attempt + 1, attemptsRun });
+    const random = createRandom(attemptSeed(seed, attempt));
+    // The first attempt keeps the selection order; later ones reshuffle so ties break differently.
+    const ordered = attempt === 0 ? entries : shuffle([...entries], random);
+    // Later attempts also vary the opening word; otherwise restarts mostly replay the same search.
+    const opening = attempt > 0 ? { index: 0, direction: attempt % 2 ? "down" : "across" } : null;
+    const layout = placeWhatFits
+      ? yield* attemptFittingLayout(ordered, shuffle([...pool], random), gridSize, search, opening)
+      : yield* attemptLayout(ordered, gridSize, search, opening);
+    throwIfAborted(signal);
     if (!layout) {
+      if (budget.exhausted) {
+        break;
+      }
       continue;
     }
 
     successCount += 1;
-    const score = scoreLayout(layout);
-    if (score > bestScore) {
-      report(`Better layout found (score ${(score * 100).toFixed(0)}%).`);
-      bestScore = score;
-      bestLayout = layout;
-      if (score >= 0.85) {
-        report("High-quality layout achieved. Stopping early.");
-        break;
-      }
+    const breakdown = evaluateLayout(layout, scoring);
+    // Words left out of a fitting attempt didn't fit ("fit") unless a budget ran dry first.
+    const stoppedBy = layout.unplaced?.length ? (budget.exhausted ? budget.exhaustedBy : "fit") : undefined;
+    const candidate = {
+      layout: { ...layout, scoreBreakdown: breakdown, attempt, ...(stoppedBy ? { stoppedBy } : {}) },
+      placed: layout.placements.length,
+      score: breakdown.total,
+      signature: layoutSignature(layout.grid),
+    };
+    found?.push(candidate.layout);
+    const previousBest = ranked[0];
+    if (!rankCandidate(ranked, candidate, candidates)) {
+      continue;
+    }
+    if (ranked[0] !== previousBest) {
+      report(`Better layout found (${scoring.label.toLowerCase()} score ${breakdown.total.toFixed(2)}).`);
+    }
+    if (isSettled(ranked, candidates, entries.length, scoring.targetScore)) {
+      report("High-quality layout achieved. Stopping early.");
+      break;
     }
   }
 
-  if (bestLayout) {
-    return bestLayout;
+  if (ranked.length) {
+    const finish = (layout) => ({
+      unplaced: [],
+      swappedIn: [],
+      ...layout,
+      partial: Boolean(layout.unplaced?.length),
+    });
+    const layouts = ranked.map(({ layout }) => finish(layout));
+    return { ...layouts[0], candidates: layouts, ...(found ? { attempts: found.map(finish) } : {}) };
+  }
+
+  if (budget.exhausted && search.partial) {
+    const { placements, entries: orderedEntries } = search.partial;
+    const placedIndexes = new Set(placements.map((placement) => placement.entryIndex));
+    const layout = layoutFromPlacements(placements, gridSize);
+    const fallback = {
+      ...layout,
+      scoreBreakdown: evaluateLayout(layout, scoring),
+      partial: true,
+      // Which budget cut the search short: "time" or "nodes".
+      stoppedBy: budget.exhaustedBy,
+      unplaced: orderedEntries.filter((_, index) => !placedIndexes.has(index)),
+      swappedIn: [],
+    };
+    return { ...fallback, candidates: [fallback] };
   }
 
   if (successCount === 0) {
@@ -139,43 +509,212 @@ function buildCrossword(entries, gridSize, report = () => {}) {
   throw new Error("Unable to find a compact layout. Generate again or reduce the word count.");
 }
 
-function attemptLayout(entries, gridSize) {
-  const grid = createEmptyGrid(gridSize);
-  const usage = createUsageGrid(gridSize);
-  const overlapMatrix = buildOverlapMatrix(entries);
-  const overlapTotals = calculateOverlapTotals(entries.length, overlapMatrix);
+function attemptSeed(seed, attempt) {
+  return (seed ^ Math.imul(attempt + 1, 0x9e3779b9)) >>> 0;
+}
+
+// Combines the results of pool workers that split one request's attempts. Layouts are replayed
+// in attempt order, stopping where a single run would have stopped early, so the same seed gives
+// the same result however many workers ran it. Runs cut short by a budget are the exception:
+// node budgets are shared out between workers, so each one stops at a different point.
+export function mergeLayoutCandidates(puzzles, limit = 1, { scoring } = {}) {
+  const { targetScore } = resolveScoring(scoring);
+  const ranked = [];
+  const layouts = puzzles
+    .flatMap((puzzle) => puzzle.attempts ?? puzzle.candidates ?? [puzzle])
+    .sort((a, b) => (a.attempt ?? Infinity) - (b.attempt ?? Infinity));
+
+  for (const layout of layouts) {
+    rankCandidate(
+      ranked,
+      {
+        layout,
+        placed: layout.placements.length,
+        score: layout.scoreBreakdown?.total ?? 0,
+        signature: layoutSignature(layout.grid),
+      },
+      limit,
+    );
+    if (isSettled(ranked, limit, layout.requestedCount, targetScore)) {
+      break;
+    }
+  }
+
+  const best = ranked.map(({ layout }) => layout);
+  return { ...best[0], candidates: best };
+}
+
+// A run stops early once every layout it keeps places all its words and reaches the goal's target.
+function isSettled(ranked, limit, wordCount, targetScore) {
+  return (
+    ranked.length === limit && ranked.every((option) => option.placed === wordCount && option.score >= targetScore)
+  );
+}
+
+// Keeps `ranked` sorted best-first, at most `limit` long, with one layout per grid shape.
+function rankCandidate(ranked, candidate, limit) {
+  const isBetter = (a, b) =>
+    a.placed > b.placed || (a.placed === b.placed && a.score > b.score);
+
+  const duplicateIndex = ranked.findIndex((option) => option.signature === candidate.signature);
+  if (duplicateIndex !== -1) {
+    if (!isBetter(candidate, ranked[duplicateIndex])) {
+      return false;
+    }
+    ranked.splice(duplicateIndex, 1);
+  }
+
+  const position = ranked.findIndex((option) => isBetter(candidate, option));
+  const insertAt = position === -1 ? ranked.length : position;
+  if (insertAt >= limit) {
+    return false;
+  }
+  ranked.splice(insertAt, 0, candidate);
+  ranked.length = Math.min(ranked.length, limit);
+  return true;
+}
+
+function layoutSignature(grid) {
+  return grid.map((row) => row.map((cell) => (cell ? "#" : ".")).join("")).join("/");
+}
+
+function* attemptLayout(entries, gridSize, search, opening) {
+  const state = startLayout(entries, gridSize, search.overlaps, opening);
+  if (!state) {
+    return null;
+  }
+
+  // A bad word order can backtrack for ages; cap it so the next shuffle gets a turn.
+  const attemptSearch = {
+    ...search,
+    budget: createBudget({ maxNodes: ATTEMPT_NODES }, search.budget),
+  };
+  recordPartial(attemptSearch, state.placements, entries);
+  const complete = yield* backtrackPlace(state, entries, attemptSearch);
+  search.partial = attemptSearch.partial;
+  search.lastYield = attemptSearch.lastYield;
+  if (!complete) {
+    return null;
+  }
+
+  return finalizeLayout(state.board, state.placements);
+}
+
+function* attemptFittingLayout(entries, pool, gridSize, search, opening) {
+  const state = startLayout(entries, gridSize, search.overlaps, opening);
+  if (!state) {
+    return null;
+  }
+
+  const attemptSearch = {
+    ...search,
+    budget: createBudget({ maxNodes: FIT_ATTEMPT_NODES }, search.budget),
+    partial: null,
+  };
+  let { board, placements } = state;
+  recordPartial(attemptSearch, placements, entries);
+  const complete = yield* backtrackPlace(state, entries, attemptSearch);
+  search.lastYield = attemptSearch.lastYield;
+
+  if (!complete) {
+    // Keep the largest connected set the search reached, then try to grow it greedily.
+    board = createBoard(gridSize.rows, gridSize.cols);
+    placements = applyPlacements(attemptSearch.partial.placements, board);
+  }
+
+  const placedIndexes = new Set(placements.map((placement) => placement.entryIndex));
+  const leftovers = entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ index }) => !placedIndexes.has(index));
+  const substitutes = pool.map((entry, index) => ({ entry, index: entries.length + index }));
+  const swappedIn = [];
+
+  for (const candidate of [...leftovers, ...substitutes]) {
+    if (placements.length >= entries.length) {
+      break;
+    }
+    const placement = placeGreedily(candidate.entry, candidate.index, board, placements);
+    if (!placement) {
+      continue;
+    }
+    placements.push(placement);
+    placedIndexes.add(candidate.index);
+    if (candidate.index >= entries.length) {
+      swappedIn.push(candidate.entry);
+    }
+  }
+
+  return {
+    ...finalizeLayout(board, placements),
+    unplaced: entries.filter((_, index) => !placedIndexes.has(index)),
+    swappedIn,
+  };
+}
+
+function startLayout(entries, gridSize, overlaps, opening = null) {
+  const board = createBoard(gridSize.rows, gridSize.cols);
+  const links = linkAttempt(overlaps, entries);
   const placements = [];
-  const used = new Set();
+  const placed = new Uint8Array(entries.length);
 
-  const initialIndex = selectInitialEntryIndex(entries, overlapTotals);
+  const initialIndex = opening?.index ?? selectInitialEntryIndex(entries, links.potential);
   const initialEntry = entries[initialIndex];
   if (!initialEntry || !initialEntry.word) {
     return null;
   }
 
-  const centerRow = Math.floor(gridSize / 2);
-  const centerCol = Math.max(0, Math.floor((gridSize - initialEntry.word.length) / 2));
-  if (!canPlace(initialEntry.word, centerRow, centerCol, "across", grid, usage)) {
+  // Narrow grids may only have room for the opening word in the other direction.
+  const { rows, cols } = gridSize;
+  const preferred = opening?.direction ?? "across";
+  const length = initialEntry.word.length;
+  const fits = (direction) => length <= (direction === "across" ? cols : rows);
+  const direction = fits(preferred) ? preferred : preferred === "across" ? "down" : "across";
+  const startRow = direction === "across" ? Math.floor(rows / 2) : Math.max(0, Math.floor((rows - length) / 2));
+  const startCol = direction === "across" ? Math.max(0, Math.floor((cols - length) / 2)) : Math.floor(cols / 2);
+  if (!canPlace(initialEntry.word, startRow, startCol, direction, board)) {
     return null;
   }
 
-  const { placement: firstPlacement } = applyPlacement(
-    initialEntry,
-    initialIndex,
-    centerRow,
-    centerCol,
-    "across",
-    grid,
-    usage,
-  );
-  placements.push(firstPlacement);
-  used.add(initialIndex);
+  const state = { board, placements, placed, links };
+  placeEntry(state, { entry: initialEntry, index: initialIndex }, { row: startRow, col: startCol, direction });
+  return state;
+}
 
-  if (!backtrackPlace(grid, usage, placements, entries, used, overlapMatrix, overlapTotals)) {
+function placeGreedily(entry, entryIndex, board, placements) {
+  let best = null;
+  placements.forEach((placement) => {
+    computeLetterOverlaps(entry.word, placement.word).forEach(({ aIndex, bIndex }) => {
+      const option = crossingOption(placement, aIndex, bIndex);
+      if (!canPlace(entry.word, option.row, option.col, option.direction, board)) {
+        return;
+      }
+      const crossings = countCrossings(entry.word, option, board);
+      if (!best || crossings > best.crossings) {
+        best = { ...option, crossings };
+      }
+    });
+  });
+
+  if (!best) {
     return null;
   }
+  return applyPlacement(entry, entryIndex, best.row, best.col, best.direction, board).placement;
+}
 
-  const trimmed = trimLayout(grid, placements);
+function countCrossings(word, { row, col, direction }, board) {
+  const step = direction === "across" ? 1 : board.cols;
+  const start = row * board.cols + col;
+  let crossings = 0;
+  for (let i = 0; i < word.length; i += 1) {
+    if (board.letters[start + step * i]) {
+      crossings += 1;
+    }
+  }
+  return crossings;
+}
+
+function finalizeLayout(board, placements) {
+  const trimmed = trimLayout(board, placements);
   const numbering = assignNumbers(trimmed.grid, trimmed.placements);
   return {
     grid: trimmed.grid,
@@ -186,16 +725,115 @@ function attemptLayout(entries, gridSize) {
   };
 }
 
-function buildOverlapMatrix(entries) {
-  const matrix = new Map();
-  for (let i = 0; i < entries.length; i += 1) {
-    for (let j = 0; j < entries.length; j += 1) {
-      if (i === j) continue;
-      const key = `${i}:${j}`;
-      matrix.set(key, computeLetterOverlaps(entries[i].word, entries[j].word));
+function layoutFromPlacements(placements, gridSize) {
+  const board = createBoard(gridSize.rows, gridSize.cols);
+  return finalizeLayout(board, applyPlacements(placements, board));
+}
+
+// The layout editor works on finished puzzles whose coordinates can go negative while a word is
+// being moved, so these rebuild a board around whatever placements they are given.
+export function rebuildLayout(placements) {
+  const frame = frameAround(placements);
+  const board = createBoard(frame.rows, frame.cols);
+  return finalizeLayout(board, applyPlacements(shiftPlacements(placements, frame), board));
+}
+
+export function canPlaceWord(placements, word, { row, col, direction }) {
+  const frame = frameAround([...placements, { word, row, col, direction }]);
+  const board = createBoard(frame.rows, frame.cols);
+  applyPlacements(shiftPlacements(placements, frame), board);
+  return canPlace(word, row - frame.top, col - frame.left, direction, board);
+}
+
+function frameAround(placements) {
+  let top = Infinity;
+  let left = Infinity;
+  let bottom = -Infinity;
+  let right = -Infinity;
+  placements.forEach(({ word, row, col, direction }) => {
+    top = Math.min(top, row);
+    left = Math.min(left, col);
+    bottom = Math.max(bottom, direction === "down" ? row + word.length - 1 : row);
+    right = Math.max(right, direction === "across" ? col + word.length - 1 : col);
+  });
+  return { top, left, rows: bottom - top + 1, cols: right - left + 1 };
+}
+
+function shiftPlacements(placements, { top, left }) {
+  return placements.map((placement) => ({ ...placement, row: placement.row - top, col: placement.col - left }));
+}
+
+function applyPlacements(placements, board) {
+  return placements.map(
+    (placement) =>
+      applyPlacement(placement, placement.entryIndex, placement.row, placement.col, placement.direction, board)
+        .placement,
+  );
+}
+
+function recordPartial(search, placements, entries) {
+  if (!search.partial || placements.length > search.partial.placements.length) {
+    search.partial = { placements: [...placements], entries };
+  }
+}
+
+// Letter overlaps for every pair of selected words, computed once per puzzle from a
+// letter → positions index. Attempts only reorder the words, so they look pairs up by id.
+function createOverlapIndex(entries) {
+  const count = entries.length;
+  const ids = new Map(entries.map((entry, id) => [entry, id]));
+  const positions = new Map();
+  entries.forEach((entry, id) => {
+    for (let position = 0; position < entry.word.length; position += 1) {
+      const letter = entry.word[position];
+      const list = positions.get(letter) || [];
+      list.push(id, position);
+      positions.set(letter, list);
+    }
+  });
+
+  const pairs = Array(count * count).fill(NO_OVERLAPS);
+  const counts = new Int32Array(count * count);
+  const totals = new Int32Array(count);
+  entries.forEach((entry, a) => {
+    for (let aIndex = 0; aIndex < entry.word.length; aIndex += 1) {
+      const list = positions.get(entry.word[aIndex]);
+      for (let k = 0; k < list.length; k += 2) {
+        const b = list[k];
+        if (b === a) continue;
+        const key = a * count + b;
+        if (pairs[key] === NO_OVERLAPS) {
+          pairs[key] = [];
+        }
+        pairs[key].push({ aIndex, bIndex: list[k + 1] });
+        counts[key] += 1;
+        totals[a] += 1;
+      }
     }
+  });
+
+  return { count, ids, pairs, counts, totals };
+}
+
+// Maps one attempt's word order onto the shared overlap index and tracks, per word, how many
+// letters it shares with the words already placed.
+function linkAttempt(overlaps, entries) {
+  const order = Int32Array.from(entries, (entry) => overlaps.ids.get(entry));
+  const potential = Int32Array.from(order, (id) => overlaps.totals[id]);
+  return { overlaps, order, potential, connections: new Int32Array(entries.length) };
+}
+
+function overlapsBetween(links, a, b) {
+  const { overlaps, order } = links;
+  return overlaps.pairs[order[a] * overlaps.count + order[b]];
+}
+
+function updateConnections(links, index, delta) {
+  const { overlaps, order, connections } = links;
+  const row = order[index];
+  for (let i = 0; i < order.length; i += 1) {
+    connections[i] += delta * overlaps.counts[order[i] * overlaps.count + row];
   }
-  return matrix;
 }
 
 function computeLetterOverlaps(wordA = "", wordB = "") {
@@ -210,25 +848,11 @@ function computeLetterOverlaps(wordA = "", wordB = "") {
   return overlaps;
 }
 
-function calculateOverlapTotals(count, matrix) {
-  return Array.from({ length: count }, (_, index) => {
-    let total = 0;
-    for (let j = 0; j < count; j += 1) {
-      if (index === j) continue;
-      const overlaps = matrix.get(`${index}:${j}`);
-      if (overlaps) {
-        total += overlaps.length;
-      }
-    }
-    return total;
-  });
-}
-
-function selectInitialEntryIndex(entries, overlapTotals) {
+function selectInitialEntryIndex(entries, potential) {
   let bestIndex = 0;
   let bestScore = -Infinity;
   for (let i = 0; i < entries.length; i += 1) {
-    const score = overlapTotals[i] ?? 0;
+    const score = potential[i] ?? 0;
     if (
       score > bestScore ||
       (score === bestScore && entries[i].word.length > entries[bestIndex].word.length)
@@ -240,65 +864,113 @@ function selectInitialEntryIndex(entries, overlapTotals) {
   return bestIndex;
 }
 
-function backtrackPlace(grid, usage, placements, entries, used, overlapMatrix, overlapTotals) {
-  if (placements.length === entries.length) {
-    return true;
+// Hands control back to `runStepsAsync` when the search hasn't yielded for YIELD_INTERVAL_MS. The
+// clock is only read every YIELD_CHECK_NODES nodes.
+export function* yieldIfDue(search, nodes) {
+  if (nodes % YIELD_CHECK_NODES === 0 && now() - (search.lastYield ?? 0) > YIELD_INTERVAL_MS) {
+    yield nodes;
+    search.lastYield = now();
   }
+}
 
-  const nextEntries = selectNextEntries(entries, used, placements, overlapMatrix, overlapTotals);
-  for (const candidate of nextEntries) {
-    const options = generatePlacementOptions(candidate, placements, overlapMatrix);
-    for (const option of options) {
-      if (!canPlace(candidate.entry.word, option.row, option.col, option.direction, grid, usage)) {
-        continue;
-      }
+// Depth-first search over an explicit stack so long searches can yield to the event loop
+// (and see a cancel) without finishing the attempt first.
+function* backtrackPlace(state, entries, search) {
+  const frames = [];
+  let descending = true;
+  let nodes = 0;
 
-      const { placement, filledCells, usageUpdates } = applyPlacement(
-        candidate.entry,
-        candidate.index,
-        option.row,
-        option.col,
-        option.direction,
-        grid,
-        usage,
-      );
-      placements.push(placement);
-      used.add(candidate.index);
-
-      if (backtrackPlace(grid, usage, placements, entries, used, overlapMatrix, overlapTotals)) {
+  for (;;) {
+    if (descending) {
+      if (state.placements.length === entries.length) {
         return true;
       }
+      if (search.signal?.aborted || !consumeBudget(search.budget)) {
+        if (frames.length === 0) {
+          return false;
+        }
+        unplaceEntry(state, frames[frames.length - 1].applied);
+        descending = false;
+        continue;
+      }
+      frames.push({ candidates: selectNextEntries(entries, state), next: 0, options: null, option: 0 });
+      nodes += 1;
+      yield* yieldIfDue(search, nodes);
+    }
+
+    const frame = frames[frames.length - 1];
+    frame.applied = advanceFrame(frame, state, entries, search);
+    if (frame.applied) {
+      descending = true;
+      continue;
+    }
 
-      placements.pop();
-      used.delete(candidate.index);
-      revertPlacement(grid, usage, filledCells, usageUpdates);
+    frames.pop();
+    if (frames.length === 0) {
+      return false;
     }
+    unplaceEntry(state, frames[frames.length - 1].applied);
+    descending = false;
   }
+}
 
-  return false;
+function advanceFrame(frame, state, entries, search) {
+  while (frame.next < frame.candidates.length) {
+    const candidate = frame.candidates[frame.next];
+    frame.options = frame.options || generatePlacementOptions(candidate, state);
+    while (frame.option < frame.options.length) {
+      const option = frame.options[frame.option];
+      frame.option += 1;
+      if (!canPlace(candidate.entry.word, option.row, option.col, option.direction, state.board)) {
+        continue;
+      }
+      const applied = placeEntry(state, candidate, option);
+      recordPartial(search, state.placements, entries);
+      return applied;
+    }
+    frame.next += 1;
+    frame.options = null;
+    frame.option = 0;
+  }
+  return null;
 }
 
-function selectNextEntries(entries, used, placements, overlapMatrix, overlapTotals) {
-  const candidates = [];
+function placeEntry(state, candidate, option) {
+  const applied = applyPlacement(
+    candidate.entry,
+    candidate.index,
+    option.row,
+    option.col,
+    option.direction,
+    state.board,
+  );
+  state.placements.push(applied.placement);
+  state.placed[candidate.index] = 1;
+  updateConnections(state.links, candidate.index, 1);
+  return applied;
+}
 
-  entries.forEach((entry, index) => {
-    if (used.has(index)) return;
-    const overlapScore = placements.reduce((score, placement) => {
-      const overlaps = overlapMatrix.get(`${index}:${placement.entryIndex}`) || [];
-      return score + overlaps.length;
-    }, 0);
+function unplaceEntry(state, applied) {
+  const { placement } = applied;
+  state.placements.pop();
+  state.placed[placement.entryIndex] = 0;
+  updateConnections(state.links, placement.entryIndex, -1);
+  revertPlacement(state.board, applied);
+}
 
-    if (overlapScore === 0) {
-      return;
-    }
+function selectNextEntries(entries, { placed, links }) {
+  const candidates = [];
 
+  for (let index = 0; index < entries.length; index += 1) {
+    const overlapScore = links.connections[index];
+    if (placed[index] || overlapScore === 0) continue;
     candidates.push({
-      entry,
+      entry: entries[index],
       index,
       overlapScore,
-      potential: overlapTotals[index] ?? 0,
+      potential: links.potential[index],
     });
-  });
+  }
 
   candidates.sort((a, b) => {
     if (b.overlapScore !== a.overlapScore) {
@@ -313,52 +985,68 @@ function selectNextEntries(entries, used, placements, overlapMatrix, overlapTota
   return candidates;
 }
 
-function generatePlacementOptions(candidate, placements, overlapMatrix) {
+function generatePlacementOptions(candidate, { placements, links, board }) {
   const options = [];
-  const seen = new Set();
-
-  placements.forEach((placement) => {
-    const overlaps = overlapMatrix.get(`${candidate.index}:${placement.entryIndex}`) || [];
-    overlaps.forEach(({ aIndex, bIndex }) => {
-      let row;
-      let col;
-      let direction;
-      if (placement.direction === "across") {
-        direction = "down";
-        row = placement.row - aIndex;
-        col = placement.col + bIndex;
-      } else {
-        direction = "across";
-        row = placement.row + bIndex;
-        col = placement.col - aIndex;
+  // Stamping a shared array is much cheaper than a fresh Set on every search node.
+  board.stamp += 1;
+
+  for (const placement of placements) {
+    for (const { aIndex, bIndex } of overlapsBetween(links, candidate.index, placement.entryIndex)) {
+      const option = crossingOption(placement, aIndex, bIndex);
+      // canPlace would reject off-board options anyway; dropping them early keeps the keys simple.
+      if (!isOnBoard(candidate.entry.word, option, board)) {
+        continue;
       }
-      const key = `${row}:${col}:${direction}`;
-      if (!seen.has(key)) {
-        seen.add(key);
-        options.push({ row, col, direction });
+      const key = (option.row * board.cols + option.col) * 2 + (option.direction === "down" ? 1 : 0);
+      if (board.seen[key] !== board.stamp) {
+        board.seen[key] = board.stamp;
+        options.push(option);
       }
-    });
-  });
+    }
+  }
 
   return options;
 }
 
-function applyPlacement(entry, entryIndex, row, col, direction, grid, usage) {
-  const deltaRow = direction === "down" ? 1 : 0;
-  const deltaCol = direction === "across" ? 1 : 0;
-  const filledCells = [];
-  const usageKey = direction === "across" ? "across" : "down";
-  const usageUpdates = [];
+function isOnBoard(word, { row, col, direction }, board) {
+  const endRow = direction === "down" ? row + word.length - 1 : row;
+  const endCol = direction === "across" ? col + word.length - 1 : col;
+  return row >= 0 && col >= 0 && endRow < board.rows && endCol < board.cols;
+}
+
+function crossingOption(placement, aIndex, bIndex) {
+  if (placement.direction === "across") {
+    return { row: placement.row - aIndex, col: placement.col + bIndex, direction: "down" };
+  }
+  return { row: placement.row + bIndex, col: placement.col - aIndex, direction: "across" };
+}
+
+// Boards are flat typed arrays: `letters` holds char codes (0 = empty) and `usage` holds
+// ACROSS/DOWN bits for the words running through each cell.
+function createBoard(rows, cols = rows) {
+  return {
+    rows,
+    cols,
+    letters: new Uint16Array(rows * cols),
+    usage: new Uint8Array(rows * cols),
+    seen: new Uint32Array(rows * cols * 2),
+    stamp: 0,
+  };
+}
+
+function applyPlacement(entry, entryIndex, row, col, direction, board) {
+  const step = direction === "across" ? 1 : board.cols;
+  const bit = direction === "across" ? ACROSS : DOWN;
+  const start = row * board.cols + col;
+  const cells = [];
 
   for (let i = 0; i < entry.word.length; i += 1) {
-    const currentRow = row + deltaRow * i;
-    const currentCol = col + deltaCol * i;
-    if (!grid[currentRow][currentCol]) {
-      filledCells.push({ row: currentRow, col: currentCol });
-      grid[currentRow][currentCol] = entry.word[i];
+    const cell = start + step * i;
+    if (!board.letters[cell]) {
+      board.letters[cell] = entry.word.charCodeAt(i);
     }
-    usage[currentRow][currentCol][usageKey] = true;
-    usageUpdates.push({ row: currentRow, col: currentCol, key: usageKey });
+    board.usage[cell] |= bit;
+    cells.push(cell);
   }
 
   return {
@@ -370,166 +1058,79 @@ function applyPlacement(entry, entryIndex, row, col, direction, grid, usage) {
       direction,
       entryIndex,
     },
-    filledCells,
-    usageUpdates,
+    cells,
+    bit,
   };
 }
 
-function revertPlacement(grid, usage, filledCells, usageUpdates) {
-  usageUpdates.forEach(({ row, col, key }) => {
-    usage[row][col][key] = false;
-    if (!usage[row][col].across && !usage[row][col].down) {
-      grid[row][col] = null;
-    }
-  });
-  filledCells.forEach((cell) => {
-    if (!usage[cell.row][cell.col].across && !usage[cell.row][cell.col].down) {
-      grid[cell.row][cell.col] = null;
+function revertPlacement(board, { cells, bit }) {
+  cells.forEach((cell) => {
+    board.usage[cell] &= ~bit;
+    if (!board.usage[cell]) {
+      board.letters[cell] = 0;
     }
   });
 }
 
-function scoreLayout(layout) {
-  const rows = layout.grid.length;
-  const cols = layout.grid[0]?.length || 0;
-  if (rows === 0 || cols === 0) {
-    return 0;
-  }
-
-  let filled = 0;
-  for (let row = 0; row < rows; row += 1) {
-    for (let col = 0; col < cols; col += 1) {
-      if (layout.grid[row][col]) {
-        filled += 1;
-      }
-    }
-  }
-
-  const coverageScore = filled / (rows * cols);
-  const intersectionBonus = countIntersections(layout.placements) * 0.02;
-  return coverageScore + intersectionBonus;
-}
-
-function countIntersections(placements) {
-  const usage = new Map();
-
-  placements.forEach((placement) => {
-    const deltaRow = placement.direction === "down" ? 1 : 0;
-    const deltaCol = placement.direction === "across" ? 1 : 0;
-    for (let i = 0; i < placement.word.length; i += 1) {
-      const key = `${placement.row + deltaRow * i}:${placement.col + deltaCol * i}`;
-      usage.set(key, (usage.get(key) || 0) + 1);
-    }
-  });
-
-  let intersections = 0;
-  usage.forEach((count) => {
-    if (count > 1) {
-      intersections += 1;
-    }
-  });
-
-  return intersections;
-}
-
-function createEmptyGrid(size) {
-  return Array.from({ length: size }, () => Array(size).fill(null));
-}
-
-function createUsageGrid(size) {
-  return Array.from({ length: size }, () =>
-    Array.from({ length: size }, () => ({ across: false, down: false })),
-  );
-}
-
-function canPlace(word, row, col, direction, grid, usage) {
-  const size = grid.length;
-  const deltaRow = direction === "down" ? 1 : 0;
-  const deltaCol = direction === "across" ? 1 : 0;
-  const endRow = row + deltaRow * (word.length - 1);
-  const endCol = col + deltaCol * (word.length - 1);
-
-  if (row < 0 || col < 0 || endRow >= size || endCol >= size) {
+function canPlace(word, row, col, direction, board) {
+  if (!isOnBoard(word, { row, col, direction }, board)) {
     return false;
   }
 
-  const beforeRow = row - deltaRow;
-  const beforeCol = col - deltaCol;
-  if (isInsideGrid(beforeRow, beforeCol, size) && grid[beforeRow][beforeCol]) {
+  const { rows, cols, letters, usage } = board;
+  const across = direction === "across";
+  const endRow = across ? row : row + word.length - 1;
+  const endCol = across ? col + word.length - 1 : col;
+
+  const step = across ? 1 : cols;
+  const start = row * cols + col;
+  if ((across ? col > 0 : row > 0) && letters[start - step]) {
     return false;
   }
-
-  const afterRow = row + deltaRow * word.length;
-  const afterCol = col + deltaCol * word.length;
-  if (isInsideGrid(afterRow, afterCol, size) && grid[afterRow][afterCol]) {
+  if ((across ? endCol < cols - 1 : endRow < rows - 1) && letters[start + step * word.length]) {
     return false;
   }
 
+  // Empty cells must not touch a parallel neighbour that isn't part of a crossing word.
+  const crossBit = across ? DOWN : ACROSS;
   for (let i = 0; i < word.length; i += 1) {
-    const currentRow = row + deltaRow * i;
-    const currentCol = col + deltaCol * i;
-    const existing = grid[currentRow][currentCol];
+    const cell = start + step * i;
+    const existing = letters[cell];
 
-    if (existing && existing !== word[i]) {
-      return false;
+    if (existing) {
+      if (existing !== word.charCodeAt(i)) {
+        return false;
+      }
+      continue;
     }
 
-    if (!existing) {
-      if (direction === "across") {
-        const aboveRow = currentRow - 1;
-        const belowRow = currentRow + 1;
-        if (
-          isInsideGrid(aboveRow, currentCol, size) &&
-          grid[aboveRow][currentCol] &&
-          !usage[aboveRow][currentCol].down
-        ) {
-          return false;
-        }
-        if (
-          isInsideGrid(belowRow, currentCol, size) &&
-          grid[belowRow][currentCol] &&
-          !usage[belowRow][currentCol].down
-        ) {
-          return false;
-        }
-      } else {
-        const leftCol = currentCol - 1;
-        const rightCol = currentCol + 1;
-        if (
-          isInsideGrid(currentRow, leftCol, size) &&
-          grid[currentRow][leftCol] &&
-          !usage[currentRow][leftCol].across
-        ) {
-          return false;
-        }
-        if (
-          isInsideGrid(currentRow, rightCol, size) &&
-          grid[currentRow][rightCol] &&
-          !usage[currentRow][rightCol].across
-        ) {
-          return false;
-        }
-      }
+    const currentRow = across ? row : row + i;
+    const currentCol = across ? col + i : col;
+    const hasBefore = across ? currentRow > 0 : currentCol > 0;
+    const hasAfter = across ? currentRow < rows - 1 : currentCol < cols - 1;
+    const side = across ? cols : 1;
+    if (hasBefore && letters[cell - side] && !(usage[cell - side] & crossBit)) {
+      return false;
+    }
+    if (hasAfter && letters[cell + side] && !(usage[cell + side] & crossBit)) {
+      return false;
     }
   }
 
   return true;
 }
 
-function isInsideGrid(row, col, size) {
-  return row >= 0 && col >= 0 && row < size && col < size;
-}
-
-function trimLayout(grid, placements) {
-  let minRow = grid.length - 1;
+function trimLayout(board, placements) {
+  const { rows, cols, letters } = board;
+  let minRow = rows - 1;
   let maxRow = 0;
-  let minCol = grid.length - 1;
+  let minCol = cols - 1;
   let maxCol = 0;
   let hasLetters = false;
 
-  for (let row = 0; row < grid.length; row += 1) {
-    for (let col = 0; col < grid[row].length; col += 1) {
-      if (grid[row][col]) {
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      if (letters[row * cols + col]) {
         hasLetters = true;
         minRow = Math.min(minRow, row);
         maxRow = Math.max(maxRow, row);
@@ -540,16 +1141,7 @@ function trimLayout(grid, placements) {
   }
 
   if (!hasLetters) {
-    return { grid, placements };
-  }
-
-  const trimmedGrid = [];
-  for (let row = minRow; row <= maxRow; row += 1) {
-    const newRow = [];
-    for (let col = minCol; col <= maxCol; col += 1) {
-      newRow.push(grid[row][col]);
-    }
-    trimmedGrid.push(newRow);
+    return { grid: boardToGrid(board, 0, rows - 1, 0, cols - 1), placements };
   }
 
   const adjustedPlacements = placements.map((placement) => ({
@@ -559,12 +1151,25 @@ function trimLayout(grid, placements) {
   }));
 
   return {
-    grid: trimmedGrid,
+    grid: boardToGrid(board, minRow, maxRow, minCol, maxCol),
     placements: adjustedPlacements,
   };
 }
 
-function assignNumbers(grid, placements) {
+function boardToGrid(board, minRow, maxRow, minCol, maxCol) {
+  const grid = [];
+  for (let row = minRow; row <= maxRow; row += 1) {
+    const line = [];
+    for (let col = minCol; col <= maxCol; col += 1) {
+      const code = board.letters[row * board.cols + col];
+      line.push(code ? String.fromCharCode(code) : null);
+    }
+    grid.push(line);
+  }
+  return grid;
+}
+
+export function assignNumbers(grid, placements) {
   const rows = grid.length;
   const cols = grid[0]?.length || 0;
   const numbersMap = Array.from({ length: rows }, () => Array(cols).fill(null));
@@ -622,3 +1227,45 @@ function assignNumbers(grid, placements) {
 
   return { numbersMap, acrossClues, downClues, placements };
 }
+
+// Every run of two or more letters in the grid, in the order numbering visits them (reading
+// order, across before down). Puzzle files only store the grid, so this is how their words are
+// recovered; for a well-formed layout it matches the placements one to one.
+export function gridWords(grid) {
+  const words = [];
+  const isOpen = (row, col) => Boolean(grid[row]?.[col]);
+  const wordFrom = (row, col, dRow, dCol) => {
+    let word = "";
+    for (let r = row, c = col; isOpen(r, c); r += dRow, c += dCol) {
+      word += grid[r][c];
+    }
+    return word;
+  };
+
+  grid.forEach((cells, row) => {
+    cells.forEach((letter, col) => {
+      if (!letter) return;
+      if (!isOpen(row, col - 1) && isOpen(row, col + 1)) {
+        words.push({ word: wordFrom(row, col, 0, 1), row, col, direction: "across" });
+      }
+      if (!isOpen(row - 1, col) && isOpen(row + 1, col)) {
+        words.push({ word: wordFrom(row, col, 1, 0), row, col, direction: "down" });
+      }
+    });
+  });
+  return words;
+}
+
+// The placements in `gridWords` order, or null when the grid spells words the placements don't
+// cover (letters from different words touching), which a puzzle file couldn't represent.
+export function placementsInGridOrder(grid, placements) {
+  const byStart = new Map(
+    placements.map((placement) => [`${placement.direction}:${placement.row}:${placement.col}`, placement]),
+  );
+  const words = gridWords(grid);
+  const ordered = words.map(({ word, row, col, direction }) => {
+    const placement = byStart.get(`${direction}:${row}:${col}`);
+    return placement?.word.toUpperCase() === word.toUpperCase() ? placement : null;
+  });
+  return ordered.length === placements.length && ordered.every(Boolean) ? ordered : null;
+}
@@ -1,5 +1,18 @@
 import { describe, expect, it, vi } from 'vitest';
-import { createPuzzle, MIN_WORDS, normalizeEntries } from './crossword';
+import {
+  createPuzzle,
+  createPuzzleAsync,
+  createRandom,
+  isAbortError,
+  MAX_ATTEMPTS,
+  MAX_WORDS,
+  mergeLayoutCandidates,
+  MIN_WORDS,
+  normalizeEntries,
+  normalizeEntriesWithReport,
+  normalizeSeed,
+  serializeEntries,
+} from './crossword';
 
 describe('normalizeEntries', () => {
   it('should normalize valid entries', () => {
@@ -14,6 +27,14 @@ describe('normalizeEntries', () => {
     expect(normalizeEntries(input)).toEqual(expected);
   });
 
+  it('should keep repeated words', () => {
+    const input = [
+      { word: 'HELLO', clue: 'Greeting' },
+      { word: 'hello', clue: 'Hi there' },
+    ];
+    expect(normalizeEntries(input).map((entry) => entry.clue)).toEqual(['Greeting', 'Hi there']);
+  });
+
   it('should throw error if all entries are invalid', () => {
     const input = [
       { word: 'A', clue: 'Too short' }, // Too short
@@ -33,6 +54,49 @@ describe('normalizeEntries', () => {
   });
 });
 
+describe('normalizeEntriesWithReport', () => {
+  it('should report dropped rows with their reasons', () => {
+    const { entries, report } = normalizeEntriesWithReport([
+      { word: 'HELLO', clue: 'Greeting' },
+      'HELLO',
+      { clue: 'No word' },
+      { word: '42', clue: 'Answer to everything' },
+      { word: 'A', clue: 'Too short' },
+      { word: 'GOOD', clue: '  ' },
+    ]);
+    expect(entries.map((entry) => entry.word)).toEqual(['HELLO']);
+    expect(report.dropped).toEqual([
+      { index: 1, line: null, word: '', reason: "This row isn't a {word, clue} object." },
+      { index: 2, line: null, word: '', reason: 'The word is missing.' },
+      { index: 3, line: null, word: '42', reason: 'The word has no letters A–Z.' },
+      { index: 4, line: null, word: 'A', reason: 'The word is shorter than 2 letters.' },
+      { index: 5, line: null, word: 'GOOD', reason: 'The clue is missing.' },
+    ]);
+  });
+
+  it('should report words that were changed and drop repeats of an earlier word', () => {
+    const { entries, report } = normalizeEntriesWithReport([
+      { word: 'New York', clue: 'Big Apple', line: 2 },
+      { word: 'r2d2', clue: 'Droid', line: 3 },
+      { word: 'newyork', clue: 'City that never sleeps', line: 4 },
+      { word: 'seattle', clue: 'Emerald City', line: 5 },
+    ]);
+    expect(entries.map((entry) => entry.word)).toEqual(['NEWYORK', 'RD', 'SEATTLE']);
+    expect(report.altered).toEqual([
+      { index: 0, line: 2, original: 'New York', word: 'NEWYORK' },
+      { index: 1, line: 3, original: 'r2d2', word: 'RD' },
+    ]);
+    expect(report.duplicates).toEqual([{ index: 2, line: 4, word: 'NEWYORK', first: { index: 0, line: 2 } }]);
+    expect(report.dropped).toEqual([]);
+  });
+
+  it('should return the report instead of throwing when no row is usable', () => {
+    const { entries, report } = normalizeEntriesWithReport([{ word: 'X', clue: 'Letter' }]);
+    expect(entries).toEqual([]);
+    expect(report.dropped).toHaveLength(1);
+  });
+});
+
 describe('createPuzzle', () => {
   const validEntries = Array.from({ length: 10 }, (_, i) => ({
     word: `TEST${i}`,
@@ -65,4 +129,369 @@ describe('createPuzzle', () => {
     createPuzzle(validEntries, 5, { onProgress });
     expect(onProgress).toHaveBeenCalled();
   });
+
+  it('should rebuild the same puzzle from the same seed', () => {
+    const first = createPuzzle(validEntries, 6, { seed: 1234 });
+    const second = createPuzzle(validEntries, 6, { seed: 1234 });
+    expect(first.seed).toBe(1234);
+    expect(second.grid).toEqual(first.grid);
+    expect(second.placements).toEqual(first.placements);
+  });
+
+  it('should return a generated seed that reproduces the puzzle', () => {
+    const first = createPuzzle(validEntries, 6);
+    expect(Number.isInteger(first.seed)).toBe(true);
+    const rebuilt = createPuzzle(validEntries, 6, { seed: first.seed });
+    expect(rebuilt.grid).toEqual(first.grid);
+  });
+
+  it('should accept string seeds', () => {
+    const first = createPuzzle(validEntries, 6, { seed: 'week-3' });
+    const second = createPuzzle(validEntries, 6, { seed: 'week-3' });
+    expect(second.seed).toBe(first.seed);
+    expect(second.grid).toEqual(first.grid);
+  });
+});
+
+describe('seeded random', () => {
+  it('should produce the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+    expect(Array.from({ length: 5 }, () => b())).toEqual(sequence);
+    sequence.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+
+  it('should normalize numeric and text seeds', () => {
+    expect(normalizeSeed('77')).toBe(77);
+    expect(normalizeSeed(77.9)).toBe(77);
+    expect(normalizeSeed(-5)).toBe(0xfffffffb);
+    expect(normalizeSeed(-5)).not.toBe(normalizeSeed(5));
+    expect(normalizeSeed('-5')).toBe(normalizeSeed(-5));
+    expect(normalizeSeed('abc')).toBe(normalizeSeed('abc'));
+    expect(Number.isInteger(normalizeSeed())).toBe(true);
+  });
+});
+
+describe('cancellation', () => {
+  const entries = Array.from({ length: 10 }, (_, i) => ({
+    word: `TEST${i}`,
+    clue: `Clue ${i}`,
+    originalIndex: i,
+  }));
+
+  it('should throw an AbortError when the signal is already aborted', () => {
+    const controller = new AbortController();
+    controller.abort();
+    let caught;
+    try {
+      createPuzzle(entries, 5, { signal: controller.signal });
+    } catch (error) {
+      caught = error;
+    }
+    expect(isAbortError(caught)).toBe(true);
+  });
+
+  it('should stop an async generation once the signal aborts', async () => {
+    const controller = new AbortController();
+    const onProgress = vi.fn((message) => {
+      if (message.startsWith('Layout attempt 2')) {
+        controller.abort();
+      }
+    });
+    await expect(
+      createPuzzleAsync(entries, 5, { signal: controller.signal, onProgress, seed: 9 }),
+    ).rejects.toMatchObject({ name: 'AbortError' });
+    const attempts = onProgress.mock.calls.filter(([message]) => message.startsWith('Layout attempt'));
+    expect(attempts.length).toBeLessThanOrEqual(2);
+  });
+
+  it('should stop partway through a single long attempt', async () => {
+    const words = ['PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR', 'SATURN', 'VENUS'];
+    const hard = words.map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+    // A clock that races ahead makes the search yield at its first check.
+    let clock = 0;
+    const spy = vi.spyOn(performance, 'now').mockImplementation(() => (clock += 100));
+    const controller = new AbortController();
+    const onProgress = vi.fn((message) => {
+      if (message.startsWith('Layout attempt')) setTimeout(() => controller.abort(), 0);
+    });
+    try {
+      // Only the last attempt runs, and these words can't all fit 7×7, so it searches until cancelled.
+      await expect(
+        createPuzzleAsync(hard, 10, {
+          signal: controller.signal,
+          onProgress,
+          seed: 1,
+          width: 7,
+          height: 7,
+          attemptOffset: MAX_ATTEMPTS - 1,
+        }),
+      ).rejects.toMatchObject({ name: 'AbortError' });
+    } finally {
+      spy.mockRestore();
+    }
+    expect(onProgress.mock.calls.filter(([message]) => message.startsWith('Layout attempt'))).toHaveLength(1);
+  });
+
+  it('should resolve the same puzzle as the synchronous generator', async () => {
+    const sync = createPuzzle(entries, 6, { seed: 5 });
+    const asyncResult = await createPuzzleAsync(entries, 6, { seed: 5 });
+    expect(asyncResult.grid).toEqual(sync.grid);
+  });
+});
+
+describe('search budgets', () => {
+  const entries = [
+    { word: 'BANANA', clue: 'Yellow fruit', originalIndex: 0 },
+    { word: 'CABANA', clue: 'Beach hut', originalIndex: 1 },
+    { word: 'BANDANA', clue: 'Neck scarf', originalIndex: 2 },
+    { word: 'ANAGRAM', clue: 'Word puzzle', originalIndex: 3 },
+    { word: 'FLUX', clue: 'Constant change', originalIndex: 4 },
+  ];
+
+  it('should throw when every word cannot be placed and no budget is set', () => {
+    expect(() => createPuzzle(entries, 5, { seed: 3 })).toThrow(/Unable to place every word/);
+  });
+
+  it('should return the best partial layout once the node budget runs out', () => {
+    const result = createPuzzle(entries, 5, { seed: 3, maxNodes: 200 });
+    expect(result.partial).toBe(true);
+    expect(result.stoppedBy).toBe('nodes');
+    expect(result.unplaced.map((entry) => entry.word)).toEqual(['FLUX']);
+    expect(result.placements).toHaveLength(4);
+    expect(result.acrossClues.length + result.downClues.length).toBe(4);
+  });
+
+  it('should say when the time budget cut the search short', () => {
+    let clock = 0;
+    const spy = vi.spyOn(performance, 'now').mockImplementation(() => (clock += 1));
+    try {
+      const result = createPuzzle(entries, 5, { seed: 3, timeBudgetMs: 3 });
+      expect(result.partial).toBe(true);
+      expect(result.stoppedBy).toBe('time');
+    } finally {
+      spy.mockRestore();
+    }
+  });
+
+  it('should report complete layouts as not partial', () => {
+    const result = createPuzzle(entries.slice(0, 4).concat({ word: 'BANAL', clue: 'Trite' }), 5, {
+      seed: 3,
+      maxNodes: 100000,
+    });
+    expect(result.partial).toBe(false);
+    expect(result.unplaced).toEqual([]);
+  });
+});
+
+describe('place what fits', () => {
+  const entries = [
+    { word: 'BANANA', clue: 'Yellow fruit', originalIndex: 0 },
+    { word: 'CABANA', clue: 'Beach hut', originalIndex: 1 },
+    { word: 'BANDANA', clue: 'Neck scarf', originalIndex: 2 },
+    { word: 'ANAGRAM', clue: 'Word puzzle', originalIndex: 3 },
+    { word: 'FLUX', clue: 'Constant change', originalIndex: 4 },
+    { word: 'CANDOR', clue: 'Frankness', originalIndex: 5 },
+  ];
+
+  it('should skip words that cannot connect and swap in pool entries', () => {
+    const result = createPuzzle(entries, 5, { seed: 7, placeWhatFits: true });
+    const placedWords = result.placements.map((placement) => placement.word);
+    expect(placedWords).not.toContain('FLUX');
+    expect(result.placements).toHaveLength(5);
+    expect(result.partial).toBe(true);
+    expect(result.stoppedBy).toBe('fit');
+    expect(result.unplaced.map((entry) => entry.word)).toEqual(['FLUX']);
+    expect(result.swappedIn).toHaveLength(1);
+    expect(placedWords).toContain(result.swappedIn[0].word);
+  });
+
+  it('should report unplaced words when the pool runs dry', () => {
+    const result = createPuzzle(entries.slice(0, 5), 5, { seed: 11, placeWhatFits: true });
+    expect(result.placements).toHaveLength(4);
+    expect(result.unplaced.map((entry) => entry.word)).toEqual(['FLUX']);
+    expect(result.swappedIn).toEqual([]);
+  });
+});
+
+describe('required and excluded entries', () => {
+  const entries = Array.from({ length: 12 }, (_, i) => ({
+    word: `TEST${String.fromCharCode(65 + i)}`,
+    clue: `Clue ${i}`,
+    originalIndex: i,
+  }));
+
+  it('should read pin and ban flags from uploaded entries', () => {
+    const normalized = normalizeEntries([
+      { word: 'alpha', clue: 'First', required: true },
+      { word: 'beta', clue: 'Second', banned: 'yes' },
+      { word: 'gamma', clue: 'Third', required: true, excluded: true },
+    ]);
+    expect(normalized[0]).toEqual({ word: 'ALPHA', clue: 'First', originalIndex: 0, required: true });
+    expect(normalized[1]).toEqual({ word: 'BETA', clue: 'Second', originalIndex: 1, excluded: true });
+    expect(normalized[2]).toEqual({ word: 'GAMMA', clue: 'Third', originalIndex: 2, excluded: true });
+  });
+
+  it('should serialize flags so they survive a round trip', () => {
+    const flagged = [
+      { ...entries[0], required: true },
+      { ...entries[1], excluded: true },
+      entries[2],
+    ];
+    const serialized = serializeEntries(flagged);
+    expect(serialized[2]).toEqual({ word: entries[2].word, clue: entries[2].clue });
+    expect(normalizeEntries(serialized)).toEqual(
+      flagged.map((entry, index) => ({ ...entry, originalIndex: index })),
+    );
+  });
+
+  it('should always include required words and never excluded ones', () => {
+    const flagged = entries.map((entry, index) => ({
+      ...entry,
+      ...(index < 2 ? { required: true } : {}),
+      ...(index >= 9 ? { excluded: true } : {}),
+    }));
+    for (let seed = 1; seed <= 5; seed += 1) {
+      const result = createPuzzle(flagged, 5, { seed, placeWhatFits: true });
+      const words = result.placements.map((placement) => placement.word);
+      expect(words).toEqual(expect.arrayContaining([entries[0].word, entries[1].word]));
+      [9, 10, 11].forEach((index) => expect(words).not.toContain(entries[index].word));
+    }
+  });
+
+  it('should reject more pinned words than the grid holds', () => {
+    const flagged = entries.map((entry, index) => (index < 6 ? { ...entry, required: true } : entry));
+    expect(() => createPuzzle(flagged, 5)).toThrow(/6 words are pinned/);
+  });
+
+  it('should not count excluded words as available', () => {
+    const flagged = entries.map((entry, index) => (index < 8 ? { ...entry, excluded: true } : entry));
+    expect(() => createPuzzle(flagged, 5)).toThrow(/Not enough words/);
+  });
+});
+
+describe('layout candidates', () => {
+  const entries = [
+    'PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR',
+  ].map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+  it('should return a single candidate by default', () => {
+    const puzzle = createPuzzle(entries, 6, { seed: 11 });
+    expect(puzzle.candidates).toHaveLength(1);
+    expect(puzzle.candidates[0].grid).toEqual(puzzle.grid);
+  });
+
+  it('should rank distinct layouts best first', () => {
+    const puzzle = createPuzzle(entries, 6, { seed: 11, candidates: 4 });
+    const { candidates } = puzzle;
+    expect(candidates.length).toBeGreaterThan(1);
+    expect(candidates.length).toBeLessThanOrEqual(4);
+    expect(puzzle.grid).toEqual(candidates[0].grid);
+
+    const shapes = candidates.map((option) =>
+      option.grid.map((row) => row.map((cell) => (cell ? '#' : '.')).join('')).join('/'),
+    );
+    expect(new Set(shapes).size).toBe(candidates.length);
+
+    for (let i = 1; i < candidates.length; i += 1) {
+      expect(candidates[i].placements.length).toBeLessThanOrEqual(candidates[i - 1].placements.length);
+      if (candidates[i].placements.length === candidates[i - 1].placements.length) {
+        expect(candidates[i].scoreBreakdown.total).toBeLessThanOrEqual(
+          candidates[i - 1].scoreBreakdown.total,
+        );
+      }
+    }
+    candidates.forEach((option) => {
+      expect(option.seed).toBe(11);
+      expect(option.candidates).toBeUndefined();
+    });
+  });
+
+  it('should reject a candidate count below one', () => {
+    expect(() => createPuzzle(entries, 6, { candidates: 0 })).toThrow(/at least one layout/);
+  });
+});
+
+describe('grid dimensions', () => {
+  const entries = [
+    'PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR', 'ASTEROID',
+  ].map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+  it('should keep layouts inside a fixed width and height', () => {
+    const puzzle = createPuzzle(entries, 6, { seed: 5, width: 12, height: 8 });
+    expect(puzzle.cols).toBeLessThanOrEqual(12);
+    expect(puzzle.rows).toBeLessThanOrEqual(8);
+    puzzle.grid.forEach((row) => expect(row).toHaveLength(puzzle.cols));
+  });
+
+  it('should fit a narrow strip when only the width is fixed', () => {
+    const puzzle = createPuzzle(entries, 5, { seed: 5, width: 7, candidates: 3 });
+    puzzle.candidates.forEach((option) => expect(option.cols).toBeLessThanOrEqual(7));
+  });
+
+  it('should leave out words longer than both fixed sides', () => {
+    const puzzle = createPuzzle(entries, 6, { seed: 5, width: 7, height: 7, placeWhatFits: true });
+    expect(puzzle.placements.map((placement) => placement.word)).not.toContain('ASTEROID');
+  });
+
+  it('should reject pinned words that cannot fit the grid', () => {
+    const pinned = entries.map((entry) => (entry.word === 'ASTEROID' ? { ...entry, required: true } : entry));
+    expect(() => createPuzzle(pinned, 6, { width: 7, height: 7 })).toThrow(/ASTEROID won't fit a 7×7 grid/);
+  });
+
+  it('should reject dimensions outside the supported range', () => {
+    expect(() => createPuzzle(entries, 6, { width: 2 })).toThrow(/Grid width must be a whole number/);
+    expect(() => createPuzzle(entries, 6, { height: 12.5 })).toThrow(/Grid height must be a whole number/);
+  });
+});
+
+describe('large word lists', () => {
+  const entries = `ANCHOR BALLOON CANDLE DOLPHIN ENGINE FALCON GARDEN HARBOR ISLAND JUNGLE KETTLE LANTERN
+MEADOW NEEDLE ORCHARD PEPPER QUARTZ RIBBON SADDLE TIMBER UMBRELLA VIOLIN WALNUT YOGURT ZEPHYR ACORN
+BRIDGE CACTUS DESERT EMBER FOREST GLACIER HAMMER IGLOO JASMINE KOALA LEMON MARBLE NECTAR OLIVE PLANET
+QUIVER RAVEN SILVER TULIP URCHIN VELVET WILLOW XYLOPHONE YEARLING ZEBRA ATLAS BEACON CORAL DRAGON
+ECLIPSE FEATHER GRANITE HELMET IVORY`
+    .split(/\s+/)
+    .map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+  it('should place all 60 words with every letter matching its grid cell', () => {
+    const puzzle = createPuzzle(entries, MAX_WORDS, { seed: 1, maxNodes: 100000 });
+    expect(MAX_WORDS).toBeGreaterThanOrEqual(60);
+    expect(puzzle.partial).toBe(false);
+    expect(puzzle.placements).toHaveLength(MAX_WORDS);
+    puzzle.placements.forEach(({ word, row, col, direction }) => {
+      [...word].forEach((letter, i) => {
+        const cell = direction === 'across' ? puzzle.grid[row][col + i] : puzzle.grid[row + i][col];
+        expect(cell).toBe(letter);
+      });
+    });
+  });
+});
+
+describe('split attempts', () => {
+  const entries = [
+    'PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR',
+  ].map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+  it('should rebuild the single-run result from attempts split by offset and stride', () => {
+    const options = { seed: 8, candidates: 4, scoring: 'intersections' };
+    const single = createPuzzle(entries, 6, options);
+    const parts = [0, 1, 2].map((attemptOffset) =>
+      createPuzzle(entries, 6, { ...options, attemptOffset, attemptStride: 3 }),
+    );
+    const merged = mergeLayoutCandidates(parts, 4, { scoring: options.scoring });
+    expect(merged.grid).toEqual(single.grid);
+    expect(merged.candidates.map((option) => option.attempt)).toEqual(
+      single.candidates.map((option) => option.attempt),
+    );
+  });
+
+  it('should reject invalid offsets and strides', () => {
+    expect(() => createPuzzle(entries, 6, { attemptStride: 0 })).toThrow(/attemptStride/);
+    expect(() => createPuzzle(entries, 6, { attemptOffset: -1 })).toThrow(/attemptOffset/);
+  });
 });
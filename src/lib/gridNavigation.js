@@ -0,0 +1,83 @@
+// Cursor movement for the solving grid. Cells are { row, col }, words are placements, and
+// entered letters are the solver's "row-col" keyed cell values.
+
+const ARROWS = {
+  ArrowUp: { dRow: -1, dCol: 0, direction: "down" },
+  ArrowDown: { dRow: 1, dCol: 0, direction: "down" },
+  ArrowLeft: { dRow: 0, dCol: -1, direction: "across" },
+  ArrowRight: { dRow: 0, dCol: 1, direction: "across" },
+};
+
+export function isArrowKey(key) {
+  return key in ARROWS;
+}
+
+export function arrowDirection(key) {
+  return ARROWS[key]?.direction ?? null;
+}
+
+// The next letter cell along the arrow, jumping over black squares and gaps between words.
+// Returns null at the edge of the grid.
+export function moveByArrow(grid, { row, col }, key) {
+  const step = ARROWS[key];
+  if (!step) return null;
+  let nextRow = row + step.dRow;
+  let nextCol = col + step.dCol;
+  while (grid[nextRow] && nextCol >= 0 && nextCol < grid[nextRow].length) {
+    if (grid[nextRow][nextCol]) {
+      return { row: nextRow, col: nextCol };
+    }
+    nextRow += step.dRow;
+    nextCol += step.dCol;
+  }
+  return null;
+}
+
+export function wordCells({ word, row, col, direction }) {
+  return Array.from({ length: word.length }, (_, i) =>
+    direction === "across" ? { row, col: col + i } : { row: row + i, col },
+  );
+}
+
+export function indexInWord(placement, { row, col }) {
+  return placement.direction === "across" ? col - placement.col : row - placement.row;
+}
+
+// Where the cursor goes after typing at `index`: the next empty square in the word, so filled
+// squares are skipped. Once the rest of the word is full it simply steps forward, and it stays
+// put on the last square.
+export function nextCellAfterTyping(placement, index, cellValues) {
+  const cells = wordCells(placement);
+  const isEmpty = ({ row, col }) => !cellValues[`${row}-${col}`];
+  const ahead = cells.slice(index + 1).find(isEmpty) || cells.slice(0, index).find(isEmpty);
+  if (ahead) return ahead;
+  return cells[Math.min(index + 1, cells.length - 1)];
+}
+
+export function firstEmptyCell(placement, cellValues) {
+  const cells = wordCells(placement);
+  return cells.find(({ row, col }) => !cellValues[`${row}-${col}`]) || cells[0];
+}
+
+// Clues in reading order: every across clue by number, then every down clue.
+export function orderedClues(placements) {
+  const numbered = placements.filter((placement) => Number.isFinite(placement.number));
+  const byNumber = (a, b) => a.number - b.number;
+  return [
+    ...numbered.filter((placement) => placement.direction === "across").sort(byNumber),
+    ...numbered.filter((placement) => placement.direction === "down").sort(byNumber),
+  ];
+}
+
+// The clue `step` places away from `current`, wrapping around the ends of the list.
+export function adjacentClue(placements, current, step) {
+  const clues = orderedClues(placements);
+  if (!clues.length) return null;
+  const index = clues.findIndex(
+    (placement) => placement.direction === current?.direction && placement.number === current?.number,
+  );
+  if (index === -1) {
+    return step > 0 ? clues[0] : clues[clues.length - 1];
+  }
+  return clues[(index + step + clues.length) % clues.length];
+}
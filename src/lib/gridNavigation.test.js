@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import { adjacentClue, firstEmptyCell, moveByArrow, nextCellAfterTyping, orderedClues } from './gridNavigation';
+
+// C A T .
+// . . O .
+// . . E A
+const grid = [
+  ['C', 'A', 'T', null],
+  [null, null, 'O', null],
+  [null, null, 'E', 'A'],
+];
+const cat = { word: 'CAT', row: 0, col: 0, direction: 'across', number: 1 };
+const toe = { word: 'TOE', row: 0, col: 2, direction: 'down', number: 2 };
+const ea = { word: 'EA', row: 2, col: 2, direction: 'across', number: 3 };
+
+describe('grid navigation', () => {
+  it('should move to the next letter along an arrow, skipping black squares', () => {
+    expect(moveByArrow(grid, { row: 0, col: 0 }, 'ArrowRight')).toEqual({ row: 0, col: 1 });
+    expect(moveByArrow(grid, { row: 0, col: 1 }, 'ArrowDown')).toBeNull();
+    expect(moveByArrow(grid, { row: 2, col: 3 }, 'ArrowUp')).toBeNull();
+    expect(moveByArrow([['A', null, 'B']], { row: 0, col: 0 }, 'ArrowRight')).toEqual({ row: 0, col: 2 });
+    expect(moveByArrow(grid, { row: 0, col: 0 }, 'Enter')).toBeNull();
+  });
+
+  it('should skip filled squares after typing', () => {
+    expect(nextCellAfterTyping(cat, 0, { '0-0': 'C', '0-1': 'A' })).toEqual({ row: 0, col: 2 });
+    expect(nextCellAfterTyping(cat, 1, { '0-1': 'A', '0-2': 'T' })).toEqual({ row: 0, col: 0 });
+    expect(nextCellAfterTyping(cat, 0, { '0-0': 'C', '0-1': 'A', '0-2': 'T' })).toEqual({ row: 0, col: 1 });
+    expect(nextCellAfterTyping(cat, 2, { '0-0': 'C', '0-1': 'A', '0-2': 'T' })).toEqual({ row: 0, col: 2 });
+  });
+
+  it('should find the first empty square of a word', () => {
+    expect(firstEmptyCell(toe, { '0-2': 'T' })).toEqual({ row: 1, col: 2 });
+    expect(firstEmptyCell(toe, { '0-2': 'T', '1-2': 'O', '2-2': 'E' })).toEqual({ row: 0, col: 2 });
+  });
+
+  it('should order clues across then down and wrap around', () => {
+    expect(orderedClues([toe, ea, cat])).toEqual([cat, ea, toe]);
+    expect(adjacentClue([toe, ea, cat], cat, 1)).toBe(ea);
+    expect(adjacentClue([toe, ea, cat], toe, 1)).toBe(cat);
+    expect(adjacentClue([toe, ea, cat], cat, -1)).toBe(toe);
+    expect(adjacentClue([toe, ea, cat], null, 1)).toBe(cat);
+  });
+});
@@ -0,0 +1,67 @@
+export const HISTORY_LIMIT = 100;
+
+// Snapshot undo history. `past` holds the states before each recorded change, oldest first;
+// `future` holds the states that were undone, most recent first. The present state lives with
+// the caller, which passes it in whenever it moves through history.
+export function createHistory() {
+  return { past: [], future: [], lastKey: null };
+}
+
+// Records `snapshot` as the state before a change. Consecutive changes that share a key (typing
+// across one word, say) collapse into a single step so undo doesn't go letter by letter.
+export function recordHistory(history, snapshot, { key = null, limit = HISTORY_LIMIT } = {}) {
+  if (key !== null && key === history.lastKey) {
+    return history;
+  }
+  return {
+    past: [...history.past, snapshot].slice(-limit),
+    future: [],
+    lastKey: key,
+  };
+}
+
+export function undoHistory(history, present) {
+  if (history.past.length === 0) {
+    return null;
+  }
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [present, ...history.future],
+      lastKey: null,
+    },
+    snapshot: history.past[history.past.length - 1],
+  };
+}
+
+export function redoHistory(history, present) {
+  if (history.future.length === 0) {
+    return null;
+  }
+  return {
+    history: {
+      past: [...history.past, present],
+      future: history.future.slice(1),
+      lastKey: null,
+    },
+    snapshot: history.future[0],
+  };
+}
+
+export function isUndoShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.shiftKey || event.altKey) {
+    return false;
+  }
+  return event.key.toLowerCase() === "z";
+}
+
+export function isRedoShortcut(event) {
+  if (!(event.ctrlKey || event.metaKey) || event.altKey) {
+    return false;
+  }
+  const key = event.key.toLowerCase();
+  if (key === "z") {
+    return Boolean(event.shiftKey);
+  }
+  return key === "y" && Boolean(event.ctrlKey) && !event.shiftKey;
+}
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createHistory,
+  isRedoShortcut,
+  isUndoShortcut,
+  recordHistory,
+  redoHistory,
+  undoHistory,
+} from './history';
+
+describe('history', () => {
+  it('should undo and redo recorded changes in order', () => {
+    let history = createHistory();
+    history = recordHistory(history, 'a');
+    history = recordHistory(history, 'b');
+
+    const first = undoHistory(history, 'c');
+    expect(first.snapshot).toBe('b');
+    const second = undoHistory(first.history, first.snapshot);
+    expect(second.snapshot).toBe('a');
+    expect(undoHistory(second.history, 'a')).toBeNull();
+
+    const redone = redoHistory(second.history, 'a');
+    expect(redone.snapshot).toBe('b');
+    expect(redoHistory(redone.history, 'b').snapshot).toBe('c');
+  });
+
+  it('should drop the redo stack when a new change is recorded', () => {
+    let history = recordHistory(createHistory(), 'a');
+    history = undoHistory(history, 'b').history;
+    expect(history.future).toEqual(['b']);
+
+    history = recordHistory(history, 'a');
+    expect(history.future).toEqual([]);
+    expect(redoHistory(history, 'c')).toBeNull();
+  });
+
+  it('should collapse consecutive changes that share a key', () => {
+    let history = createHistory();
+    history = recordHistory(history, 'empty', { key: 'cells:across:1' });
+    history = recordHistory(history, 'C', { key: 'cells:across:1' });
+    history = recordHistory(history, 'CA', { key: 'cells:across:1' });
+    expect(history.past).toEqual(['empty']);
+
+    history = recordHistory(history, 'CAT', { key: 'cells:down:2' });
+    history = recordHistory(history, 'CAT + D', { key: 'cells:across:1' });
+    expect(history.past).toEqual(['empty', 'CAT', 'CAT + D']);
+  });
+
+  it('should start a new step after undoing', () => {
+    let history = recordHistory(createHistory(), 'empty', { key: 'cells:across:1' });
+    history = undoHistory(history, 'C').history;
+    history = recordHistory(history, 'empty', { key: 'cells:across:1' });
+    expect(history.past).toEqual(['empty']);
+  });
+
+  it('should keep only the most recent steps', () => {
+    let history = createHistory();
+    for (let i = 0; i < 5; i += 1) {
+      history = recordHistory(history, i, { limit: 3 });
+    }
+    expect(history.past).toEqual([2, 3, 4]);
+  });
+
+  it('should recognise the undo and redo shortcuts', () => {
+    expect(isUndoShortcut({ key: 'z', ctrlKey: true })).toBe(true);
+    expect(isUndoShortcut({ key: 'z', metaKey: true })).toBe(true);
+    expect(isUndoShortcut({ key: 'Z', ctrlKey: true, shiftKey: true })).toBe(false);
+    expect(isUndoShortcut({ key: 'z' })).toBe(false);
+
+    expect(isRedoShortcut({ key: 'Z', metaKey: true, shiftKey: true })).toBe(true);
+    expect(isRedoShortcut({ key: 'z', ctrlKey: true, shiftKey: true })).toBe(true);
+    expect(isRedoShortcut({ key: 'y', ctrlKey: true })).toBe(true);
+    expect(isRedoShortcut({ key: 'y', metaKey: true })).toBe(false);
+    expect(isRedoShortcut({ key: 'z', ctrlKey: true })).toBe(false);
+  });
+});
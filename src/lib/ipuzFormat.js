@@ -0,0 +1,181 @@
+import { assignNumbers, gridWords, placementsInGridOrder } from "./crossword";
+import { wordCells } from "./gridNavigation";
+
+// ipuz (http://ipuz.org) is JSON: a `puzzle` grid of clue numbers (0 for unnumbered squares,
+// "#" for black squares, null for squares that aren't part of the puzzle), a matching
+// `solution` grid and clues listed by direction as [number, clue]. A clue can instead be an
+// object listing its squares as 1-based [column, row] pairs.
+const IPUZ_VERSION = "http://ipuz.org/v2";
+const CROSSWORD_KIND = "http://ipuz.org/crossword";
+const BLOCK = "#";
+
+const NOT_A_CROSSWORD = "This isn't an ipuz crossword.";
+
+// Freeform layouts leave their gaps out of the puzzle (null); block grids keep black squares.
+// When words touch end to end, which freeform layouts allow, the grid alone would read them
+// as one word, so every clue lists its squares.
+export function toIpuz(puzzle) {
+  const { grid } = puzzle;
+  if (puzzle.answersHidden) {
+    throw new Error("Puzzles with hidden answers can't be exported.");
+  }
+  const listCells = !placementsInGridOrder(grid, puzzle.placements);
+  const clueList = (direction) =>
+    puzzle.placements
+      .filter((placement) => placement.direction === direction)
+      .sort((a, b) => a.number - b.number)
+      .map((placement) =>
+        listCells
+          ? {
+              number: placement.number,
+              clue: placement.clue,
+              cells: wordCells(placement).map(({ row, col }) => [col + 1, row + 1]),
+            }
+          : [placement.number, placement.clue],
+      );
+
+  const gap = puzzle.style === "blocks" ? BLOCK : null;
+  const circles = new Set(puzzle.circles);
+  const rebus = puzzle.rebus || {};
+  const ipuz = {
+    version: IPUZ_VERSION,
+    kind: [`${CROSSWORD_KIND}#1`],
+    title: puzzle.title || "Crossword Puzzle",
+    dimensions: { width: grid[0]?.length || 0, height: grid.length },
+    puzzle: grid.map((cells, row) =>
+      cells.map((letter, col) => {
+        if (!letter) return gap;
+        const number = puzzle.numbersMap[row]?.[col] || 0;
+        return circles.has(`${row}-${col}`) ? { cell: number, style: { shapebg: "circle" } } : number;
+      }),
+    ),
+    solution: grid.map((cells, row) => cells.map((letter, col) => (letter ? rebus[`${row}-${col}`] || letter : gap))),
+    clues: { Across: clueList("across"), Down: clueList("down") },
+  };
+  ["author", "copyright", "notes"].forEach((field) => {
+    if (puzzle[field]) ipuz[field] = puzzle[field];
+  });
+  return ipuz;
+}
+
+// Accepts the file's text or its parsed JSON. Clues that list their squares are placed there;
+// otherwise words come from the solution grid and pick up their clues by number.
+export function parseIpuz(data) {
+  let ipuz = data;
+  if (typeof data === "string") {
+    try {
+      ipuz = JSON.parse(data);
+    } catch {
+      throw new Error(NOT_A_CROSSWORD);
+    }
+  }
+  const kinds = Array.isArray(ipuz?.kind) ? ipuz.kind : [];
+  if (!kinds.some((kind) => String(kind).startsWith(CROSSWORD_KIND))) {
+    throw new Error(NOT_A_CROSSWORD);
+  }
+  if (!Array.isArray(ipuz.puzzle) || !Array.isArray(ipuz.solution)) {
+    throw new Error("This ipuz file has no solution, so it can't be solved here.");
+  }
+
+  const block = ipuz.block ?? BLOCK;
+  const width = ipuz.dimensions?.width ?? ipuz.puzzle[0]?.length ?? 0;
+  const height = ipuz.dimensions?.height ?? ipuz.puzzle.length;
+  const rebus = {};
+  const circles = [];
+  let hasGaps = false;
+  const grid = Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) => {
+      const cell = ipuz.puzzle[row]?.[col];
+      const answer = cellValue(ipuz.solution[row]?.[col]);
+      if (cell === null || cell === undefined) hasGaps = true;
+      if (cell === null || cell === undefined || cell === block || !answer || answer === block) return null;
+      const key = `${row}-${col}`;
+      if (answer.length > 1) rebus[key] = answer.toUpperCase();
+      if (cell?.style?.shapebg === "circle") circles.push(key);
+      return answer[0].toUpperCase();
+    }),
+  );
+
+  const clues = readClues(ipuz.clues);
+  const placements =
+    clues.length > 0 && clues.every((entry) => entry.cells)
+      ? placementsFromClueCells(grid, clues)
+      : placementsFromGrid(grid, clues);
+  if (placements.length === 0) {
+    throw new Error("This ipuz file has no words to solve.");
+  }
+  const numbering = assignNumbers(grid, placements);
+
+  return {
+    grid,
+    placements: numbering.placements,
+    numbersMap: numbering.numbersMap,
+    acrossClues: numbering.acrossClues,
+    downClues: numbering.downClues,
+    style: hasGaps ? "freeform" : "blocks",
+    format: "ipuz",
+    requestedCount: placements.length,
+    rows: height,
+    cols: width,
+    title: textOf(ipuz.title),
+    author: textOf(ipuz.author),
+    copyright: textOf(ipuz.copyright),
+    notes: textOf(ipuz.notes),
+    rebus,
+    circles,
+    answersHidden: false,
+  };
+}
+
+// Squares may be plain values or { value } objects.
+function cellValue(cell) {
+  const value = cell && typeof cell === "object" ? cell.value : cell;
+  return typeof value === "string" ? value : "";
+}
+
+// Keys are a direction, optionally with a label ("Across:Across clues"). Clues are
+// [number, clue] pairs or { number, clue, cells } objects.
+function readClues(clues) {
+  const list = [];
+  Object.entries(clues || {}).forEach(([key, entries]) => {
+    const direction = key.split(":")[0].toLowerCase();
+    if (!Array.isArray(entries) || (direction !== "across" && direction !== "down")) return;
+    entries.forEach((entry) => {
+      const [number, clue] = Array.isArray(entry) ? entry : [entry?.number, entry?.clue];
+      if (number === undefined) return;
+      const cells = Array.isArray(entry?.cells) && entry.cells.length > 1 ? entry.cells : null;
+      list.push({ direction, number: Number(number), clue: textOf(clue), cells });
+    });
+  });
+  return list;
+}
+
+// Numbers the grid's words the standard way and matches the clues to them by number.
+function placementsFromGrid(grid, clues) {
+  const byNumber = new Map(clues.map((entry) => [`${entry.direction}:${entry.number}`, entry.clue]));
+  let number = 0;
+  let lastStart = null;
+  return gridWords(grid).map((word, entryIndex) => {
+    const start = `${word.row}-${word.col}`;
+    if (start !== lastStart) {
+      number += 1;
+      lastStart = start;
+    }
+    return { ...word, clue: byNumber.get(`${word.direction}:${number}`) ?? "", entryIndex };
+  });
+}
+
+function placementsFromClueCells(grid, clues) {
+  return clues.map(({ direction, clue, cells }, entryIndex) => {
+    const [col, row] = cells[0].map((value) => Number(value) - 1);
+    const word = cells.map(([x, y]) => grid[y - 1]?.[x - 1] || "").join("");
+    if (word.length !== cells.length) {
+      throw new Error("A clue in this ipuz file points outside the grid.");
+    }
+    return { word, clue, row, col, direction, entryIndex };
+  });
+}
+
+function textOf(value) {
+  return typeof value === "string" ? value : "";
+}
@@ -0,0 +1,123 @@
+import { describe, expect, it } from 'vitest';
+import { helloPuzzle } from '../test/fixtures';
+import { rebuildLayout } from './crossword';
+import { parseIpuz, toIpuz } from './ipuzFormat';
+
+function comparable(puzzle) {
+  return {
+    grid: puzzle.grid,
+    numbersMap: puzzle.numbersMap,
+    acrossClues: puzzle.acrossClues,
+    downClues: puzzle.downClues,
+    placements: puzzle.placements
+      .map(({ word, clue, number, direction, row, col }) => ({ word, clue, number, direction, row, col }))
+      .sort((a, b) => a.number - b.number || a.direction.localeCompare(b.direction)),
+  };
+}
+
+function layout(placements, extra = {}) {
+  return { style: 'freeform', requestedCount: placements.length, ...rebuildLayout(placements), ...extra };
+}
+
+describe('ipuz export and import', () => {
+  it('should round-trip a freeform layout through JSON text', () => {
+    const puzzle = helloPuzzle({ title: 'Hello', author: 'Ada', circles: ['0-4'] });
+    const ipuz = toIpuz(puzzle);
+
+    expect(ipuz).toMatchObject({
+      version: 'http://ipuz.org/v2',
+      kind: ['http://ipuz.org/crossword#1'],
+      dimensions: { width: 5, height: 5 },
+      clues: { Across: [[1, 'Greeting']], Down: [[2, 'Bird of prey'], [3, 'Sour fruit']] },
+    });
+    expect(ipuz.puzzle[0]).toEqual([1, 2, 0, 3, { cell: 0, style: { shapebg: 'circle' } }]);
+    expect(ipuz.puzzle[1][0]).toBeNull();
+
+    const imported = parseIpuz(JSON.stringify(ipuz));
+    expect(comparable(imported)).toEqual(comparable(puzzle));
+    expect(imported).toMatchObject({ style: 'freeform', format: 'ipuz', title: 'Hello', author: 'Ada', circles: ['0-4'] });
+  });
+
+  it('should write black squares and rebus answers for block grids', () => {
+    const puzzle = {
+      ...layout([
+        { word: 'STAR', clue: 'Shining light', row: 0, col: 0, direction: 'across', entryIndex: 0 },
+        { word: 'SHED', clue: 'Garden building', row: 0, col: 0, direction: 'down', entryIndex: 1 },
+        { word: 'REDS', clue: 'Some wines', row: 0, col: 3, direction: 'down', entryIndex: 2 },
+        { word: 'DOTS', clue: 'Small spots', row: 3, col: 0, direction: 'across', entryIndex: 3 },
+      ]),
+      style: 'blocks',
+      rebus: { '3-3': 'SUN' },
+    };
+    const ipuz = toIpuz(puzzle);
+    expect(ipuz.puzzle[1]).toEqual([0, '#', '#', 0]);
+    expect(ipuz.solution[3]).toEqual(['D', 'O', 'T', 'SUN']);
+
+    const imported = parseIpuz(ipuz);
+    expect(comparable(imported)).toEqual(comparable(puzzle));
+    expect(imported).toMatchObject({ style: 'blocks', rebus: { '3-3': 'SUN' } });
+  });
+
+  it('should list the squares of each clue when words run into each other', () => {
+    // ROCKET ends right where GALAXY starts, so the grid alone reads ROCKETG.
+    const puzzle = layout([
+      { word: 'ROCKET', clue: 'Launch vehicle', row: 0, col: 0, direction: 'across', entryIndex: 0 },
+      { word: 'COMET', clue: 'Icy visitor', row: 0, col: 2, direction: 'down', entryIndex: 1 },
+      { word: 'GALAXY', clue: 'Milky Way, e.g.', row: 0, col: 6, direction: 'down', entryIndex: 2 },
+    ]);
+    const ipuz = toIpuz(puzzle);
+    expect(ipuz.clues.Across).toEqual([
+      {
+        number: 1,
+        clue: 'Launch vehicle',
+        cells: [
+          [1, 1],
+          [2, 1],
+          [3, 1],
+          [4, 1],
+          [5, 1],
+          [6, 1],
+        ],
+      },
+    ]);
+
+    expect(comparable(parseIpuz(JSON.stringify(ipuz)))).toEqual(comparable(puzzle));
+  });
+
+  it('should read clues given as objects with labelled directions', () => {
+    const imported = parseIpuz({
+      version: 'http://ipuz.org/v1',
+      kind: ['http://ipuz.org/crossword'],
+      dimensions: { width: 3, height: 2 },
+      puzzle: [
+        [1, 2, 3],
+        [4, 0, 0],
+      ],
+      solution: [
+        ['C', 'A', 'T'],
+        [{ value: 'O' }, 'W', 'L'],
+      ],
+      clues: {
+        'Across:Across clues': [
+          { number: 1, clue: 'Pet' },
+          { number: 4, clue: 'Night bird' },
+        ],
+        'Down:Down clues': [
+          [1, 'Moo maker'],
+          [2, 'Ewe'],
+          [3, 'Short for "tender loving"'],
+        ],
+      },
+    });
+
+    expect(imported.acrossClues.map(({ number, clue }) => `${number} ${clue}`)).toEqual(['1 Pet', '4 Night bird']);
+    expect(imported.placements.find((placement) => placement.clue === 'Moo maker').word).toBe('CO');
+  });
+
+  it('should reject files that are not ipuz crosswords', () => {
+    expect(() => parseIpuz('not json')).toThrow("This isn't an ipuz crossword.");
+    expect(() => parseIpuz({ kind: ['http://ipuz.org/sudoku#1'] })).toThrow("This isn't an ipuz crossword.");
+    expect(() => parseIpuz({ kind: ['http://ipuz.org/crossword#1'], puzzle: [[1, 2]] })).toThrow(/no solution/);
+    expect(() => toIpuz(helloPuzzle({ answersHidden: true }))).toThrow(/hidden answers/);
+  });
+});
@@ -0,0 +1,208 @@
+import { canPlaceWord, rebuildLayout, sanitizeWord } from "./crossword";
+import { wordCells } from "./gridNavigation";
+import { evaluateLayout, resolveScoring, SCORING_PRESETS } from "./layoutScoring";
+
+// Hand edits for finished freeform layouts. Every function takes a puzzle and returns a new
+// one with renumbered clues, or throws an Error explaining why the edit isn't allowed.
+
+export function removeWord(puzzle, index) {
+  const target = getPlacement(puzzle, index);
+  const remaining = puzzle.placements.filter((_, i) => i !== index);
+  if (remaining.length === 0) {
+    throw new Error("Keep at least one word in the grid.");
+  }
+  if (!isConnected(remaining)) {
+    throw new Error(`Removing ${target.word} would split the grid in two.`);
+  }
+  // The word goes back with the skipped ones so it can be added again.
+  const removed = { word: target.word, clue: target.clue, originalIndex: target.entryIndex };
+  return { ...withPlacements(puzzle, remaining), unplaced: [...(puzzle.unplaced || []), removed] };
+}
+
+export function moveWord(puzzle, index, { row, col, direction }) {
+  const target = getPlacement(puzzle, index);
+  const others = puzzle.placements.filter((_, i) => i !== index);
+  const moved = { ...target, row, col, direction };
+  if (!canPlaceWord(others, target.word, moved)) {
+    throw new Error(`${target.word} doesn't fit there.`);
+  }
+
+  const placements = puzzle.placements.map((placement, i) => (i === index ? moved : placement));
+  if (!isConnected(placements)) {
+    throw new Error(`${target.word} has to cross another word.`);
+  }
+  return withPlacements(puzzle, placements);
+}
+
+// Flipping keeps the word as close to where it was as the grid allows.
+export function flipWord(puzzle, index) {
+  const target = getPlacement(puzzle, index);
+  const direction = target.direction === "across" ? "down" : "across";
+  const options = findPlacements(puzzle, target.word, { ignoreIndex: index, direction });
+  if (options.length === 0) {
+    throw new Error(`There's no spot for ${target.word} running ${direction}.`);
+  }
+
+  const distance = (option) => Math.abs(option.row - target.row) + Math.abs(option.col - target.col);
+  const [closest] = [...options].sort((a, b) => distance(a) - distance(b) || b.crossings - a.crossings);
+  return moveWord(puzzle, index, closest);
+}
+
+// Without a starting cell the word goes wherever it crosses the most letters, in the target's
+// direction if one is given.
+export function addWord(puzzle, entry, target = {}) {
+  assertEditable(puzzle);
+  const word = sanitizeWord(entry?.word);
+  const clue = (entry?.clue ?? "").toString().trim();
+  if (word.length < 2) {
+    throw new Error("Words need at least two letters.");
+  }
+  if (!clue) {
+    throw new Error(`Add a clue for ${word} first.`);
+  }
+  if (puzzle.placements.some((placement) => placement.word === word)) {
+    throw new Error(`${word} is already in the grid.`);
+  }
+
+  let spot = target;
+  if (!Number.isInteger(spot.row) || !Number.isInteger(spot.col)) {
+    const options = findPlacements(puzzle, word, { direction: spot.direction });
+    const [best] = options.sort((a, b) => b.crossings - a.crossings);
+    if (!best) {
+      throw new Error(`${word} doesn't cross anything in this grid.`);
+    }
+    spot = best;
+  }
+
+  const placement = {
+    word,
+    clue,
+    row: spot.row,
+    col: spot.col,
+    direction: spot.direction,
+    entryIndex: entry.originalIndex ?? null,
+  };
+  if (!canPlaceWord(puzzle.placements, word, placement)) {
+    throw new Error(`${word} doesn't fit there.`);
+  }
+
+  const placements = [...puzzle.placements, placement];
+  if (!isConnected(placements)) {
+    throw new Error(`${word} has to cross another word.`);
+  }
+  const next = withPlacements(puzzle, placements);
+  return {
+    ...next,
+    unplaced: (puzzle.unplaced || []).filter(
+      (skipped) => !(skipped.word === word && skipped.originalIndex === entry.originalIndex),
+    ),
+  };
+}
+
+// Every crossing where `word` could legally go, optionally ignoring one placed word (the one
+// being moved) and limited to one direction.
+export function findPlacements(puzzle, word, { ignoreIndex = -1, direction } = {}) {
+  const others = puzzle.placements.filter((_, i) => i !== ignoreIndex);
+  const seen = new Set();
+  const options = [];
+
+  others.forEach((placement) => {
+    for (let i = 0; i < word.length; i += 1) {
+      for (let j = 0; j < placement.word.length; j += 1) {
+        if (word[i] !== placement.word[j]) continue;
+        const option =
+          placement.direction === "across"
+            ? { row: placement.row - i, col: placement.col + j, direction: "down" }
+            : { row: placement.row + j, col: placement.col - i, direction: "across" };
+        const key = `${option.row}:${option.col}:${option.direction}`;
+        if ((direction && option.direction !== direction) || seen.has(key)) continue;
+        seen.add(key);
+        if (canPlaceWord(others, word, option)) {
+          options.push({ ...option, crossings: countCrossings(others, word, option) });
+        }
+      }
+    }
+  });
+
+  return options;
+}
+
+export function placementAt(puzzle, row, col, preferredDirection = "across") {
+  const matches = puzzle.placements
+    .map((placement, index) => ({ placement, index }))
+    .filter(({ placement }) => wordCells(placement).some((cell) => cell.row === row && cell.col === col));
+  return (
+    matches.find(({ placement }) => placement.direction === preferredDirection)?.index ??
+    matches[0]?.index ??
+    -1
+  );
+}
+
+function getPlacement(puzzle, index) {
+  assertEditable(puzzle);
+  const placement = puzzle.placements[index];
+  if (!placement) {
+    throw new Error("Pick a word in the grid first.");
+  }
+  return placement;
+}
+
+function assertEditable(puzzle) {
+  if (puzzle?.style === "blocks") {
+    throw new Error("Classic block grids can't be edited by hand.");
+  }
+  if (!puzzle?.placements?.length) {
+    throw new Error("Generate a crossword before editing it.");
+  }
+}
+
+function withPlacements(puzzle, placements) {
+  const layout = rebuildLayout(placements);
+  const next = {
+    ...puzzle,
+    ...layout,
+    rows: layout.grid.length,
+    cols: layout.grid[0]?.length || 0,
+    edited: true,
+  };
+  const preset = puzzle.scoreBreakdown?.preset;
+  if (preset && SCORING_PRESETS[preset]) {
+    next.scoreBreakdown = evaluateLayout(layout, resolveScoring(preset));
+  } else {
+    delete next.scoreBreakdown;
+  }
+  return next;
+}
+
+function countCrossings(placements, word, option) {
+  const occupied = new Set(placements.flatMap((placement) => wordCells(placement).map(cellKey)));
+  return wordCells({ word, ...option }).filter((cell) => occupied.has(cellKey(cell))).length;
+}
+
+function isConnected(placements) {
+  const owners = new Map();
+  placements.forEach((placement, index) => {
+    wordCells(placement).forEach((cell) => {
+      const key = cellKey(cell);
+      owners.set(key, [...(owners.get(key) || []), index]);
+    });
+  });
+
+  const seen = new Set([0]);
+  const queue = [0];
+  while (queue.length) {
+    const index = queue.pop();
+    wordCells(placements[index]).forEach((cell) => {
+      owners.get(cellKey(cell)).forEach((other) => {
+        if (seen.has(other)) return;
+        seen.add(other);
+        queue.push(other);
+      });
+    });
+  }
+  return seen.size === placements.length;
+}
+
+function cellKey({ row, col }) {
+  return `${row}:${col}`;
+}
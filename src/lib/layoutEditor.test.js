@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import { helloPuzzle } from '../test/fixtures';
+import { addWord, findPlacements, flipWord, moveWord, placementAt, removeWord } from './layoutEditor';
+
+function makePuzzle(overrides = {}) {
+  return helloPuzzle({
+    unplaced: [{ word: 'NEW', clue: 'Fresh', originalIndex: 3 }],
+    scoreBreakdown: { preset: 'balanced' },
+    ...overrides,
+  });
+}
+
+function find(puzzle, word) {
+  return puzzle.placements.find((placement) => placement.word === word);
+}
+
+describe('layout editor', () => {
+  it('should remove a word and renumber the clues', () => {
+    const edited = removeWord(makePuzzle(), 2);
+
+    expect(edited.placements.map((placement) => placement.word)).toEqual(['HELLO', 'EAGLE']);
+    expect(edited.grid[1]).toEqual([null, 'A', null, null, null]);
+    expect(edited.downClues).toEqual([{ number: 2, clue: 'Bird of prey', answerLength: 5 }]);
+    expect(edited.edited).toBe(true);
+  });
+
+  it('should keep a removed word so it can be added back', () => {
+    const edited = removeWord(makePuzzle(), 2);
+    const lemon = { word: 'LEMON', clue: 'Sour fruit', originalIndex: 2 };
+    expect(edited.unplaced).toEqual([{ word: 'NEW', clue: 'Fresh', originalIndex: 3 }, lemon]);
+
+    const restored = addWord(edited, edited.unplaced[1]);
+    expect(find(restored, 'LEMON')).toMatchObject({ entryIndex: 2 });
+    expect(restored.unplaced).toEqual([{ word: 'NEW', clue: 'Fresh', originalIndex: 3 }]);
+  });
+
+  it('should refuse to remove a word that holds the grid together', () => {
+    expect(() => removeWord(makePuzzle(), 0)).toThrow('Removing HELLO would split the grid in two.');
+  });
+
+  it('should move a word to another crossing and shift the grid to fit', () => {
+    const edited = moveWord(makePuzzle(), 2, { row: -3, col: 4, direction: 'down' });
+
+    expect(find(edited, 'LEMON')).toMatchObject({ row: 0, col: 4, direction: 'down' });
+    expect(find(edited, 'HELLO')).toMatchObject({ row: 3, col: 0 });
+    expect(edited.rows).toBe(8);
+    expect(edited.grid[3].join('')).toBe('HELLO');
+  });
+
+  it('should apply the placement rules to moves', () => {
+    expect(() => moveWord(makePuzzle(), 2, { row: 0, col: 2, direction: 'down' })).toThrow(
+      "LEMON doesn't fit there.",
+    );
+    expect(() => moveWord(makePuzzle(), 2, { row: 0, col: 6, direction: 'down' })).toThrow(
+      'LEMON has to cross another word.',
+    );
+  });
+
+  it('should flip a word to the nearest crossing in the other direction', () => {
+    const edited = flipWord(makePuzzle(), 2);
+
+    expect(find(edited, 'LEMON')).toMatchObject({ row: 3, col: 1, direction: 'across' });
+    expect(edited.acrossClues.map((clue) => clue.clue)).toEqual(['Greeting', 'Sour fruit']);
+  });
+
+  it('should explain when a word has nowhere to flip to', () => {
+    expect(() => flipWord(makePuzzle(), 1)).toThrow("There's no spot for EAGLE running across.");
+  });
+
+  it('should add a skipped word at its best crossing', () => {
+    const edited = addWord(makePuzzle(), { word: 'NEW', clue: 'Fresh', originalIndex: 3 });
+
+    expect(find(edited, 'NEW')).toMatchObject({ row: 4, col: 3, direction: 'across', clue: 'Fresh' });
+    expect(edited.unplaced).toEqual([]);
+    expect(edited.placements).toHaveLength(4);
+  });
+
+  it('should add a word where it was dropped', () => {
+    const edited = addWord(makePuzzle(), { word: 'new', clue: 'Fresh' }, { row: 4, col: 3, direction: 'across' });
+
+    expect(find(edited, 'NEW')).toMatchObject({ row: 4, col: 3, direction: 'across' });
+    expect(edited.unplaced).toHaveLength(1);
+    expect(edited.numbersMap[4][3]).toBe(4);
+  });
+
+  it('should not add a word that is already in the grid', () => {
+    expect(() => addWord(makePuzzle(), { word: 'lemon', clue: 'Yellow citrus' })).toThrow(
+      'LEMON is already in the grid.',
+    );
+  });
+
+  it('should rescore edited layouts with the original layout goal', () => {
+    const edited = removeWord(makePuzzle(), 2);
+    expect(edited.scoreBreakdown).toMatchObject({ preset: 'balanced', metrics: { intersections: 1 } });
+
+    const unscored = removeWord(makePuzzle({ scoreBreakdown: undefined }), 2);
+    expect(unscored).not.toHaveProperty('scoreBreakdown');
+  });
+
+  it('should list legal crossings for a word', () => {
+    const options = findPlacements(makePuzzle(), 'LEMON', { ignoreIndex: 2, direction: 'across' });
+    expect(options).toContainEqual({ row: 3, col: 1, direction: 'across', crossings: 1 });
+    expect(options.every((option) => option.direction === 'across')).toBe(true);
+  });
+
+  it('should find the word under a cell, preferring the given direction', () => {
+    const puzzle = makePuzzle();
+    expect(placementAt(puzzle, 0, 1)).toBe(0);
+    expect(placementAt(puzzle, 0, 1, 'down')).toBe(1);
+    expect(placementAt(puzzle, 2, 2)).toBe(-1);
+  });
+
+  it('should not edit classic block grids', () => {
+    expect(() => removeWord(makePuzzle({ style: 'blocks' }), 2)).toThrow("Classic block grids can't be edited by hand.");
+  });
+});
@@ -0,0 +1,109 @@
+export const DEFAULT_SCORING = "balanced";
+
+export const SCORING_PRESETS = {
+  balanced: {
+    label: "Balanced",
+    description: "Dense grids with a bonus for every crossing.",
+    targetScore: 0.85,
+    score: (metrics) => metrics.coverage + metrics.intersections * 0.02,
+  },
+  compact: {
+    label: "Most compact",
+    description: "Fill as much of the bounding box as possible.",
+    targetScore: 0.6,
+    score: (metrics) => metrics.coverage,
+  },
+  intersections: {
+    label: "Most intersections",
+    description: "Cross as many words as possible.",
+    targetScore: Infinity,
+    score: (metrics) => metrics.crossingsPerWord + metrics.coverage * 0.01,
+  },
+  square: {
+    label: "Square shape",
+    description: "Keep width and height close together.",
+    targetScore: 1,
+    score: (metrics) => metrics.squareness + metrics.coverage * 0.1,
+  },
+  "fewest-two-letter": {
+    label: "Fewest two-letter crossings",
+    description: "Avoid crossings that hang on a two-letter word.",
+    targetScore: 1.5,
+    score: (metrics) => 1 - metrics.twoLetterCrossingRatio + metrics.coverage,
+  },
+};
+
+export function resolveScoring(scoring = DEFAULT_SCORING) {
+  if (typeof scoring === "function") {
+    return { id: "custom", label: "Custom", targetScore: Infinity, score: scoring };
+  }
+
+  if (scoring && typeof scoring === "object") {
+    if (typeof scoring.score !== "function") {
+      throw new Error("Custom scoring strategies need a score(metrics, layout) function.");
+    }
+    return {
+      id: scoring.id ?? "custom",
+      label: scoring.label ?? "Custom",
+      targetScore: scoring.targetScore ?? Infinity,
+      score: scoring.score,
+    };
+  }
+
+  const preset = SCORING_PRESETS[scoring];
+  if (!preset) {
+    throw new Error(`Unknown layout goal "${scoring}".`);
+  }
+  return { id: scoring, ...preset };
+}
+
+export function measureLayout(layout) {
+  const rows = layout.grid.length;
+  const cols = layout.grid[0]?.length || 0;
+  const cells = rows * cols;
+  const filled = layout.grid.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+  const crossings = findCrossings(layout.placements);
+  const twoLetterCrossings = crossings.filter((crossing) =>
+    crossing.some((placement) => placement.word.length === 2),
+  ).length;
+  const wordCount = layout.placements.length;
+
+  return {
+    rows,
+    cols,
+    filled,
+    coverage: cells ? filled / cells : 0,
+    intersections: crossings.length,
+    crossingsPerWord: wordCount ? crossings.length / wordCount : 0,
+    squareness: cells ? Math.min(rows, cols) / Math.max(rows, cols) : 0,
+    twoLetterCrossings,
+    twoLetterCrossingRatio: crossings.length ? twoLetterCrossings / crossings.length : 0,
+  };
+}
+
+export function evaluateLayout(layout, strategy) {
+  const metrics = measureLayout(layout);
+  return {
+    preset: strategy.id,
+    label: strategy.label,
+    total: strategy.score(metrics, layout),
+    metrics,
+  };
+}
+
+function findCrossings(placements) {
+  const cells = new Map();
+
+  placements.forEach((placement) => {
+    const deltaRow = placement.direction === "down" ? 1 : 0;
+    const deltaCol = placement.direction === "across" ? 1 : 0;
+    for (let i = 0; i < placement.word.length; i += 1) {
+      const key = `${placement.row + deltaRow * i}:${placement.col + deltaCol * i}`;
+      const list = cells.get(key) || [];
+      list.push(placement);
+      cells.set(key, list);
+    }
+  });
+
+  return [...cells.values()].filter((list) => list.length > 1);
+}
@@ -0,0 +1,94 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createPuzzle } from './crossword';
+import { evaluateLayout, measureLayout, resolveScoring, SCORING_PRESETS } from './layoutScoring';
+
+// C A T
+// . . O
+// . . E
+const layout = {
+  grid: [
+    ['C', 'A', 'T'],
+    [null, null, 'O'],
+    [null, null, 'E'],
+  ],
+  placements: [
+    { word: 'CAT', row: 0, col: 0, direction: 'across' },
+    { word: 'TOE', row: 0, col: 2, direction: 'down' },
+  ],
+};
+
+const entries = Array.from({ length: 10 }, (_, i) => ({
+  word: `TEST${i}`,
+  clue: `Clue ${i}`,
+  originalIndex: i,
+}));
+
+describe('measureLayout', () => {
+  it('should report coverage, crossings and shape', () => {
+    expect(measureLayout(layout)).toEqual({
+      rows: 3,
+      cols: 3,
+      filled: 5,
+      coverage: 5 / 9,
+      intersections: 1,
+      crossingsPerWord: 0.5,
+      squareness: 1,
+      twoLetterCrossings: 0,
+      twoLetterCrossingRatio: 0,
+    });
+  });
+
+  it('should count crossings that hang on two-letter words', () => {
+    const withShortWord = {
+      grid: [
+        ['A', 'T'],
+        [null, 'O'],
+      ],
+      placements: [
+        { word: 'AT', row: 0, col: 0, direction: 'across' },
+        { word: 'TO', row: 0, col: 1, direction: 'down' },
+      ],
+    };
+    expect(measureLayout(withShortWord).twoLetterCrossings).toBe(1);
+    expect(measureLayout(withShortWord).twoLetterCrossingRatio).toBe(1);
+  });
+});
+
+describe('resolveScoring', () => {
+  it('should resolve every preset by id', () => {
+    Object.keys(SCORING_PRESETS).forEach((id) => {
+      const strategy = resolveScoring(id);
+      expect(strategy.id).toBe(id);
+      expect(typeof strategy.score).toBe('function');
+    });
+  });
+
+  it('should keep the legacy balanced score as the default', () => {
+    const breakdown = evaluateLayout(layout, resolveScoring());
+    expect(breakdown.preset).toBe('balanced');
+    expect(breakdown.total).toBeCloseTo(5 / 9 + 0.02);
+  });
+
+  it('should reject unknown presets', () => {
+    expect(() => resolveScoring('prettiest')).toThrow(/Unknown layout goal/);
+  });
+});
+
+describe('createPuzzle scoring', () => {
+  it('should report the per-metric breakdown of the chosen preset', () => {
+    const puzzle = createPuzzle(entries, 6, { seed: 8, scoring: 'square' });
+    expect(puzzle.scoreBreakdown.preset).toBe('square');
+    expect(puzzle.scoreBreakdown.metrics.rows).toBe(puzzle.rows);
+    expect(puzzle.scoreBreakdown.total).toBeCloseTo(
+      puzzle.scoreBreakdown.metrics.squareness + puzzle.scoreBreakdown.metrics.coverage * 0.1,
+    );
+  });
+
+  it('should accept a custom scoring function', () => {
+    const score = vi.fn((metrics) => -metrics.rows);
+    const puzzle = createPuzzle(entries, 6, { seed: 8, scoring: score });
+    expect(score).toHaveBeenCalled();
+    expect(puzzle.scoreBreakdown.preset).toBe('custom');
+    expect(puzzle.scoreBreakdown.total).toBe(-puzzle.rows);
+  });
+});
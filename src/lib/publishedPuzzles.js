@@ -0,0 +1,84 @@
+import { assignNumbers } from "./crossword";
+
+// Published puzzles live in the public `puzzles` collection. Firestore can't store nested
+// arrays, so grid rows are strings ("." for black squares) and words are maps. When answers are
+// hidden every letter in the public grid becomes "?", and the real rows go to an owner-only
+// `puzzles/{id}/private/answers` document.
+export const PUBLISHED_VERSION = 1;
+export const MAX_TITLE_LENGTH = 80;
+export const MAX_AUTHOR_LENGTH = 60;
+export const HIDDEN_LETTER = "?";
+
+const BLANK = ".";
+const PUBLISHED_PATH = /^\/p\/([A-Za-z0-9]{1,40})\/?$/;
+
+export function toPublishedDocument(puzzle, { ownerId, title, authorName, hideAnswers = false }) {
+  const trimmedTitle = (title ?? "").trim();
+  if (!trimmedTitle) {
+    throw new Error("Give the puzzle a title before publishing.");
+  }
+  if (trimmedTitle.length > MAX_TITLE_LENGTH) {
+    throw new Error(`Keep the title under ${MAX_TITLE_LENGTH} characters.`);
+  }
+
+  const rows = puzzle.grid.map((row) => row.map((letter) => letter || BLANK).join(""));
+  const document = {
+    version: PUBLISHED_VERSION,
+    ownerId,
+    title: trimmedTitle,
+    authorName: (authorName ?? "").trim().slice(0, MAX_AUTHOR_LENGTH) || "Anonymous",
+    hideAnswers: Boolean(hideAnswers),
+    style: puzzle.style === "blocks" ? "blocks" : "freeform",
+    rows: rows.length,
+    cols: rows[0]?.length || 0,
+    grid: hideAnswers ? rows.map((row) => row.replace(/[A-Z]/g, HIDDEN_LETTER)) : rows,
+    words: puzzle.placements.map(({ row, col, direction, word, clue }) => ({
+      row,
+      col,
+      direction,
+      length: word.length,
+      clue: clue ?? "",
+    })),
+  };
+  return { document, answers: hideAnswers ? { ownerId, grid: rows } : null };
+}
+
+// Rebuilds a solvable puzzle from a published document. `answers` is the private answers
+// document, which only the owner can read.
+export function fromPublishedDocument(data, answers = null) {
+  const rows = answers?.grid || data.grid;
+  const grid = rows.map((row) => Array.from(row, (letter) => (letter === BLANK ? null : letter)));
+  const placements = data.words.map(({ row, col, direction, length, clue }, entryIndex) => ({
+    word: Array.from({ length }, (_, i) =>
+      direction === "across" ? grid[row][col + i] : grid[row + i][col],
+    ).join(""),
+    clue,
+    row,
+    col,
+    direction,
+    entryIndex,
+  }));
+  const numbering = assignNumbers(grid, placements);
+
+  return {
+    grid,
+    placements: numbering.placements,
+    numbersMap: numbering.numbersMap,
+    acrossClues: numbering.acrossClues,
+    downClues: numbering.downClues,
+    style: data.style === "blocks" ? "blocks" : "freeform",
+    requestedCount: placements.length,
+    rows: grid.length,
+    cols: grid[0]?.length || 0,
+    answersHidden: rows.some((row) => row.includes(HIDDEN_LETTER)),
+  };
+}
+
+// The puzzle ID in a `/p/:id` path, or null for any other path.
+export function publishedPuzzleId(pathname) {
+  return PUBLISHED_PATH.exec(pathname ?? "")?.[1] ?? null;
+}
+
+export function publishedPuzzleUrl(id, location = window.location) {
+  return `${location.origin}/p/${id}`;
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import { helloPuzzle } from '../test/fixtures';
+import {
+  fromPublishedDocument,
+  publishedPuzzleId,
+  publishedPuzzleUrl,
+  toPublishedDocument,
+} from './publishedPuzzles';
+
+describe('published puzzles', () => {
+  it('should store grid rows as strings and rebuild the same puzzle', () => {
+    const puzzle = helloPuzzle();
+    const { document, answers } = toPublishedDocument(puzzle, {
+      ownerId: 'alice',
+      title: '  Fruit and birds ',
+      authorName: 'Alice',
+    });
+
+    expect(document).toMatchObject({
+      version: 1,
+      ownerId: 'alice',
+      title: 'Fruit and birds',
+      authorName: 'Alice',
+      hideAnswers: false,
+      rows: 5,
+      cols: 5,
+    });
+    expect(document.grid[1]).toBe('.A.E.');
+    expect(document.words[0]).toEqual({ row: 0, col: 0, direction: 'across', length: 5, clue: 'Greeting' });
+    expect(answers).toBeNull();
+
+    const rebuilt = fromPublishedDocument(document);
+    expect(rebuilt.grid).toEqual(puzzle.grid);
+    expect(rebuilt.numbersMap).toEqual(puzzle.numbersMap);
+    expect(rebuilt.downClues).toEqual(puzzle.downClues);
+    expect(rebuilt.answersHidden).toBe(false);
+  });
+
+  it('should keep hidden answers out of the public document', () => {
+    const puzzle = helloPuzzle();
+    const { document, answers } = toPublishedDocument(puzzle, { ownerId: 'alice', title: 'Secret', hideAnswers: true });
+
+    expect(document.grid[0]).toBe('?????');
+    expect(document.authorName).toBe('Anonymous');
+    expect(answers).toEqual({ ownerId: 'alice', grid: ['HELLO', '.A.E.', '.G.M.', '.L.O.', '.E.N.'] });
+
+    const forSolvers = fromPublishedDocument(document);
+    expect(forSolvers.answersHidden).toBe(true);
+    expect(forSolvers.placements[0].word).toBe('?????');
+    expect(forSolvers.acrossClues).toEqual(puzzle.acrossClues);
+
+    const forOwner = fromPublishedDocument(document, answers);
+    expect(forOwner.answersHidden).toBe(false);
+    expect(forOwner.grid).toEqual(puzzle.grid);
+  });
+
+  it('should require a short title', () => {
+    expect(() => toPublishedDocument(helloPuzzle(), { ownerId: 'alice', title: '  ' })).toThrow('title');
+    expect(() => toPublishedDocument(helloPuzzle(), { ownerId: 'alice', title: 'x'.repeat(81) })).toThrow(
+      'under 80 characters',
+    );
+  });
+
+  it('should read puzzle IDs from /p/:id paths', () => {
+    expect(publishedPuzzleId('/p/abc123XYZ')).toBe('abc123XYZ');
+    expect(publishedPuzzleId('/p/abc123XYZ/')).toBe('abc123XYZ');
+    expect(publishedPuzzleId('/')).toBeNull();
+    expect(publishedPuzzleId('/p/')).toBeNull();
+    expect(publishedPuzzleId('/p/a/b')).toBeNull();
+    expect(publishedPuzzleUrl('abc', { origin: 'https://example.com' })).toBe('https://example.com/p/abc');
+  });
+});
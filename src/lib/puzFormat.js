@@ -0,0 +1,382 @@
+import { assignNumbers, gridWords, placementsInGridOrder } from "./crossword";
+import { HIDDEN_LETTER } from "./publishedPuzzles";
+
+// Across Lite .puz files: a 52-byte header, the solution and player grids (one byte per
+// square, "." for black), then NUL-terminated strings (title, author, copyright, one clue per
+// word, notes) and optional extension sections. Clues come in reading order, across before
+// down for a square that starts both. Everything is little-endian.
+const MAGIC = "ACROSS&DOWN";
+const HEADER_LENGTH = 0x34;
+const MASK = "ICHEATED";
+const BLACK = ".".charCodeAt(0);
+const SCRAMBLED = 0x0004;
+const CIRCLED = 0x80;
+
+const DAMAGED_FILE = "This .puz file is damaged or isn't an Across Lite puzzle.";
+
+// Across Lite's rolling checksum.
+export function puzChecksum(bytes, start = 0) {
+  let sum = start;
+  for (const byte of bytes) {
+    sum = sum & 1 ? (sum >> 1) + 0x8000 : sum >> 1;
+    sum = (sum + byte) & 0xffff;
+  }
+  return sum;
+}
+
+// Reads a .puz file into the app's puzzle structure. Rebus squares keep their first letter in
+// the grid, which is what Across Lite accepts too, with the full answer in `rebus`.
+export function parsePuz(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const reader = createReader(bytes);
+  const header = readHeader(reader, bytes);
+  const { width, height, clueCount } = header;
+  const cells = width * height;
+
+  const solution = reader.bytes(cells);
+  const state = reader.bytes(cells);
+  const codec = textCodec(Number.parseFloat(header.version) >= 2 ? "utf-8" : "windows-1252");
+  const readString = () => codec.decode(reader.string());
+  const title = readString();
+  const author = readString();
+  const copyright = readString();
+  const clues = Array.from({ length: clueCount }, readString);
+  const notes = reader.done() ? "" : readString();
+  const extensions = readExtensions(reader);
+
+  verifyChecksums(header, { solution, state, codec, title, author, copyright, clues, notes });
+
+  const scrambled = (header.scrambledTag & SCRAMBLED) !== 0;
+  const grid = Array.from({ length: height }, (_, row) =>
+    Array.from({ length: width }, (_, col) => {
+      const byte = solution[row * width + col];
+      if (byte === BLACK) return null;
+      return scrambled ? HIDDEN_LETTER : String.fromCharCode(byte).toUpperCase();
+    }),
+  );
+  const placements = placementsFromGrid(grid, clues);
+  const numbering = assignNumbers(grid, placements);
+
+  return {
+    grid,
+    placements: numbering.placements,
+    numbersMap: numbering.numbersMap,
+    acrossClues: numbering.acrossClues,
+    downClues: numbering.downClues,
+    style: "blocks",
+    format: "puz",
+    requestedCount: placements.length,
+    rows: height,
+    cols: width,
+    title,
+    author,
+    copyright,
+    notes,
+    rebus: readRebus(extensions, width, cells),
+    circles: readCircles(extensions, width, cells),
+    answersHidden: scrambled,
+  };
+}
+
+// Writes a puzzle as a .puz file. Empty grid squares become black squares, and files are
+// version 1.3 (windows-1252) unless some text needs UTF-8, which takes version 2.0.
+export function writePuz(puzzle) {
+  const { grid } = puzzle;
+  const height = grid.length;
+  const width = grid[0]?.length || 0;
+  if (puzzle.answersHidden) {
+    throw new Error("Puzzles with hidden answers can't be exported.");
+  }
+  if (!width || width > 0xff || height > 0xff) {
+    throw new Error("This grid is too large for a .puz file.");
+  }
+  const placements = placementsInGridOrder(grid, puzzle.placements);
+  if (!placements) {
+    throw new Error("Some words in this layout run into each other, which .puz files can't show. Try .ipuz instead.");
+  }
+
+  const strings = {
+    title: puzzle.title || "Crossword Puzzle",
+    author: puzzle.author || "",
+    copyright: puzzle.copyright || "",
+    clues: placements.map((placement) => placement.clue || ""),
+    notes: puzzle.notes || "",
+  };
+  const texts = [strings.title, strings.author, strings.copyright, ...strings.clues, strings.notes];
+  const legacy = texts.every(fitsWindows1252);
+  const { encode } = textCodec(legacy ? "windows-1252" : "utf-8");
+  const version = legacy ? "1.3" : "2.0";
+
+  const squares = grid.flat();
+  const solution = Uint8Array.from(squares, (letter) => (letter ? letter.toUpperCase().charCodeAt(0) : BLACK));
+  const state = Uint8Array.from(squares, (letter) => (letter ? "-".charCodeAt(0) : BLACK));
+  const cib = Uint8Array.of(width, height, placements.length & 0xff, placements.length >> 8, 1, 0, 0, 0);
+  const sums = computeChecksums({ cib, solution, state, strings, version, encode });
+
+  const header = new Uint8Array(HEADER_LENGTH);
+  const view = new DataView(header.buffer);
+  view.setUint16(0, sums.file, true);
+  header.set(encode(`${MAGIC}\0`), 0x02);
+  view.setUint16(0x0e, sums.cib, true);
+  header.set(sums.maskedLow, 0x10);
+  header.set(sums.maskedHigh, 0x14);
+  header.set(encode(`${version}\0`), 0x18);
+  header.set(cib, 0x2c);
+
+  return concatBytes([
+    header,
+    solution,
+    state,
+    ...texts.map((text) => encode(`${text}\0`)),
+    ...writeExtensions(puzzle, width, squares.length),
+  ]);
+}
+
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return bytes;
+}
+
+function writeExtensions(puzzle, width, cells) {
+  const sections = [];
+  const indexOf = (key) => {
+    const [row, col] = key.split("-").map(Number);
+    return row * width + col;
+  };
+
+  const rebus = Object.entries(puzzle.rebus || {});
+  if (rebus.length > 0) {
+    const answers = [...new Set(rebus.map(([, answer]) => answer.toUpperCase()))];
+    const squares = new Uint8Array(cells);
+    rebus.forEach(([key, answer]) => {
+      squares[indexOf(key)] = answers.indexOf(answer.toUpperCase()) + 1;
+    });
+    const table = answers.map((answer, i) => `${String(i).padStart(2, " ")}:${answer};`).join("");
+    sections.push(extensionSection("GRBS", squares), extensionSection("RTBL", WINDOWS_1252.encode(table)));
+  }
+
+  if (puzzle.circles?.length) {
+    const flags = new Uint8Array(cells);
+    puzzle.circles.forEach((key) => {
+      flags[indexOf(key)] |= CIRCLED;
+    });
+    sections.push(extensionSection("GEXT", flags));
+  }
+  return sections;
+}
+
+function extensionSection(name, data) {
+  const head = new Uint8Array(8);
+  head.set(WINDOWS_1252.encode(name));
+  const view = new DataView(head.buffer);
+  view.setUint16(4, data.length, true);
+  view.setUint16(6, puzChecksum(data), true);
+  return concatBytes([head, data, Uint8Array.of(0)]);
+}
+
+function createReader(bytes) {
+  let offset = 0;
+  const take = (length) => {
+    if (offset + length > bytes.length) {
+      throw new Error(DAMAGED_FILE);
+    }
+    const slice = bytes.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+  return {
+    bytes: take,
+    uint16: () => {
+      const [low, high] = take(2);
+      return low | (high << 8);
+    },
+    // Up to the next NUL, which is skipped.
+    string: () => {
+      const end = bytes.indexOf(0, offset);
+      if (end === -1) {
+        throw new Error(DAMAGED_FILE);
+      }
+      const value = bytes.subarray(offset, end);
+      offset = end + 1;
+      return value;
+    },
+    remaining: () => bytes.length - offset,
+    done: () => offset >= bytes.length,
+  };
+}
+
+function readHeader(reader, bytes) {
+  // Some files carry a preamble before the header, so look for the magic string.
+  const magicAt = findMagic(bytes);
+  if (magicAt < 2) {
+    throw new Error(DAMAGED_FILE);
+  }
+  const start = magicAt - 2;
+  reader.bytes(start);
+  const header = { fileChecksum: reader.uint16() };
+  reader.bytes(MAGIC.length + 1);
+  header.cibChecksum = reader.uint16();
+  header.maskedLow = reader.bytes(4);
+  header.maskedHigh = reader.bytes(4);
+  header.version = WINDOWS_1252.decode(reader.bytes(4)).replace(/\0.*$/, "");
+  reader.bytes(2);
+  header.scrambledChecksum = reader.uint16();
+  reader.bytes(12);
+  header.cib = bytes.subarray(start + 0x2c, start + HEADER_LENGTH);
+  header.width = reader.bytes(1)[0];
+  header.height = reader.bytes(1)[0];
+  header.clueCount = reader.uint16();
+  header.puzzleType = reader.uint16();
+  header.scrambledTag = reader.uint16();
+  if (!header.width || !header.height) {
+    throw new Error(DAMAGED_FILE);
+  }
+  return header;
+}
+
+function findMagic(bytes) {
+  const magic = Array.from(MAGIC, (char) => char.charCodeAt(0));
+  for (let i = 0; i + magic.length < bytes.length; i += 1) {
+    if (magic.every((byte, j) => bytes[i + j] === byte) && bytes[i + magic.length] === 0) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+function verifyChecksums(header, { solution, state, codec, title, author, copyright, clues, notes }) {
+  const expected = computeChecksums({
+    cib: header.cib,
+    solution,
+    state,
+    strings: { title, author, copyright, clues, notes },
+    version: header.version,
+    encode: codec.encode,
+  });
+  const matches = (actual, sums) => sums.every((sum, i) => actual[i] === sum);
+  if (
+    expected.cib !== header.cibChecksum ||
+    expected.file !== header.fileChecksum ||
+    !matches(header.maskedLow, expected.maskedLow) ||
+    !matches(header.maskedHigh, expected.maskedHigh)
+  ) {
+    throw new Error("This .puz file failed its checksums, so it may be corrupted.");
+  }
+}
+
+// The file checksum runs over the CIB (the 8 bytes from the width on), both grids and the
+// strings; the masked ones are the same four parts XORed with "ICHEATED".
+function computeChecksums({ cib, solution, state, strings, version, encode }) {
+  const { title, author, copyright, clues, notes } = strings;
+  const textChecksum = (start) => {
+    let sum = start;
+    [title, author, copyright].forEach((text) => {
+      if (text) sum = puzChecksum(encode(`${text}\0`), sum);
+    });
+    clues.forEach((clue) => {
+      if (clue) sum = puzChecksum(encode(clue), sum);
+    });
+    if (notes && Number.parseFloat(version) >= 1.3) {
+      sum = puzChecksum(encode(`${notes}\0`), sum);
+    }
+    return sum;
+  };
+
+  const cibSum = puzChecksum(cib);
+  const parts = [cibSum, puzChecksum(solution), puzChecksum(state), textChecksum(0)];
+  return {
+    cib: cibSum,
+    file: textChecksum(puzChecksum(state, puzChecksum(solution, cibSum))),
+    maskedLow: parts.map((sum, i) => MASK.charCodeAt(i) ^ (sum & 0xff)),
+    maskedHigh: parts.map((sum, i) => MASK.charCodeAt(i + 4) ^ (sum >> 8)),
+  };
+}
+
+// Version 2.0 files are UTF-8 and older ones windows-1252. Its 0x80-0x9F range is spelled out
+// because not every runtime's TextDecoder maps it (Node 20 decodes it as Latin-1).
+const WINDOWS_1252_HIGH = "€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008dŽ\u008f\u0090‘’“”•–—˜™š›œ\u009džŸ";
+
+function textCodec(encoding) {
+  if (encoding === "utf-8") {
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+    return { encode: (text) => encoder.encode(text), decode: (bytes) => decoder.decode(bytes) };
+  }
+  return {
+    encode: (text) =>
+      Uint8Array.from(text, (char) => {
+        const high = WINDOWS_1252_HIGH.indexOf(char);
+        return high === -1 ? char.charCodeAt(0) : 0x80 + high;
+      }),
+    decode: (bytes) =>
+      Array.from(bytes, (byte) =>
+        byte >= 0x80 && byte < 0xa0 ? WINDOWS_1252_HIGH[byte - 0x80] : String.fromCharCode(byte),
+      ).join(""),
+  };
+}
+
+const WINDOWS_1252 = textCodec("windows-1252");
+
+function fitsWindows1252(text) {
+  return WINDOWS_1252.decode(WINDOWS_1252.encode(text)) === text;
+}
+
+function readExtensions(reader) {
+  const extensions = {};
+  while (reader.remaining() >= 8) {
+    const name = WINDOWS_1252.decode(reader.bytes(4));
+    const length = reader.uint16();
+    const checksum = reader.uint16();
+    const data = reader.bytes(length);
+    if (!reader.done()) reader.bytes(1);
+    if (puzChecksum(data) !== checksum) {
+      throw new Error(`The ${name} section of this .puz file failed its checksum.`);
+    }
+    extensions[name] = data;
+  }
+  return extensions;
+}
+
+// GRBS marks each rebus square with 1 + its key in RTBL, which reads like " 1:SUN; 2:MOON;".
+function readRebus(extensions, width, cells) {
+  const squares = extensions.GRBS;
+  if (!squares || squares.length !== cells || !extensions.RTBL) return {};
+  const table = Object.fromEntries(
+    WINDOWS_1252.decode(extensions.RTBL)
+      .split(";")
+      .map((entry) => entry.split(":"))
+      .filter((pair) => pair.length === 2)
+      .map(([key, answer]) => [Number(key.trim()), answer.toUpperCase()]),
+  );
+  const rebus = {};
+  squares.forEach((value, index) => {
+    if (value && table[value - 1]) {
+      rebus[`${Math.floor(index / width)}-${index % width}`] = table[value - 1];
+    }
+  });
+  return rebus;
+}
+
+function readCircles(extensions, width, cells) {
+  const flags = extensions.GEXT;
+  if (!flags || flags.length !== cells) return [];
+  const circles = [];
+  flags.forEach((value, index) => {
+    if (value & CIRCLED) circles.push(`${Math.floor(index / width)}-${index % width}`);
+  });
+  return circles;
+}
+
+// Clues are handed out in the order the file lists them.
+function placementsFromGrid(grid, clues) {
+  const words = gridWords(grid);
+  if (words.length !== clues.length) {
+    throw new Error(`This .puz file has ${clues.length} clues for ${words.length} words.`);
+  }
+  return words.map((word, entryIndex) => ({ ...word, clue: clues[entryIndex], entryIndex }));
+}
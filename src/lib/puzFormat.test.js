@@ -0,0 +1,148 @@
+import { describe, expect, it } from 'vitest';
+import { helloPuzzle } from '../test/fixtures';
+import { parsePuz, puzChecksum, writePuz } from './puzFormat';
+
+// A 4x4 Across Lite 1.3 file with a rebus square (SUN at 3-3), two circles and a Latin-1
+// copyright line:
+// S T A R
+// H . . E
+// E . . D
+// D O T S
+const FIXTURE =
+  'vmJBQ1JPU1MmRE9XTgAAWEl9iFsZ+EmeMS4zAAAAAAAAAAAAAAAAAAAAAAAEBAQAAQAAAFNUQVJILi5FRS4uRERPVFMtLS0tLS4uLS0uLi0tLS0tVGlueSBUZXN0AEFkYSBMb3ZlbGFjZQCpIDIwMjYAU2hpbmluZyBsaWdodABHYXJkZW4gYnVpbGRpbmcAU29tZSB3aW5lcwBTbWFsbCBzcG90cwBIYW5kLW1hZGUgZml4dHVyZQBHUkJTEAACAAAAAAAAAAAAAAAAAAAAAAIAUlRCTAcAh0ggMTpTVU47AEdFWFQQAEACAIAAAAAAAAAAAAAAAACAAAA=';
+
+function fixtureBytes() {
+  return Uint8Array.from(atob(FIXTURE), (char) => char.charCodeAt(0));
+}
+
+describe('Across Lite .puz import', () => {
+  it('should read the grid, clues and numbering into a solvable puzzle', () => {
+    const puzzle = parsePuz(fixtureBytes().buffer);
+
+    expect(puzzle.grid).toEqual([
+      ['S', 'T', 'A', 'R'],
+      ['H', null, null, 'E'],
+      ['E', null, null, 'D'],
+      ['D', 'O', 'T', 'S'],
+    ]);
+    expect(puzzle.numbersMap[0]).toEqual([1, null, null, 2]);
+    expect(puzzle.numbersMap[3][0]).toBe(3);
+    expect(puzzle.acrossClues).toEqual([
+      { number: 1, clue: 'Shining light', answerLength: 4 },
+      { number: 3, clue: 'Small spots', answerLength: 4 },
+    ]);
+    expect(puzzle.downClues).toEqual([
+      { number: 1, clue: 'Garden building', answerLength: 4 },
+      { number: 2, clue: 'Some wines', answerLength: 4 },
+    ]);
+    expect(puzzle.placements.map(({ word, number, direction }) => `${number}${direction[0]} ${word}`)).toEqual([
+      '1a STAR',
+      '1d SHED',
+      '2d REDS',
+      '3a DOTS',
+    ]);
+    expect(puzzle).toMatchObject({ style: 'blocks', format: 'puz', rows: 4, cols: 4, answersHidden: false });
+  });
+
+  it('should read the text fields and the rebus and circle extensions', () => {
+    const puzzle = parsePuz(fixtureBytes());
+
+    expect(puzzle).toMatchObject({
+      title: 'Tiny Test',
+      author: 'Ada Lovelace',
+      copyright: '© 2026',
+      notes: 'Hand-made fixture',
+    });
+    expect(puzzle.rebus).toEqual({ '3-3': 'SUN' });
+    expect(puzzle.circles).toEqual(['0-1', '3-2']);
+  });
+
+  it('should reject files whose contents no longer match their checksums', () => {
+    const bytes = fixtureBytes();
+    const clueAt = bytes.indexOf('S'.charCodeAt(0), 0x34 + 32 + 20);
+    bytes[clueAt] = 'Z'.charCodeAt(0);
+    expect(() => parsePuz(bytes)).toThrow(/failed its checksums/);
+
+    const extension = fixtureBytes();
+    extension[extension.length - 2] = 0x80;
+    expect(() => parsePuz(extension)).toThrow(/GEXT section/);
+  });
+
+  it('should reject files that are not Across Lite puzzles', () => {
+    expect(() => parsePuz(new TextEncoder().encode('{"entries": []}'))).toThrow("isn't an Across Lite puzzle");
+    expect(() => parsePuz(fixtureBytes().subarray(0, 60))).toThrow("isn't an Across Lite puzzle");
+  });
+
+  it('should compute the Across Lite checksum', () => {
+    expect(puzChecksum([])).toBe(0);
+    expect(puzChecksum([1, 2, 3])).toBe(0x4004);
+    expect(puzChecksum([0x04, 0x04, 0x04, 0x00, 0x01, 0x00, 0x00, 0x00])).toBe(0x5800);
+  });
+});
+
+// What has to survive a round trip: the layout, its numbering and every clue.
+function comparable(puzzle) {
+  return {
+    grid: puzzle.grid,
+    numbersMap: puzzle.numbersMap,
+    acrossClues: puzzle.acrossClues,
+    downClues: puzzle.downClues,
+    placements: puzzle.placements
+      .map(({ word, clue, number, direction, row, col }) => ({ word, clue, number, direction, row, col }))
+      .sort((a, b) => a.number - b.number || a.direction.localeCompare(b.direction)),
+  };
+}
+
+describe('Across Lite .puz export', () => {
+  it('should round-trip a freeform layout, with black squares where the grid is empty', () => {
+    const puzzle = helloPuzzle();
+    const imported = parsePuz(writePuz(puzzle));
+
+    expect(comparable(imported)).toEqual(comparable(puzzle));
+    expect(imported.title).toBe('Crossword Puzzle');
+  });
+
+  it('should keep the text fields, rebus squares and circles', () => {
+    const original = parsePuz(fixtureBytes());
+    const imported = parsePuz(writePuz(original));
+
+    expect(comparable(imported)).toEqual(comparable(original));
+    expect(imported).toMatchObject({
+      title: 'Tiny Test',
+      author: 'Ada Lovelace',
+      copyright: '© 2026',
+      notes: 'Hand-made fixture',
+      rebus: { '3-3': 'SUN' },
+      circles: ['0-1', '3-2'],
+    });
+  });
+
+  it('should write version 1.3 files and switch to 2.0 for text outside windows-1252', () => {
+    const puzzle = helloPuzzle();
+    const version = (bytes) => new TextDecoder().decode(bytes.subarray(0x18, 0x1b));
+    const legacy = writePuz({ ...puzzle, title: 'Café “quotes” €5' });
+    expect(version(legacy)).toBe('1.3');
+    expect(parsePuz(legacy).title).toBe('Café “quotes” €5');
+
+    const bytes = writePuz({ ...puzzle, title: 'Space 🚀' });
+    expect(version(bytes)).toBe('2.0');
+    expect(parsePuz(bytes).title).toBe('Space 🚀');
+  });
+
+  it('should refuse puzzles a .puz file cannot hold', () => {
+    expect(() => writePuz({ ...parsePuz(fixtureBytes()), answersHidden: true })).toThrow(/hidden answers/);
+
+    // Two stacked words make two-letter downs that have no clue.
+    const stacked = {
+      grid: [
+        ['A', 'B'],
+        ['C', 'D'],
+      ],
+      placements: [
+        { word: 'AB', clue: 'One', row: 0, col: 0, direction: 'across' },
+        { word: 'CD', clue: 'Two', row: 1, col: 0, direction: 'across' },
+      ],
+    };
+    expect(() => writePuz(stacked)).toThrow(/run into each other/);
+  });
+});
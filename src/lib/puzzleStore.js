@@ -0,0 +1,50 @@
+import { collection, deleteDoc, doc, getDoc, serverTimestamp, writeBatch } from "firebase/firestore";
+import { db } from "./firebase";
+import { fromPublishedDocument, toPublishedDocument } from "./publishedPuzzles";
+
+function answersRef(id) {
+  return doc(db, "puzzles", id, "private", "answers");
+}
+
+// Returns the new puzzle's ID, which stays the same for as long as it is published.
+export async function publishPuzzle(user, puzzle, { title, hideAnswers }) {
+  const { document, answers } = toPublishedDocument(puzzle, {
+    ownerId: user.uid,
+    title,
+    authorName: user.displayName || user.email?.split("@")[0],
+    hideAnswers,
+  });
+  const ref = doc(collection(db, "puzzles"));
+  const batch = writeBatch(db);
+  batch.set(ref, { ...document, createdAt: serverTimestamp(), updatedAt: serverTimestamp() });
+  if (answers) {
+    batch.set(answersRef(ref.id), answers);
+  }
+  await batch.commit();
+  return ref.id;
+}
+
+// Anyone can load a published puzzle. Its owner also gets the hidden answers back.
+export async function fetchPublishedPuzzle(id, userId = null) {
+  const snapshot = await getDoc(doc(db, "puzzles", id));
+  if (!snapshot.exists()) {
+    throw new Error("This puzzle has been unpublished or the link is wrong.");
+  }
+  const data = snapshot.data();
+  let answers = null;
+  if (data.hideAnswers && userId && data.ownerId === userId) {
+    const answersSnapshot = await getDoc(answersRef(id));
+    answers = answersSnapshot.exists() ? answersSnapshot.data() : null;
+  }
+  return {
+    puzzle: { ...fromPublishedDocument(data, answers), publishedId: id },
+    details: { id, title: data.title, authorName: data.authorName, ownerId: data.ownerId, hideAnswers: data.hideAnswers },
+  };
+}
+
+export async function unpublishPuzzle(id, { hideAnswers }) {
+  if (hideAnswers) {
+    await deleteDoc(answersRef(id));
+  }
+  await deleteDoc(doc(db, "puzzles", id));
+}
@@ -0,0 +1,70 @@
+import { collection, deleteDoc, doc, getDoc, onSnapshot, runTransaction, serverTimestamp, setDoc } from "firebase/firestore";
+import { createRoomCode, isNewerEntry, normalizeRoomCode } from "./collaboration";
+import { db } from "./firebase";
+import { decodeSharedPuzzle, encodeSharedPuzzle } from "./shareLink";
+
+// A room is `rooms/{code}` holding the puzzle in share-link form, with one document per square
+// under `cells` and one per participant under `presence`.
+const CODE_ATTEMPTS = 5;
+
+export async function createRoom(user, puzzle) {
+  for (let attempt = 0; attempt < CODE_ATTEMPTS; attempt += 1) {
+    const code = createRoomCode();
+    const ref = doc(db, "rooms", code);
+    const created = await runTransaction(db, async (transaction) => {
+      if ((await transaction.get(ref)).exists()) return false;
+      transaction.set(ref, { hostId: user.uid, puzzle: encodeSharedPuzzle(puzzle), createdAt: serverTimestamp() });
+      return true;
+    });
+    if (created) return code;
+  }
+  throw new Error("Couldn't find a free room code. Please try again.");
+}
+
+export async function joinRoom(input) {
+  const code = normalizeRoomCode(input);
+  if (!code) {
+    throw new Error("Room codes are 6 letters and numbers.");
+  }
+  const snapshot = await getDoc(doc(db, "rooms", code));
+  if (!snapshot.exists()) {
+    throw new Error("There's no room with that code. Check it with your host.");
+  }
+  return { code, hostId: snapshot.data().hostId, puzzle: decodeSharedPuzzle(snapshot.data().puzzle) };
+}
+
+// Only writes when the entry is newer than what the room already has, so a slow write can't
+// bring back a letter someone has since replaced. Resolves to whether it was written.
+export function writeCell(code, key, entry) {
+  const ref = doc(db, "rooms", code, "cells", key);
+  return runTransaction(db, async (transaction) => {
+    const current = await transaction.get(ref);
+    if (current.exists() && !isNewerEntry(entry, current.data())) return false;
+    transaction.set(ref, entry);
+    return true;
+  });
+}
+
+export function subscribeToCells(code, onChange, onError) {
+  return onSnapshot(
+    collection(db, "rooms", code, "cells"),
+    (snapshot) => onChange(Object.fromEntries(snapshot.docs.map((cell) => [cell.id, cell.data()]))),
+    onError,
+  );
+}
+
+export function updatePresence(code, userId, presence) {
+  return setDoc(doc(db, "rooms", code, "presence", userId), { ...presence, updatedAt: Date.now() });
+}
+
+export function subscribeToPresence(code, onChange, onError) {
+  return onSnapshot(
+    collection(db, "rooms", code, "presence"),
+    (snapshot) => onChange(snapshot.docs.map((peer) => ({ id: peer.id, ...peer.data() }))),
+    onError,
+  );
+}
+
+export function leaveRoom(code, userId) {
+  return deleteDoc(doc(db, "rooms", code, "presence", userId));
+}
@@ -0,0 +1,117 @@
+import { assignNumbers, MAX_GRID_DIMENSION } from "./crossword";
+
+// Puzzles travel in the URL hash as `#puzzle=<version>.<base64url JSON>`, so the server never
+// sees them. The payload keeps only what solving needs: the grid rows (letters, with "." for
+// black squares) and each word's start, direction, length and clue. Words and numbering are
+// rebuilt from the grid when the link is opened. Answers are in the link, so anyone holding it
+// can see them.
+export const SHARE_VERSION = 1;
+export const SHARE_HASH_PARAM = "puzzle";
+
+const BLANK = ".";
+const DIRECTIONS = { a: "across", d: "down" };
+const DAMAGED_LINK = "This share link is damaged or incomplete.";
+
+export function encodeSharedPuzzle(puzzle) {
+  const payload = {
+    s: puzzle.style === "blocks" ? "blocks" : "freeform",
+    g: puzzle.grid.map((row) => row.map((letter) => letter || BLANK).join("")),
+    w: puzzle.placements.map(({ row, col, direction, word, clue }) => [
+      row,
+      col,
+      direction === "down" ? "d" : "a",
+      word.length,
+      clue ?? "",
+    ]),
+  };
+  return `${SHARE_VERSION}.${toBase64Url(JSON.stringify(payload))}`;
+}
+
+export function decodeSharedPuzzle(token) {
+  const match = /^(\d+)\.([A-Za-z0-9_-]+)$/.exec(token ?? "");
+  if (match && Number(match[1]) > SHARE_VERSION) {
+    throw new Error("This share link was made by a newer version of Crossword Studio. Reload the page and try again.");
+  }
+  if (!match || Number(match[1]) !== SHARE_VERSION) {
+    throw new Error(DAMAGED_LINK);
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(match[2]));
+  } catch {
+    throw new Error(DAMAGED_LINK);
+  }
+  const grid = readGrid(payload?.g);
+  const placements = readPlacements(payload?.w, grid);
+  const numbering = assignNumbers(grid, placements);
+
+  return {
+    grid,
+    placements: numbering.placements,
+    numbersMap: numbering.numbersMap,
+    acrossClues: numbering.acrossClues,
+    downClues: numbering.downClues,
+    style: payload.s === "blocks" ? "blocks" : "freeform",
+    requestedCount: placements.length,
+    rows: grid.length,
+    cols: grid[0].length,
+  };
+}
+
+export function createShareUrl(puzzle, location = window.location) {
+  return `${location.origin}${location.pathname}#${SHARE_HASH_PARAM}=${encodeSharedPuzzle(puzzle)}`;
+}
+
+// The puzzle in a location hash, or null when the hash doesn't carry one.
+export function readSharedPuzzle(hash) {
+  const token = new URLSearchParams((hash ?? "").replace(/^#/, "")).get(SHARE_HASH_PARAM);
+  return token === null ? null : decodeSharedPuzzle(token);
+}
+
+function readGrid(rows) {
+  if (!Array.isArray(rows) || rows.length === 0 || rows.length > MAX_GRID_DIMENSION) {
+    throw new Error(DAMAGED_LINK);
+  }
+  const cols = rows[0]?.length;
+  const valid = rows.every(
+    (row) => typeof row === "string" && row.length === cols && /^[A-Z.]+$/.test(row),
+  );
+  if (!valid || cols > MAX_GRID_DIMENSION) {
+    throw new Error(DAMAGED_LINK);
+  }
+  return rows.map((row) => Array.from(row, (letter) => (letter === BLANK ? null : letter)));
+}
+
+function readPlacements(words, grid) {
+  if (!Array.isArray(words) || words.length === 0) {
+    throw new Error(DAMAGED_LINK);
+  }
+  return words.map((word, entryIndex) => {
+    const [row, col, code, length, clue] = Array.isArray(word) ? word : [];
+    const direction = DIRECTIONS[code];
+    const valid = [row, col, length].every(Number.isInteger) && length > 0 && typeof clue === "string";
+    if (!direction || !valid) {
+      throw new Error(DAMAGED_LINK);
+    }
+    let letters = "";
+    for (let i = 0; i < length; i += 1) {
+      const letter = grid[direction === "down" ? row + i : row]?.[direction === "across" ? col + i : col];
+      if (!letter) {
+        throw new Error(DAMAGED_LINK);
+      }
+      letters += letter;
+    }
+    return { word: letters, clue, row, col, direction, entryIndex };
+  });
+}
+
+function toBase64Url(text) {
+  const binary = Array.from(new TextEncoder().encode(text), (byte) => String.fromCharCode(byte)).join("");
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(encoded) {
+  const binary = atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder("utf-8", { fatal: true }).decode(Uint8Array.from(binary, (char) => char.charCodeAt(0)));
+}
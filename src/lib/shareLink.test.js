@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { helloPuzzle } from '../test/fixtures';
+import { assignNumbers } from './crossword';
+import { createShareUrl, decodeSharedPuzzle, encodeSharedPuzzle, readSharedPuzzle } from './shareLink';
+
+function makePuzzle() {
+  return helloPuzzle({ seed: 42, candidates: [{}] }, { clues: { LEMON: 'Café staple — sour “fruit”' } });
+}
+
+function encodePayload(payload, version = 1) {
+  return `${version}.${btoa(JSON.stringify(payload)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`;
+}
+
+describe('share links', () => {
+  it('should round-trip the grid, words and clues through a URL-safe token', () => {
+    const puzzle = makePuzzle();
+    const token = encodeSharedPuzzle(puzzle);
+    expect(token).toMatch(/^1\.[A-Za-z0-9_-]+$/);
+
+    const shared = decodeSharedPuzzle(token);
+    expect(shared.grid).toEqual(puzzle.grid);
+    expect(shared.numbersMap).toEqual(puzzle.numbersMap);
+    expect(shared.acrossClues).toEqual(puzzle.acrossClues);
+    expect(shared.downClues).toEqual(puzzle.downClues);
+    expect(shared.placements.map(({ word, clue, number, direction }) => [word, clue, number, direction])).toEqual(
+      puzzle.placements.map(({ word, clue, number, direction }) => [word, clue, number, direction]),
+    );
+    expect(shared).toMatchObject({ style: 'freeform', rows: 5, cols: 5, requestedCount: 3 });
+    expect(shared).not.toHaveProperty('candidates');
+  });
+
+  it('should keep black squares inside block grids', () => {
+    const grid = [
+      ['C', 'A', 'T'],
+      ['A', null, 'O'],
+      ['B', 'E', 'E'],
+    ];
+    const placements = [
+      { word: 'CAT', clue: 'Pet', row: 0, col: 0, direction: 'across' },
+      { word: 'BEE', clue: 'Buzzer', row: 2, col: 0, direction: 'across' },
+      { word: 'CAB', clue: 'Taxi', row: 0, col: 0, direction: 'down' },
+      { word: 'TOE', clue: 'Foot digit', row: 0, col: 2, direction: 'down' },
+    ];
+    const puzzle = { style: 'blocks', grid, ...assignNumbers(grid, placements) };
+
+    const shared = decodeSharedPuzzle(encodeSharedPuzzle(puzzle));
+    expect(shared.style).toBe('blocks');
+    expect(shared.grid).toEqual(grid);
+    expect(shared.numbersMap).toEqual(puzzle.numbersMap);
+  });
+
+  it('should build and read links from the location hash', () => {
+    const puzzle = makePuzzle();
+    const url = createShareUrl(puzzle, { origin: 'https://example.com', pathname: '/studio/' });
+    expect(url).toMatch(/^https:\/\/example\.com\/studio\/#puzzle=1\./);
+
+    expect(readSharedPuzzle(new URL(url).hash).grid).toEqual(puzzle.grid);
+    expect(readSharedPuzzle('')).toBeNull();
+    expect(readSharedPuzzle('#section=clues')).toBeNull();
+  });
+
+  it('should reject damaged links and links from newer versions', () => {
+    const token = encodeSharedPuzzle(makePuzzle());
+    const damaged = 'This share link is damaged or incomplete.';
+
+    expect(() => decodeSharedPuzzle(token.slice(0, -12))).toThrow(damaged);
+    expect(() => decodeSharedPuzzle('1.not*base64')).toThrow(damaged);
+    expect(() => decodeSharedPuzzle(`2.${token.slice(2)}`)).toThrow('newer version');
+    expect(() => decodeSharedPuzzle(encodePayload({ g: ['AB', 'C'], w: [[0, 0, 'a', 2, 'x']] }))).toThrow(damaged);
+    expect(() => decodeSharedPuzzle(encodePayload({ g: ['AB', '..'], w: [[0, 0, 'd', 2, 'x']] }))).toThrow(damaged);
+    expect(() => decodeSharedPuzzle(encodePayload({ g: ['AB'], w: [['0', 0, 'a', 2, 'x']] }))).toThrow(damaged);
+  });
+});
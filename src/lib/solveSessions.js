@@ -0,0 +1,94 @@
+import { gridCellKeys } from "./solvingAids";
+import { puzzleKey } from "./solveStats";
+
+const SESSION_INDEX_KEY = "crossword-sessions";
+const SESSION_KEY_PREFIX = "crossword-session:";
+export const MAX_SESSIONS = 8;
+
+// In-progress solves live in localStorage, one item per puzzle plus a small index, so listing
+// them for the resume prompt doesn't parse every saved grid. Layout candidates aren't saved;
+// they're only useful before solving starts.
+export function createSession({ puzzle, elapsedMs, ...solver }) {
+  const { candidates: _candidates, ...savedPuzzle } = puzzle;
+  const letters = gridCellKeys(puzzle.grid);
+  return {
+    key: puzzleKey(puzzle),
+    puzzle: savedPuzzle,
+    entries: solver.entries,
+    skippedEntries: solver.skippedEntries,
+    cellValues: solver.cellValues,
+    cellMarks: solver.cellMarks,
+    aidUsage: solver.aidUsage,
+    activeCell: solver.activeCell,
+    activeDirection: solver.activeDirection,
+    elapsedMs: Math.round(elapsedMs),
+    filled: letters.filter((key) => solver.cellValues[key]).length,
+    total: letters.length,
+    updatedAt: new Date().toISOString(),
+  };
+}
+
+export function saveSession(session, storage = defaultStorage()) {
+  if (!storage) return false;
+  const summary = summarize(session);
+  const others = listSessions(storage).filter((entry) => entry.key !== session.key);
+  const index = [summary, ...others];
+  index.slice(MAX_SESSIONS).forEach((stale) => storage.removeItem(SESSION_KEY_PREFIX + stale.key));
+  try {
+    storage.setItem(SESSION_KEY_PREFIX + session.key, JSON.stringify(session));
+    storage.setItem(SESSION_INDEX_KEY, JSON.stringify(index.slice(0, MAX_SESSIONS)));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Most recently touched first.
+export function listSessions(storage = defaultStorage()) {
+  const index = readJson(storage, SESSION_INDEX_KEY);
+  return Array.isArray(index) ? index : [];
+}
+
+export function loadSession(key, storage = defaultStorage()) {
+  const session = readJson(storage, SESSION_KEY_PREFIX + key);
+  return session?.puzzle?.grid ? session : null;
+}
+
+export function removeSession(key, storage = defaultStorage()) {
+  if (!storage) return;
+  try {
+    storage.removeItem(SESSION_KEY_PREFIX + key);
+    storage.setItem(
+      SESSION_INDEX_KEY,
+      JSON.stringify(listSessions(storage).filter((entry) => entry.key !== key)),
+    );
+  } catch {
+    // ignore
+  }
+}
+
+function summarize({ key, puzzle, filled, total, elapsedMs, updatedAt }) {
+  return {
+    key,
+    words: puzzle.placements.length,
+    rows: puzzle.grid.length,
+    cols: puzzle.grid[0]?.length || 0,
+    filled,
+    total,
+    elapsedMs,
+    updatedAt,
+  };
+}
+
+function readJson(storage, key) {
+  if (!storage) return null;
+  try {
+    return JSON.parse(storage.getItem(key) || "null");
+  } catch {
+    return null;
+  }
+}
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
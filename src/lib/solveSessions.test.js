@@ -0,0 +1,119 @@
+import { describe, expect, it } from 'vitest';
+import { createSession, listSessions, loadSession, MAX_SESSIONS, removeSession, saveSession } from './solveSessions';
+import { puzzleKey } from './solveStats';
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    data,
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, String(value)),
+    removeItem: (key) => data.delete(key),
+  };
+}
+
+function makePuzzle(letter = 'T') {
+  return {
+    grid: [
+      ['C', 'A', letter],
+      [null, null, 'O'],
+      [null, null, 'E'],
+    ],
+    placements: [
+      { word: `CA${letter}`, row: 0, col: 0, direction: 'across' },
+      { word: `${letter}OE`, row: 0, col: 2, direction: 'down' },
+    ],
+    candidates: [{ grid: [] }],
+  };
+}
+
+function makeSession(puzzle = makePuzzle(), overrides = {}) {
+  return createSession({
+    puzzle,
+    entries: [{ word: 'CAT', clue: 'Pet' }],
+    skippedEntries: [],
+    cellValues: { '0-0': 'C', '0-1': 'A' },
+    cellMarks: {},
+    aidUsage: { checks: 1, reveals: 0 },
+    activeCell: { row: 0, col: 2 },
+    activeDirection: 'down',
+    elapsedMs: 12345.6,
+    ...overrides,
+  });
+}
+
+describe('solve sessions', () => {
+  it('should capture the solver state without layout candidates', () => {
+    const session = makeSession();
+
+    expect(session).toMatchObject({
+      key: puzzleKey(makePuzzle()),
+      activeCell: { row: 0, col: 2 },
+      activeDirection: 'down',
+      elapsedMs: 12346,
+      filled: 2,
+      total: 5,
+    });
+    expect(session.puzzle).not.toHaveProperty('candidates');
+  });
+
+  it('should save, list and load sessions', () => {
+    const storage = memoryStorage();
+    const session = makeSession();
+    expect(saveSession(session, storage)).toBe(true);
+
+    expect(listSessions(storage)).toEqual([
+      {
+        key: session.key,
+        words: 2,
+        rows: 3,
+        cols: 3,
+        filled: 2,
+        total: 5,
+        elapsedMs: 12346,
+        updatedAt: session.updatedAt,
+      },
+    ]);
+    expect(loadSession(session.key, storage)).toEqual(session);
+  });
+
+  it('should track each puzzle separately, most recent first', () => {
+    const storage = memoryStorage();
+    const first = makeSession(makePuzzle('T'));
+    const second = makeSession(makePuzzle('B'));
+    saveSession(first, storage);
+    saveSession(second, storage);
+    saveSession({ ...first, filled: 3 }, storage);
+
+    expect(listSessions(storage).map((entry) => [entry.key, entry.filled])).toEqual([
+      [first.key, 3],
+      [second.key, 2],
+    ]);
+  });
+
+  it('should forget the oldest sessions past the limit', () => {
+    const storage = memoryStorage();
+    const letters = 'BCDFGHJKLMN'.slice(0, MAX_SESSIONS + 1).split('');
+    const sessions = letters.map((letter) => makeSession(makePuzzle(letter)));
+    sessions.forEach((session) => saveSession(session, storage));
+
+    expect(listSessions(storage)).toHaveLength(MAX_SESSIONS);
+    expect(loadSession(sessions[0].key, storage)).toBeNull();
+    expect(loadSession(sessions[1].key, storage)).not.toBeNull();
+  });
+
+  it('should remove a session and ignore unreadable ones', () => {
+    const storage = memoryStorage();
+    const session = makeSession();
+    saveSession(session, storage);
+    removeSession(session.key, storage);
+
+    expect(listSessions(storage)).toEqual([]);
+    expect(loadSession(session.key, storage)).toBeNull();
+
+    storage.setItem('crossword-session:broken', '{');
+    storage.setItem('crossword-sessions', 'nope');
+    expect(loadSession('broken', storage)).toBeNull();
+    expect(listSessions(storage)).toEqual([]);
+  });
+});
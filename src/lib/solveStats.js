@@ -0,0 +1,89 @@
+import { normalizeSeed } from "./crossword";
+
+const SOLVES_STORAGE_KEY = "crossword-solves";
+export const MAX_STORED_SOLVES = 200;
+
+export function isPuzzleComplete(grid, cellValues) {
+  return grid.every((line, row) => line.every((letter, col) => !letter || cellValues[`${row}-${col}`] === letter));
+}
+
+// Same letters in the same cells give the same key, so repeat solves of a shared puzzle line up.
+// Published puzzles use their ID instead: with hidden answers every letter is "?", and grids of
+// the same shape would otherwise share one key.
+export function puzzleKey({ grid, publishedId }) {
+  if (publishedId) {
+    return `p:${publishedId}`;
+  }
+  const text = grid.map((line) => line.map((letter) => letter || ".").join("")).join("/");
+  return normalizeSeed(text).toString(36);
+}
+
+export function createSolveRecord(puzzle, { elapsedMs, checks = 0, reveals = 0, completedAt = new Date() }) {
+  return {
+    puzzleKey: puzzleKey(puzzle),
+    style: puzzle.style || "freeform",
+    rows: puzzle.grid.length,
+    cols: puzzle.grid[0]?.length || 0,
+    words: puzzle.placements.length,
+    seed: puzzle.seed ?? null,
+    elapsedMs: Math.max(0, Math.round(elapsedMs)),
+    checks,
+    reveals,
+    completedAt: completedAt.toISOString(),
+  };
+}
+
+export function summarizeSolves(records) {
+  if (!records.length) {
+    return { count: 0, bestMs: null, averageMs: null, unassisted: 0, checks: 0, reveals: 0 };
+  }
+  const times = records.map((record) => record.elapsedMs);
+  return {
+    count: records.length,
+    bestMs: Math.min(...times),
+    averageMs: Math.round(times.reduce((sum, time) => sum + time, 0) / times.length),
+    unassisted: records.filter((record) => !record.checks && !record.reveals).length,
+    checks: records.reduce((sum, record) => sum + (record.checks || 0), 0),
+    reveals: records.reduce((sum, record) => sum + (record.reveals || 0), 0),
+  };
+}
+
+export function formatDuration(ms) {
+  const totalSeconds = Math.floor(Math.max(0, ms) / 1000);
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return hours ? `${hours}:${String(minutes).padStart(2, "0")}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+// Local history is kept per account so a shared computer doesn't mix up solvers; signed-out
+// solves go under "guest".
+export function loadLocalSolves(userId, storage = defaultStorage()) {
+  if (!storage) return [];
+  try {
+    const parsed = JSON.parse(storage.getItem(storageKey(userId)) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+export function saveLocalSolve(userId, record, storage = defaultStorage()) {
+  const records = [...loadLocalSolves(userId, storage), record].slice(-MAX_STORED_SOLVES);
+  if (storage) {
+    try {
+      storage.setItem(storageKey(userId), JSON.stringify(records));
+    } catch {
+      // ignore
+    }
+  }
+  return records;
+}
+
+function storageKey(userId) {
+  return `${SOLVES_STORAGE_KEY}:${userId || "guest"}`;
+}
+
+function defaultStorage() {
+  return typeof localStorage !== "undefined" ? localStorage : null;
+}
@@ -0,0 +1,116 @@
+import { describe, expect, it } from 'vitest';
+import {
+  createSolveRecord,
+  formatDuration,
+  isPuzzleComplete,
+  loadLocalSolves,
+  MAX_STORED_SOLVES,
+  puzzleKey,
+  saveLocalSolve,
+  summarizeSolves,
+} from './solveStats';
+
+const grid = [
+  ['C', 'A', 'T'],
+  [null, null, 'O'],
+  [null, null, 'E'],
+];
+const puzzle = {
+  grid,
+  style: 'freeform',
+  seed: 42,
+  placements: [
+    { word: 'CAT', row: 0, col: 0, direction: 'across' },
+    { word: 'TOE', row: 0, col: 2, direction: 'down' },
+  ],
+};
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => data.set(key, value),
+  };
+}
+
+describe('solve stats', () => {
+  it('should only call a grid complete when every letter matches', () => {
+    const values = { '0-0': 'C', '0-1': 'A', '0-2': 'T', '1-2': 'O' };
+    expect(isPuzzleComplete(grid, values)).toBe(false);
+    expect(isPuzzleComplete(grid, { ...values, '2-2': 'A' })).toBe(false);
+    expect(isPuzzleComplete(grid, { ...values, '2-2': 'E' })).toBe(true);
+  });
+
+  it('should key puzzles by their letters', () => {
+    const other = [['C', 'A', 'B'], [null, null, 'O'], [null, null, 'E']];
+    expect(puzzleKey({ grid })).toBe(puzzleKey({ grid: grid.map((line) => [...line]) }));
+    expect(puzzleKey({ grid })).not.toBe(puzzleKey({ grid: other }));
+  });
+
+  it('should key published puzzles by their ID', () => {
+    const hidden = grid.map((line) => line.map((letter) => (letter ? '?' : null)));
+    expect(puzzleKey({ grid: hidden, publishedId: 'abc' })).toBe('p:abc');
+    expect(puzzleKey({ grid: hidden, publishedId: 'xyz' })).toBe('p:xyz');
+  });
+
+  it('should build a solve record', () => {
+    const record = createSolveRecord(puzzle, {
+      elapsedMs: 65432.4,
+      checks: 2,
+      completedAt: new Date('2024-05-01T10:00:00Z'),
+    });
+
+    expect(record).toEqual({
+      puzzleKey: puzzleKey(puzzle),
+      style: 'freeform',
+      rows: 3,
+      cols: 3,
+      words: 2,
+      seed: 42,
+      elapsedMs: 65432,
+      checks: 2,
+      reveals: 0,
+      completedAt: '2024-05-01T10:00:00.000Z',
+    });
+  });
+
+  it('should summarize solve history', () => {
+    expect(summarizeSolves([])).toMatchObject({ count: 0, bestMs: null, averageMs: null });
+    expect(
+      summarizeSolves([
+        { elapsedMs: 60000, checks: 0, reveals: 0 },
+        { elapsedMs: 30000, checks: 1, reveals: 2 },
+      ]),
+    ).toEqual({ count: 2, bestMs: 30000, averageMs: 45000, unassisted: 1, checks: 1, reveals: 2 });
+  });
+
+  it('should format durations', () => {
+    expect(formatDuration(0)).toBe('0:00');
+    expect(formatDuration(65432)).toBe('1:05');
+    expect(formatDuration(3723000)).toBe('1:02:03');
+  });
+
+  it('should keep local history per account', () => {
+    const storage = memoryStorage();
+    saveLocalSolve('user-1', { elapsedMs: 1000 }, storage);
+    saveLocalSolve(undefined, { elapsedMs: 2000 }, storage);
+    const records = saveLocalSolve('user-1', { elapsedMs: 3000 }, storage);
+
+    expect(records).toEqual([{ elapsedMs: 1000 }, { elapsedMs: 3000 }]);
+    expect(loadLocalSolves('user-1', storage)).toEqual(records);
+    expect(loadLocalSolves(null, storage)).toEqual([{ elapsedMs: 2000 }]);
+  });
+
+  it('should cap local history and survive bad data', () => {
+    const storage = memoryStorage();
+    for (let i = 0; i < MAX_STORED_SOLVES + 5; i += 1) {
+      saveLocalSolve('user-1', { elapsedMs: i }, storage);
+    }
+    const records = loadLocalSolves('user-1', storage);
+    expect(records).toHaveLength(MAX_STORED_SOLVES);
+    expect(records[0]).toEqual({ elapsedMs: 5 });
+
+    storage.setItem('crossword-solves:guest', '{not json');
+    expect(loadLocalSolves(undefined, storage)).toEqual([]);
+  });
+});
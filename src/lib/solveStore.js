@@ -0,0 +1,17 @@
+import { addDoc, collection, getDocs, query, serverTimestamp, where } from "firebase/firestore";
+import { db } from "./firebase";
+
+export function saveRemoteSolve(userId, record) {
+  return addDoc(collection(db, "solves"), {
+    ...record,
+    userId,
+    createdAt: serverTimestamp(),
+  });
+}
+
+export async function fetchRemoteSolves(userId) {
+  const snapshot = await getDocs(query(collection(db, "solves"), where("userId", "==", userId)));
+  return snapshot.docs
+    .map((solve) => ({ id: solve.id, ...solve.data() }))
+    .sort((a, b) => a.completedAt.localeCompare(b.completedAt));
+}
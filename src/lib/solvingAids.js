@@ -0,0 +1,73 @@
+// Graded solving help. Cell state is keyed "row-col" like the solver's cell values, and every
+// function returns new objects so the results can go straight into React state and history.
+
+export const CELL_MARKS = {
+  WRONG: "wrong",
+  CORRECTED: "corrected",
+  CHECKED: "checked",
+  REVEALED: "revealed",
+};
+
+export function cellKey(row, col) {
+  return `${row}-${col}`;
+}
+
+export function wordCellKeys({ word, row, col, direction }) {
+  return Array.from({ length: word.length }, (_, i) =>
+    direction === "across" ? cellKey(row, col + i) : cellKey(row + i, col),
+  );
+}
+
+export function gridCellKeys(grid) {
+  return grid.flatMap((line, row) =>
+    line.flatMap((letter, col) => (letter ? [cellKey(row, col)] : [])),
+  );
+}
+
+// Letters that were checked correct or revealed are settled and can't be typed over.
+export function isLockedMark(mark) {
+  return mark === CELL_MARKS.CHECKED || mark === CELL_MARKS.REVEALED;
+}
+
+// Marks filled cells right or wrong. Empty cells are left alone so checking a half-finished
+// word only flags what the solver actually wrote.
+export function checkCells(grid, cellValues, cellMarks, keys) {
+  const marks = { ...cellMarks };
+  keys.forEach((key) => {
+    const value = cellValues[key];
+    if (!value || isLockedMark(marks[key])) return;
+    marks[key] = value === answerAt(grid, key) ? CELL_MARKS.CHECKED : CELL_MARKS.WRONG;
+  });
+  return marks;
+}
+
+export function revealCells(grid, cellValues, cellMarks, keys) {
+  const values = { ...cellValues };
+  const marks = { ...cellMarks };
+  keys.forEach((key) => {
+    const answer = answerAt(grid, key);
+    if (!answer || isLockedMark(marks[key])) return;
+    if (values[key] !== answer) {
+      values[key] = answer;
+      marks[key] = CELL_MARKS.REVEALED;
+    } else {
+      marks[key] = CELL_MARKS.CHECKED;
+    }
+  });
+  return { cellValues: values, cellMarks: marks };
+}
+
+// A flagged letter keeps a trace once it's retyped correctly, so the solver can see it was once
+// wrong. Retyping it with another wrong letter clears the flag until the next check. Returns
+// null when the square should have no mark.
+export function markAfterInput(mark, letter, answer) {
+  if (mark !== CELL_MARKS.WRONG && mark !== CELL_MARKS.CORRECTED) {
+    return mark ?? null;
+  }
+  return letter && letter === answer ? CELL_MARKS.CORRECTED : null;
+}
+
+function answerAt(grid, key) {
+  const [row, col] = key.split("-").map(Number);
+  return grid[row]?.[col] || null;
+}
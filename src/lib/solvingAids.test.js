@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import {
+  CELL_MARKS,
+  checkCells,
+  gridCellKeys,
+  isLockedMark,
+  markAfterInput,
+  revealCells,
+  wordCellKeys,
+} from './solvingAids';
+
+// C A T
+// . . O
+// . . E
+const grid = [
+  ['C', 'A', 'T'],
+  [null, null, 'O'],
+  [null, null, 'E'],
+];
+const toe = { word: 'TOE', row: 0, col: 2, direction: 'down' };
+
+describe('solving aids', () => {
+  it('should list the cells of a word and of the whole grid', () => {
+    expect(wordCellKeys(toe)).toEqual(['0-2', '1-2', '2-2']);
+    expect(gridCellKeys(grid)).toEqual(['0-0', '0-1', '0-2', '1-2', '2-2']);
+  });
+
+  it('should mark filled cells right or wrong and skip empty ones', () => {
+    const values = { '0-2': 'T', '1-2': 'A' };
+    const marks = checkCells(grid, values, {}, wordCellKeys(toe));
+
+    expect(marks).toEqual({ '0-2': CELL_MARKS.CHECKED, '1-2': CELL_MARKS.WRONG });
+  });
+
+  it('should not touch cells outside the checked range', () => {
+    const marks = checkCells(grid, { '0-0': 'X', '0-2': 'T' }, {}, ['0-2']);
+    expect(marks).toEqual({ '0-2': CELL_MARKS.CHECKED });
+  });
+
+  it('should reveal letters and mark the ones that changed', () => {
+    const result = revealCells(grid, { '0-2': 'T', '1-2': 'A' }, {}, wordCellKeys(toe));
+
+    expect(result.cellValues).toEqual({ '0-2': 'T', '1-2': 'O', '2-2': 'E' });
+    expect(result.cellMarks).toEqual({
+      '0-2': CELL_MARKS.CHECKED,
+      '1-2': CELL_MARKS.REVEALED,
+      '2-2': CELL_MARKS.REVEALED,
+    });
+  });
+
+  it('should keep earlier marks when checking again', () => {
+    const revealed = revealCells(grid, {}, {}, ['0-0']);
+    const marks = checkCells(grid, { ...revealed.cellValues, '0-1': 'A' }, revealed.cellMarks, gridCellKeys(grid));
+
+    expect(marks['0-0']).toBe(CELL_MARKS.REVEALED);
+    expect(marks['0-1']).toBe(CELL_MARKS.CHECKED);
+  });
+
+  it('should leave a trace on wrong letters once they are retyped correctly', () => {
+    expect(markAfterInput(CELL_MARKS.WRONG, 'A', 'A')).toBe(CELL_MARKS.CORRECTED);
+    expect(markAfterInput(CELL_MARKS.CORRECTED, 'A', 'A')).toBe(CELL_MARKS.CORRECTED);
+    expect(markAfterInput(undefined, 'A', 'A')).toBeNull();
+  });
+
+  it('should clear the flag when a wrong letter is retyped wrong or erased', () => {
+    expect(markAfterInput(CELL_MARKS.WRONG, 'B', 'A')).toBeNull();
+    expect(markAfterInput(CELL_MARKS.CORRECTED, 'B', 'A')).toBeNull();
+    expect(markAfterInput(CELL_MARKS.WRONG, '', 'A')).toBeNull();
+  });
+
+  it('should lock checked and revealed letters only', () => {
+    expect(isLockedMark(CELL_MARKS.CHECKED)).toBe(true);
+    expect(isLockedMark(CELL_MARKS.REVEALED)).toBe(true);
+    expect(isLockedMark(CELL_MARKS.WRONG)).toBe(false);
+    expect(isLockedMark(CELL_MARKS.CORRECTED)).toBe(false);
+  });
+});
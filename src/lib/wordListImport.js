@@ -0,0 +1,128 @@
+// Word lists kept in spreadsheets or notes: CSV, TSV, or text with one "WORD - clue" or
+// "WORD: clue" per line. Files are read into rows of cells that remember the line they start
+// on, so problems can be reported where the author will find them. Which column holds the
+// word and which the clue is chosen afterwards, in a preview.
+
+const WORD_HEADERS = ["word", "answer", "solution", "text", "entry"];
+const CLUE_HEADERS = ["clue", "question", "prompt", "hint", "definition"];
+// The dash needs spaces around it so hyphenated words like "T-SHIRT" stay whole.
+const TEXT_LINE = /^(.+?)(?:\s*:\s*|\s+[-–—]\s+)(.+)$/;
+
+export const WORD_LIST_ACCEPT = ".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain";
+
+// "csv", "tsv" or "text" for files this module reads, otherwise null.
+export function wordListFormat(fileName) {
+  const extension = fileName.toLowerCase().match(/\.([a-z]+)$/)?.[1];
+  if (extension === "csv") return "csv";
+  if (extension === "tsv" || extension === "tab") return "tsv";
+  if (extension === "txt") return "text";
+  return null;
+}
+
+// Returns { rows: [{ line, cells }], columns, errors: [{ line, message }] }. Blank lines are
+// skipped.
+export function readWordListTable(text, format) {
+  const source = text.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n");
+  const { rows, errors } =
+    format === "text" ? readTextLines(source) : readDelimited(source, format === "tsv" ? "\t" : ",");
+  return { rows, columns: rows.reduce((most, row) => Math.max(most, row.cells.length), 0), errors };
+}
+
+// Uses a header row when it names both columns; otherwise the first two columns, no header.
+export function guessColumnMapping(rows) {
+  const names = rows[0]?.cells.map((cell) => cell.toLowerCase()) ?? [];
+  const word = names.findIndex((name) => WORD_HEADERS.includes(name));
+  const clue = names.findIndex((name) => CLUE_HEADERS.includes(name));
+  if (word !== -1 && clue !== -1) {
+    return { word, clue, hasHeader: true };
+  }
+  return { word: 0, clue: 1, hasHeader: false };
+}
+
+// Turns rows into { word, clue, line } items for `normalizeEntries`, reporting rows that are
+// missing either one.
+export function mapWordListRows(rows, { word, clue, hasHeader }) {
+  const items = [];
+  const errors = [];
+  (hasHeader ? rows.slice(1) : rows).forEach(({ line, cells }) => {
+    const wordCell = cells[word] ?? "";
+    const clueCell = cells[clue] ?? "";
+    if (!wordCell) {
+      errors.push({ line, message: "The word is missing." });
+    } else if (!clueCell) {
+      errors.push({ line, message: "The clue is missing." });
+    } else {
+      items.push({ word: wordCell, clue: clueCell, line });
+    }
+  });
+  return { items, errors };
+}
+
+function readTextLines(source) {
+  const rows = [];
+  const errors = [];
+  source.split("\n").forEach((text, index) => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    const match = trimmed.match(TEXT_LINE);
+    if (match) {
+      rows.push({ line: index + 1, cells: [match[1].trim(), match[2].trim()] });
+    } else {
+      errors.push({ line: index + 1, message: 'Expected "WORD - clue" or "WORD: clue".' });
+    }
+  });
+  return { rows, errors };
+}
+
+// RFC 4180 style: fields may be wrapped in double quotes, which lets them hold the delimiter,
+// line breaks and doubled quotes ("").
+function readDelimited(source, delimiter) {
+  const rows = [];
+  const errors = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    cells.push(cell.trim());
+    if (cells.some(Boolean)) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = "";
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = "";
+    } else if (char === "\n") {
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    errors.push({ line: rowLine, message: "A quoted field is never closed." });
+  } else {
+    endRow();
+  }
+  return { rows, errors };
+}
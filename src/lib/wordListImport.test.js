@@ -0,0 +1,88 @@
+import { describe, expect, it } from 'vitest';
+import { guessColumnMapping, mapWordListRows, readWordListTable, wordListFormat } from './wordListImport';
+
+describe('wordListFormat', () => {
+  it('should recognise spreadsheet and text files by extension', () => {
+    expect(wordListFormat('Vocab.CSV')).toBe('csv');
+    expect(wordListFormat('vocab.tsv')).toBe('tsv');
+    expect(wordListFormat('vocab.txt')).toBe('text');
+    expect(wordListFormat('vocab.json')).toBeNull();
+  });
+});
+
+describe('readWordListTable', () => {
+  it('should read quoted CSV fields with commas, quotes and line breaks', () => {
+    const csv = [
+      'Clue,Answer,Notes',
+      '"Capital of France, and city of light",Paris,',
+      '"He said ""hi""",greeting,"two',
+      'lines"',
+      '',
+      'Big Apple,NEW YORK',
+    ].join('\r\n');
+
+    const table = readWordListTable(csv, 'csv');
+    expect(table.errors).toEqual([]);
+    expect(table.columns).toBe(3);
+    expect(table.rows).toEqual([
+      { line: 1, cells: ['Clue', 'Answer', 'Notes'] },
+      { line: 2, cells: ['Capital of France, and city of light', 'Paris', ''] },
+      { line: 3, cells: ['He said "hi"', 'greeting', 'two\nlines'] },
+      { line: 6, cells: ['Big Apple', 'NEW YORK'] },
+    ]);
+  });
+
+  it('should read TSV files, ignoring a byte order mark', () => {
+    const table = readWordListTable('\uFEFFword\tclue\nORBIT\tPath around a star, roughly\n', 'tsv');
+    expect(table.rows.map((row) => row.cells)).toEqual([
+      ['word', 'clue'],
+      ['ORBIT', 'Path around a star, roughly'],
+    ]);
+  });
+
+  it('should report a quoted field that never closes on the line it starts', () => {
+    const table = readWordListTable('APPLE,Fruit\n"BANANA,Yellow fruit\nCHERRY,Red fruit', 'csv');
+    expect(table.rows).toEqual([{ line: 1, cells: ['APPLE', 'Fruit'] }]);
+    expect(table.errors).toEqual([{ line: 2, message: 'A quoted field is never closed.' }]);
+  });
+
+  it('should read "WORD - clue" and "WORD: clue" lines and report the rest', () => {
+    const text = 'T-SHIRT - Casual top\nNEW YORK: Big Apple\n\njust some notes\nSTAR – Shining light: bright';
+    const table = readWordListTable(text, 'text');
+    expect(table.rows).toEqual([
+      { line: 1, cells: ['T-SHIRT', 'Casual top'] },
+      { line: 2, cells: ['NEW YORK', 'Big Apple'] },
+      { line: 5, cells: ['STAR', 'Shining light: bright'] },
+    ]);
+    expect(table.errors).toEqual([{ line: 4, message: 'Expected "WORD - clue" or "WORD: clue".' }]);
+  });
+});
+
+describe('column mapping', () => {
+  it('should pick the columns named in a header row, or the first two', () => {
+    expect(guessColumnMapping(readWordListTable('Clue,Answer\nFruit,APPLE', 'csv').rows)).toEqual({
+      word: 1,
+      clue: 0,
+      hasHeader: true,
+    });
+    expect(guessColumnMapping(readWordListTable('APPLE,Fruit', 'csv').rows)).toEqual({
+      word: 0,
+      clue: 1,
+      hasHeader: false,
+    });
+  });
+
+  it('should map rows to entries and report rows missing a word or clue by line', () => {
+    const { rows } = readWordListTable('id,word,clue\n1,APPLE,Fruit\n2,,Vegetable\n3,CHERRY\n4,PEAR,Green fruit', 'csv');
+    expect(mapWordListRows(rows, { word: 1, clue: 2, hasHeader: true })).toEqual({
+      items: [
+        { word: 'APPLE', clue: 'Fruit', line: 2 },
+        { word: 'PEAR', clue: 'Green fruit', line: 5 },
+      ],
+      errors: [
+        { line: 3, message: 'The word is missing.' },
+        { line: 4, message: 'The clue is missing.' },
+      ],
+    });
+  });
+});
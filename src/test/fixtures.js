@@ -0,0 +1,35 @@
+import { rebuildLayout } from '../lib/crossword';
+
+// 1 across HELLO, 2 down EAGLE, 3 down LEMON:
+// H E L L O
+// . A . E .
+// . G . M .
+// . L . O .
+// . E . N .
+const HELLO_PLACEMENTS = [
+  { word: 'HELLO', clue: 'Greeting', row: 0, col: 0, direction: 'across', entryIndex: 0 },
+  { word: 'EAGLE', clue: 'Bird of prey', row: 0, col: 1, direction: 'down', entryIndex: 1 },
+  { word: 'LEMON', clue: 'Sour fruit', row: 0, col: 3, direction: 'down', entryIndex: 2 },
+];
+
+// `clues` replaces clues by word, e.g. { LEMON: 'Citrus' }.
+function helloPlacements(clues = {}) {
+  return HELLO_PLACEMENTS.map((placement) => ({ ...placement, clue: clues[placement.word] ?? placement.clue }));
+}
+
+// The word list the puzzle was built from.
+export function helloEntries() {
+  return HELLO_PLACEMENTS.map(({ word, clue, entryIndex }) => ({ word, clue, originalIndex: entryIndex }));
+}
+
+export function helloPuzzle(overrides = {}, { clues } = {}) {
+  const layout = rebuildLayout(helloPlacements(clues));
+  return {
+    style: 'freeform',
+    requestedCount: layout.placements.length,
+    ...layout,
+    rows: layout.grid.length,
+    cols: layout.grid[0].length,
+    ...overrides,
+  };
+}
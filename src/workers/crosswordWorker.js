@@ -1,18 +1,106 @@
-import { createPuzzle } from "../lib/crossword";
+import { createBlockPuzzleAsync } from "../lib/blockGrid";
+import { createPuzzleAsync, isAbortError } from "../lib/crossword";
+import {
+  createGeneratorMessage,
+  GENERATOR_MESSAGES,
+  GENERATOR_PROTOCOL_VERSION,
+} from "./generatorProtocol";
+
+const activeJobs = new Map();
 
 self.onmessage = (event) => {
-  const { entries, wordCount } = event.data || {};
+  const message = event.data || {};
+  if (message.version !== GENERATOR_PROTOCOL_VERSION) {
+    self.postMessage(
+      createGeneratorMessage(GENERATOR_MESSAGES.ERROR, message.requestId ?? null, {
+        message: `Unsupported generator protocol version: ${message.version ?? "none"}.`,
+      }),
+    );
+    return;
+  }
+
+  if (message.type === GENERATOR_MESSAGES.CANCEL) {
+    activeJobs.get(message.requestId)?.abort();
+    return;
+  }
+
+  if (message.type === GENERATOR_MESSAGES.GENERATE) {
+    runGeneration(message);
+    return;
+  }
+
+  self.postMessage(
+    createGeneratorMessage(GENERATOR_MESSAGES.ERROR, message.requestId ?? null, {
+      message: `Unknown generator message type: ${message.type}.`,
+    }),
+  );
+};
+
+async function runGeneration({
+  requestId,
+  entries,
+  wordCount,
+  seed,
+  timeBudgetMs,
+  maxNodes,
+  placeWhatFits,
+  scoring,
+  candidates,
+  width,
+  height,
+  attemptOffset,
+  attemptStride,
+  style,
+  size,
+}) {
+  // Only the latest request matters; anything still running is stale.
+  activeJobs.forEach((controller) => controller.abort());
+  const controller = new AbortController();
+  activeJobs.set(requestId, controller);
+
+  const post = (type, payload) => {
+    self.postMessage(createGeneratorMessage(type, requestId, payload));
+  };
+
   try {
-    const sendProgress = (message) => {
-      self.postMessage({ type: "progress", message });
+    const sendProgress = (message, stats = {}) => {
+      post(GENERATOR_MESSAGES.PROGRESS, { message, ...stats });
     };
     sendProgress("Preparing generator…");
-    const puzzle = createPuzzle(entries, wordCount, { onProgress: sendProgress });
-    self.postMessage({ type: "success", puzzle });
+    const puzzle =
+      style === "blocks"
+        ? await createBlockPuzzleAsync(entries, {
+            onProgress: sendProgress,
+            seed,
+            size,
+            timeBudgetMs,
+            maxNodes,
+            signal: controller.signal,
+          })
+        : await createPuzzleAsync(entries, wordCount, {
+            onProgress: sendProgress,
+            seed,
+            timeBudgetMs,
+            maxNodes,
+            placeWhatFits,
+            scoring,
+            candidates,
+            width,
+            height,
+            attemptOffset,
+            attemptStride,
+            signal: controller.signal,
+          });
+    post(GENERATOR_MESSAGES.SUCCESS, { puzzle });
   } catch (error) {
-    self.postMessage({
-      type: "error",
-      message: error?.message || "Unable to generate crossword.",
-    });
+    if (isAbortError(error)) {
+      post(GENERATOR_MESSAGES.CANCELLED);
+    } else {
+      post(GENERATOR_MESSAGES.ERROR, {
+        message: error?.message || "Unable to generate crossword.",
+      });
+    }
+  } finally {
+    activeJobs.delete(requestId);
   }
-};
+}
@@ -0,0 +1,76 @@
+import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createGeneratorMessage, GENERATOR_MESSAGES } from './generatorProtocol';
+
+const entries = [
+  'PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR',
+].map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+const workerScope = { postMessage: vi.fn() };
+
+function send(message) {
+  workerScope.onmessage({ data: message });
+}
+
+function generate(requestId, options = {}) {
+  send(createGeneratorMessage(GENERATOR_MESSAGES.GENERATE, requestId, { entries, wordCount: 6, seed: 4, ...options }));
+}
+
+function repliesTo(requestId) {
+  return workerScope.postMessage.mock.calls
+    .map(([message]) => message)
+    .filter((message) => message.requestId === requestId);
+}
+
+function finalReply(requestId) {
+  return vi.waitFor(() => {
+    const reply = repliesTo(requestId).find((message) => message.type !== GENERATOR_MESSAGES.PROGRESS);
+    expect(reply).toBeDefined();
+    return reply;
+  });
+}
+
+describe('crossword worker', () => {
+  beforeAll(async () => {
+    vi.stubGlobal('self', workerScope);
+    await import('./crosswordWorker');
+  });
+
+  beforeEach(() => {
+    workerScope.postMessage.mockClear();
+  });
+
+  it('should reject messages from another protocol version', () => {
+    send({ ...createGeneratorMessage(GENERATOR_MESSAGES.GENERATE, 1, { entries }), version: 0 });
+    send({ type: GENERATOR_MESSAGES.CANCEL, requestId: 2 });
+
+    expect(repliesTo(1)).toEqual([
+      createGeneratorMessage(GENERATOR_MESSAGES.ERROR, 1, { message: 'Unsupported generator protocol version: 0.' }),
+    ]);
+    expect(repliesTo(2)[0].message).toBe('Unsupported generator protocol version: none.');
+  });
+
+  it('should ignore a cancel for a request it is not running', async () => {
+    generate(3);
+    send(createGeneratorMessage(GENERATOR_MESSAGES.CANCEL, 99));
+
+    expect(repliesTo(99)).toEqual([]);
+    expect((await finalReply(3)).type).toBe(GENERATOR_MESSAGES.SUCCESS);
+  });
+
+  it('should cancel the running request it is asked to', async () => {
+    generate(4);
+    send(createGeneratorMessage(GENERATOR_MESSAGES.CANCEL, 4));
+
+    expect(await finalReply(4)).toEqual(createGeneratorMessage(GENERATOR_MESSAGES.CANCELLED, 4));
+  });
+
+  it('should abort a running request when a newer one arrives', async () => {
+    generate(5);
+    generate(6, { seed: 8 });
+
+    expect((await finalReply(5)).type).toBe(GENERATOR_MESSAGES.CANCELLED);
+    const reply = await finalReply(6);
+    expect(reply.type).toBe(GENERATOR_MESSAGES.SUCCESS);
+    expect(reply.puzzle.placements).toHaveLength(6);
+  });
+});
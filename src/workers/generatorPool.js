@@ -0,0 +1,151 @@
+import { createAbortError, MAX_ATTEMPTS, mergeLayoutCandidates } from "../lib/crossword";
+import { createGeneratorMessage, GENERATOR_MESSAGES, GENERATOR_PROTOCOL_VERSION } from "./generatorProtocol";
+
+const MAX_POOL_SIZE = 8;
+
+export function defaultPoolSize() {
+  const cores = typeof navigator !== "undefined" ? navigator.hardwareConcurrency : 0;
+  return Math.max(1, Math.min(MAX_POOL_SIZE, Number(cores) || 1));
+}
+
+// Runs one generate request across several crossword workers. Freeform requests are split by
+// attempt (worker i runs attempts i, i + n, …) and merged back into a single ranked result;
+// classic block grids still run on one worker. Workers start on the first request, not before.
+export function createGeneratorPool({ createWorker, size = defaultPoolSize(), now = defaultNow } = {}) {
+  const poolSize = Math.max(1, size);
+  const workers = [];
+  let requestCounter = 0;
+  let active = null;
+
+  function startWorkers() {
+    while (workers.length < poolSize) {
+      const index = workers.length;
+      const worker = createWorker();
+      worker.onmessage = (event) => handleMessage(index, event.data || {});
+      worker.onerror = () => {
+        if (!active?.pending.has(index)) return;
+        settleWorker(active, index, { error: new Error("Generation failed due to an unexpected error.") });
+      };
+      workers.push(worker);
+    }
+  }
+
+  function handleMessage(index, message) {
+    const job = active;
+    if (!job || message.version !== GENERATOR_PROTOCOL_VERSION || message.requestId !== job.requestId) {
+      return;
+    }
+    if (!job.pending.has(index)) {
+      return;
+    }
+
+    switch (message.type) {
+      case GENERATOR_MESSAGES.PROGRESS:
+        reportProgress(job, index, message);
+        break;
+      case GENERATOR_MESSAGES.SUCCESS:
+        settleWorker(job, index, { puzzle: message.puzzle });
+        break;
+      case GENERATOR_MESSAGES.CANCELLED:
+        settleWorker(job, index, { cancelled: true });
+        break;
+      default:
+        settleWorker(job, index, { error: new Error(message.message || "Unable to generate crossword.") });
+    }
+  }
+
+  function reportProgress(job, index, message) {
+    if (!message.message) return;
+    if (!Number.isFinite(message.attemptsRun) || job.shares === 1) {
+      job.onProgress(message.message);
+      return;
+    }
+    job.attempts[index] = message.attemptsRun;
+    const total = job.attempts.reduce((sum, count) => sum + count, 0);
+    const seconds = Math.max((now() - job.startedAt) / 1000, 0.001);
+    const rate = Math.round(total / seconds);
+    job.onProgress(
+      `Layout attempts: ${total} of ${MAX_ATTEMPTS} · ${rate}/s across ${job.shares} workers`,
+    );
+  }
+
+  function settleWorker(job, index, outcome) {
+    job.pending.delete(index);
+    job.outcomes.push(outcome);
+    if (job.pending.size > 0) return;
+    if (active === job) {
+      active = null;
+    }
+
+    const puzzles = job.outcomes.filter((result) => result.puzzle).map((result) => result.puzzle);
+    if (job.outcomes.every((result) => result.cancelled)) {
+      job.reject(createAbortError());
+    } else if (puzzles.length === 0) {
+      job.reject(job.outcomes.find((result) => result.error)?.error || new Error("Unable to generate crossword."));
+    } else if (job.shares === 1) {
+      job.resolve(puzzles[0]);
+    } else {
+      job.resolve(mergeLayoutCandidates(puzzles, job.candidates, { scoring: job.scoring }));
+    }
+  }
+
+  function cancel() {
+    const job = active;
+    if (!job) return false;
+    active = null;
+    job.pending.forEach((index) => {
+      workers[index].postMessage(createGeneratorMessage(GENERATOR_MESSAGES.CANCEL, job.requestId));
+    });
+    job.reject(createAbortError());
+    return true;
+  }
+
+  function generate(request, { onProgress } = {}) {
+    cancel();
+    startWorkers();
+    requestCounter += 1;
+    const requestId = requestCounter;
+    const shares = request.style === "blocks" ? 1 : poolSize;
+    // Node budgets are shared out so the whole pool does about as much work as one worker would.
+    const maxNodes = Number.isFinite(request.maxNodes) ? Math.ceil(request.maxNodes / shares) : request.maxNodes;
+
+    return new Promise((resolve, reject) => {
+      active = {
+        requestId,
+        shares,
+        candidates: request.candidates ?? 1,
+        scoring: request.scoring,
+        pending: new Set(Array.from({ length: shares }, (_, index) => index)),
+        outcomes: [],
+        attempts: Array(shares).fill(0),
+        startedAt: now(),
+        onProgress: typeof onProgress === "function" ? onProgress : () => {},
+        resolve,
+        reject,
+      };
+
+      for (let index = 0; index < shares; index += 1) {
+        workers[index].postMessage(
+          createGeneratorMessage(GENERATOR_MESSAGES.GENERATE, requestId, {
+            ...request,
+            maxNodes,
+            attemptOffset: index,
+            attemptStride: shares,
+          }),
+        );
+      }
+    });
+  }
+
+  function terminate() {
+    cancel();
+    workers.forEach((worker) => worker.terminate());
+    workers.length = 0;
+  }
+
+  return { size: poolSize, generate, cancel, terminate };
+}
+
+function defaultNow() {
+  return typeof performance !== "undefined" ? performance.now() : Date.now();
+}
@@ -0,0 +1,166 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createPuzzle, isAbortError } from '../lib/crossword';
+import { createGeneratorPool, defaultPoolSize } from './generatorPool';
+import { createGeneratorMessage, GENERATOR_MESSAGES } from './generatorProtocol';
+
+const entries = [
+  'PLANET', 'COMET', 'ORBIT', 'METEOR', 'GALAXY', 'NEBULA', 'ROCKET', 'LUNAR',
+].map((word, i) => ({ word, clue: `Clue ${i}`, originalIndex: i }));
+
+class FakeWorker {
+  constructor() {
+    this.messages = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  reply(type, payload = {}) {
+    const request = this.messages.find((message) => message.type === GENERATOR_MESSAGES.GENERATE);
+    this.onmessage({ data: createGeneratorMessage(type, request.requestId, payload) });
+  }
+}
+
+// Runs the real generator synchronously on each request, like a worker would.
+class InlineWorker extends FakeWorker {
+  postMessage(message) {
+    super.postMessage(message);
+    if (message.type !== GENERATOR_MESSAGES.GENERATE) return;
+    const { entries: words, wordCount, ...options } = message;
+    queueMicrotask(() => {
+      this.reply(GENERATOR_MESSAGES.SUCCESS, { puzzle: createPuzzle(words, wordCount, options) });
+    });
+  }
+}
+
+function createFakePool(size, WorkerClass = FakeWorker) {
+  const workers = [];
+  const pool = createGeneratorPool({
+    size,
+    createWorker: () => {
+      const worker = new WorkerClass();
+      workers.push(worker);
+      return worker;
+    },
+    now: () => 2000,
+  });
+  return { pool, workers };
+}
+
+describe('createGeneratorPool', () => {
+  it('should size itself from hardwareConcurrency', () => {
+    vi.stubGlobal('navigator', { hardwareConcurrency: 4 });
+    expect(defaultPoolSize()).toBe(4);
+    vi.stubGlobal('navigator', { hardwareConcurrency: undefined });
+    expect(defaultPoolSize()).toBe(1);
+    vi.unstubAllGlobals();
+  });
+
+  it('should split freeform attempts and node budgets across workers', () => {
+    const { pool, workers } = createFakePool(3);
+    pool.generate({ entries, wordCount: 6, maxNodes: 900, style: 'freeform' });
+    workers.forEach((worker, index) => {
+      expect(worker.messages[0]).toMatchObject({
+        type: GENERATOR_MESSAGES.GENERATE,
+        attemptOffset: index,
+        attemptStride: 3,
+        maxNodes: 300,
+      });
+    });
+  });
+
+  it('should run classic block grids on a single worker', () => {
+    const { pool, workers } = createFakePool(3);
+    pool.generate({ entries, style: 'blocks', size: 5 });
+    expect(workers[0].messages).toHaveLength(1);
+    expect(workers[1].messages).toHaveLength(0);
+  });
+
+  it('should report aggregate attempts per second', () => {
+    const { pool, workers } = createFakePool(2);
+    const onProgress = vi.fn();
+    pool.generate({ entries, wordCount: 6 }, { onProgress });
+    workers[0].reply(GENERATOR_MESSAGES.PROGRESS, { message: 'Layout attempt 5 of 80', attemptsRun: 3 });
+    workers[1].reply(GENERATOR_MESSAGES.PROGRESS, { message: 'Layout attempt 6 of 80', attemptsRun: 3 });
+    expect(onProgress).toHaveBeenLastCalledWith(
+      expect.stringMatching(/^Layout attempts: 6 of 80 · \d+\/s across 2 workers$/),
+    );
+    workers[0].reply(GENERATOR_MESSAGES.PROGRESS, { message: 'Better layout found.' });
+    expect(onProgress).toHaveBeenLastCalledWith('Better layout found.');
+  });
+
+  it('should merge worker results into the layout a single worker would pick', async () => {
+    const options = { seed: 21, candidates: 3, scoring: 'intersections' };
+    const single = createPuzzle(entries, 6, options);
+    const { pool } = createFakePool(3, InlineWorker);
+    const merged = await pool.generate({ entries, wordCount: 6, ...options });
+    expect(merged.grid).toEqual(single.grid);
+    expect(merged.candidates.map((option) => option.grid)).toEqual(
+      single.candidates.map((option) => option.grid),
+    );
+  });
+
+  it('should stop where a single worker would when the layout goal is met early', async () => {
+    const options = { seed: 16, scoring: 'square' };
+    const single = createPuzzle(entries, 6, options);
+    const { pool } = createFakePool(3, InlineWorker);
+    const merged = await pool.generate({ entries, wordCount: 6, ...options });
+    expect(merged.attempt).toBe(single.attempt);
+    expect(merged.grid).toEqual(single.grid);
+  });
+
+  it('should not start workers until the first request', () => {
+    const { pool, workers } = createFakePool(3);
+    expect(workers).toHaveLength(0);
+    pool.generate({ entries, wordCount: 6 }).catch(() => {});
+    expect(workers).toHaveLength(3);
+    pool.generate({ entries, wordCount: 6 }).catch(() => {});
+    expect(workers).toHaveLength(3);
+  });
+
+  it('should keep successful results when some workers fail', async () => {
+    const { pool, workers } = createFakePool(2);
+    const result = pool.generate({ entries, wordCount: 6, seed: 3 });
+    const puzzle = createPuzzle(entries, 6, { seed: 3 });
+    workers[0].reply(GENERATOR_MESSAGES.ERROR, { message: 'Unable to place every word.' });
+    workers[1].reply(GENERATOR_MESSAGES.SUCCESS, { puzzle });
+    await expect(result).resolves.toMatchObject({ grid: puzzle.grid });
+  });
+
+  it('should reject with the first error when every worker fails', async () => {
+    const { pool, workers } = createFakePool(2);
+    const result = pool.generate({ entries, wordCount: 6 });
+    workers.forEach((worker) => worker.reply(GENERATOR_MESSAGES.ERROR, { message: 'Not enough words.' }));
+    await expect(result).rejects.toThrow('Not enough words.');
+  });
+
+  it('should cancel every worker and reject with an AbortError', async () => {
+    const { pool, workers } = createFakePool(2);
+    const result = pool.generate({ entries, wordCount: 6 });
+    expect(pool.cancel()).toBe(true);
+    const error = await result.catch((reason) => reason);
+    expect(isAbortError(error)).toBe(true);
+    workers.forEach((worker) => {
+      expect(worker.messages.at(-1)).toMatchObject({ type: GENERATOR_MESSAGES.CANCEL, requestId: 1 });
+    });
+    expect(pool.cancel()).toBe(false);
+  });
+
+  it('should ignore replies to a superseded request', async () => {
+    const { pool, workers } = createFakePool(1);
+    const first = pool.generate({ entries, wordCount: 6 });
+    first.catch(() => {});
+    const second = pool.generate({ entries, wordCount: 6, seed: 4 });
+    const stale = createGeneratorMessage(GENERATOR_MESSAGES.SUCCESS, 1, { puzzle: { grid: [] } });
+    workers[0].onmessage({ data: stale });
+    const puzzle = createPuzzle(entries, 6, { seed: 4 });
+    workers[0].onmessage({ data: createGeneratorMessage(GENERATOR_MESSAGES.SUCCESS, 2, { puzzle }) });
+    await expect(second).resolves.toBe(puzzle);
+  });
+});
@@ -0,0 +1,19 @@
+export const GENERATOR_PROTOCOL_VERSION = 1;
+
+export const GENERATOR_MESSAGES = {
+  GENERATE: "generate",
+  CANCEL: "cancel",
+  PROGRESS: "progress",
+  SUCCESS: "success",
+  ERROR: "error",
+  CANCELLED: "cancelled",
+};
+
+export function createGeneratorMessage(type, requestId, payload = {}) {
+  return {
+    ...payload,
+    version: GENERATOR_PROTOCOL_VERSION,
+    type,
+    requestId,
+  };
+}